@@ -33,6 +33,13 @@ const fetchOnMiss =
   !!baseUrl &&
   (process.env.FETCH_ON_MISS ?? "true").toLowerCase() !== "false";
 
+// Pages fetched on a miss are written to pages.json, the index and the vectors
+// in one batch, this long after the last fetch.
+const fetchOnMissSaveDelayMs = Math.max(
+  0,
+  parseNumber(process.env.FETCH_ON_MISS_SAVE_DELAY_MS, 5000)
+);
+
 // Tools prefix:
 // - If TOOLS_PREFIX is set (and non-empty), tools are exposed as `${prefix}<name>`
 // - Otherwise, tools are exposed unprefixed (base names)
@@ -54,12 +61,59 @@ const baseTools = [
     name: "search_docs",
     description:
       `Search documentation by text query.\n${docsHint}\n` +
-      "Uses a local index (fast, deterministic).",
+      "Uses a local index (fast, deterministic), ranked with BM25.\n" +
+      "Each result includes the best-matching section (heading path, anchor URL, text).\n" +
+      "Use category to narrow by breadcrumb prefix; facets count matches per top-level category.\n" +
+      'mode "semantic" or "hybrid" also finds pages that answer a question in other words.\n' +
+      'Syntax: "exact phrase", -excluded, a OR b, field prefixes title:, heading:, category:, code:, body:.',
     inputSchema: {
       type: "object",
       properties: {
-        query: { type: "string", description: "Search query (docs)." },
-        limit: { type: "integer", minimum: 1, maximum: 20, default: 5 },
+        query: {
+          type: "string",
+          description:
+            'Search query (docs). Supports "phrases", -exclusions, OR and field prefixes.',
+        },
+        category: {
+          type: "string",
+          description: 'Breadcrumb prefix to search within, e.g. "Xafari > Security".',
+        },
+        snippetFormat: {
+          type: "string",
+          enum: ["plain", "markdown", "offsets"],
+          default: "plain",
+          description:
+            "Snippet style: plain text with match offsets, markdown with **bold** matches, or offsets only.",
+        },
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 5 },
+        offset: {
+          type: "integer",
+          minimum: 0,
+          description: "Number of ranked results to skip.",
+        },
+        cursor: {
+          type: "string",
+          description: "nextCursor from a previous response (continues the same query).",
+        },
+        collapseDuplicates: {
+          type: "boolean",
+          default: true,
+          description:
+            "Show one result per cluster of near-duplicate pages, listing the rest as alternates.",
+        },
+        mode: {
+          type: "string",
+          enum: ["keyword", "semantic", "hybrid"],
+          default: "keyword",
+          description:
+            "keyword: BM25 only; semantic: vector similarity; hybrid: both rankings fused.",
+        },
+        explain: {
+          type: "boolean",
+          default: false,
+          description:
+            "Add a per-term score breakdown (tf, df, field boosts) to each result and list dropped stop words.",
+        },
       },
       required: ["query"],
     },
@@ -84,19 +138,89 @@ const baseTools = [
       required: [],
     },
   },
+  {
+    name: "get_section",
+    description:
+      `Return one section of a documentation page.\n${docsHint}\n` +
+      "Accepts slug or URL plus a heading (text or \"A > B\" path) or an anchor id; " +
+      "a URL with #anchor is enough.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        slug: {
+          type: "string",
+          description: "Short slug (e.g. doc_recursive_helper).",
+        },
+        url: {
+          type: "string",
+          description: "Full page URL (may include #anchor).",
+        },
+        heading: {
+          type: "string",
+          description: "Section heading text or heading path.",
+        },
+        anchor: {
+          type: "string",
+          description: "Section anchor id (as returned in search_docs section.anchor).",
+        },
+      },
+      required: [],
+    },
+  },
   {
     name: "get_examples",
     description:
-      `Extract code examples from documentation pages related to a topic.\n${docsHint}\n`,
+      `Extract code examples from documentation pages related to a topic.\n${docsHint}\n` +
+      "Searches a dedicated index of code blocks (identifiers, called methods, XML elements); " +
+      "each example has its language, nearest heading and caption.",
     inputSchema: {
       type: "object",
       properties: {
         topic: { type: "string", description: "Topic to search examples for (docs)." },
-        limit: { type: "integer", minimum: 1, maximum: 20, default: 5 },
+        language: {
+          type: "string",
+          description: "Only examples in this language (cs, vb, xml, js, ts, json, ...).",
+        },
+        category: {
+          type: "string",
+          description: 'Breadcrumb prefix to search within, e.g. "Xafari > Security".',
+        },
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 5 },
+        offset: {
+          type: "integer",
+          minimum: 0,
+          description: "Number of ranked results to skip.",
+        },
+        cursor: {
+          type: "string",
+          description: "nextCursor from a previous response (continues the same query).",
+        },
       },
       required: ["topic"],
     },
   },
+  {
+    name: "get_related_pages",
+    description:
+      `Return pages linked with a documentation page.\n${docsHint}\n` +
+      "Lists pages linking to it (inbound), pages it links to (outbound) and pages most often " +
+      "cited together with it (co-citation), each with its link authority.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        slug: {
+          type: "string",
+          description: "Short slug (e.g. doc_recursive_helper).",
+        },
+        url: {
+          type: "string",
+          description: "Full page URL.",
+        },
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+      },
+      required: [],
+    },
+  },
   {
     name: "explain_concept",
     description:
@@ -105,6 +229,13 @@ const baseTools = [
       type: "object",
       properties: {
         name: { type: "string", description: "Concept name (docs)." },
+        snippetFormat: {
+          type: "string",
+          enum: ["plain", "markdown", "offsets"],
+          default: "plain",
+          description:
+            "Snippet style: plain text with match offsets, markdown with **bold** matches, or offsets only.",
+        },
       },
       required: ["name"],
     },
@@ -150,33 +281,187 @@ const requestTimeoutMs = Number.parseInt(
   process.env.REQUEST_TIMEOUT_MS || "15000", 10
 );
 
+// Crawler worker pool: CRAWL_CONCURRENCY pages fetched at once, at most
+// CRAWL_HOST_CONCURRENCY requests in flight per host, and request starts to
+// one host at least CRAWL_DELAY_MS apart.
+const crawlPoliteness = {
+  concurrency: Math.max(1, Math.round(parseNumber(process.env.CRAWL_CONCURRENCY, 4))),
+  maxPerHost: Math.max(1, Math.round(parseNumber(process.env.CRAWL_HOST_CONCURRENCY, 4))),
+  delayMs: Math.max(0, parseNumber(process.env.CRAWL_DELAY_MS, 100)),
+};
+
+// Crawler retries for network errors, timeouts, 429 and 5xx: up to
+// CRAWL_RETRIES more attempts, backing off from CRAWL_RETRY_BASE_MS and
+// doubling up to CRAWL_RETRY_MAX_MS (also the longest Retry-After honoured).
+const crawlRetries = {
+  retries: Math.max(0, Math.round(parseNumber(process.env.CRAWL_RETRIES, 3))),
+  baseDelayMs: Math.max(0, parseNumber(process.env.CRAWL_RETRY_BASE_MS, 500)),
+  maxDelayMs: Math.max(0, parseNumber(process.env.CRAWL_RETRY_MAX_MS, 30000)),
+  // A URL that failed this many runs in a row leaves the retry list; 0 keeps
+  // it until it loads.
+  maxRuns: Math.max(0, Math.round(parseNumber(process.env.CRAWL_RETRY_MAX_RUNS, 5))),
+};
+
+// Every CRAWL_CHECKPOINT_EVERY processed URLs the crawler saves its state to
+// data/crawl-checkpoint.json for `crawl --resume`; 0 turns checkpoints off.
+const crawlCheckpointEvery = Math.max(
+  0,
+  Math.round(parseNumber(process.env.CRAWL_CHECKPOINT_EVERY, 100))
+);
+
+// Sitemaps that seed the crawl queue (comma-separated SITEMAP_URLS); unset:
+// the Sitemap lines of robots.txt, or /sitemap.xml when it lists none.
+const sitemapUrls = (process.env.SITEMAP_URLS || "")
+  .split(",")
+  .map((item) => item.trim())
+  .filter(Boolean);
+
 const codeLanguages = (process.env.CODE_LANGUAGES ||
   "cs,js,ts,json,yaml,xml,html,css")
   .split(",")
   .map((item) => item.trim().toLowerCase())
   .filter(Boolean);
 
+function parseNumber(value, fallback) {
+  const parsed = Number.parseFloat(value ?? "");
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function parseWeights(value, defaults) {
+  const weights = { ...defaults };
+  for (const entry of (value || "").split(",")) {
+    const [key, raw] = entry.split("=").map((item) => item.trim());
+    if (!key || !(key in defaults)) continue;
+    const parsed = Number.parseFloat(raw);
+    if (Number.isFinite(parsed) && parsed >= 0) {
+      weights[key] = parsed;
+    }
+  }
+  return weights;
+}
+
+// BM25 ranking parameters:
+// - k1 controls term-frequency saturation (higher = repeated terms matter more)
+// - b controls page-length normalization (0 = none, 1 = full)
+const searchScoring = {
+  model: "bm25",
+  k1: parseNumber(process.env.BM25_K1, 1.2),
+  b: Math.min(1, Math.max(0, parseNumber(process.env.BM25_B, 0.75))),
+  // Per-field boosts (BM25F): FIELD_BOOSTS="title=3,headings=2,body=1"
+  fieldBoosts: parseWeights(process.env.FIELD_BOOSTS, {
+    title: 3,
+    headings: 2,
+    breadcrumbs: 1.5,
+    body: 1,
+    code: 0.8,
+  }),
+};
+
+// Typo tolerance: unknown query words are matched against similar index terms
+// with a score multiplier of `penalty` per edit.
+const fuzzySearch = {
+  enabled: (process.env.FUZZY_SEARCH ?? "true").toLowerCase() !== "false",
+  penalty: Math.min(1, Math.max(0, parseNumber(process.env.FUZZY_PENALTY, 0.5))),
+};
+
+// Weight of CamelCase/snake_case sub-words relative to whole identifiers.
+const subwordWeight = Math.min(1, Math.max(0, parseNumber(process.env.SUBWORD_WEIGHT, 0.5)));
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "..");
 
+// RU/EN synonym and abbreviation glossary used for query expansion; expanded
+// terms are scored with `weight` relative to the words actually typed.
+const synonyms = {
+  file: process.env.SYNONYMS_FILE
+    ? path.resolve(process.env.SYNONYMS_FILE)
+    : path.join(__dirname, "synonyms.json"),
+  weight: Math.min(1, Math.max(0, parseNumber(process.env.SYNONYM_WEIGHT, 0.5))),
+};
+
+// On-disk index layout written by crawl/reindex: "json" (one index.json) or
+// "sharded" (term dictionary loaded at startup, postings shards read on demand).
+// Unset: keep whatever format is on disk.
+function parseIndexFormat(value) {
+  const format = (value || "").trim().toLowerCase();
+  return format === "sharded" || format === "json" ? format : null;
+}
+
+const indexStorage = {
+  format: parseIndexFormat(process.env.INDEX_FORMAT),
+  shards: Math.max(1, Math.round(parseNumber(process.env.INDEX_SHARDS, 64))),
+  cacheShards: Math.max(1, Math.round(parseNumber(process.env.INDEX_SHARD_CACHE, 16))),
+};
+
+// Semantic search (search_docs mode "semantic" / "hybrid") is off unless
+// EMBEDDINGS_PROVIDER names one: "hashing" (built-in, offline) or "http" (an
+// OpenAI-compatible embeddings endpoint at EMBEDDINGS_URL). Hybrid mode fuses the keyword and
+// vector rankings with reciprocal rank fusion (score = sum of 1 / (rrfK + rank)).
+const semanticSearch = {
+  provider: (process.env.EMBEDDINGS_PROVIDER || "none").trim().toLowerCase(),
+  dimensions: Math.max(16, Math.round(parseNumber(process.env.EMBEDDINGS_DIMENSIONS, 256))),
+  url: process.env.EMBEDDINGS_URL || null,
+  model: process.env.EMBEDDINGS_MODEL || null,
+  minSimilarity: parseNumber(process.env.SEMANTIC_MIN_SIMILARITY, 0.15),
+  candidates: Math.max(1, Math.round(parseNumber(process.env.SEMANTIC_CANDIDATES, 100))),
+  rrfK: Math.max(1, parseNumber(process.env.RRF_K, 60)),
+};
+
+// Link authority (PageRank over internal links, 0..1) multiplies keyword
+// scores by 1 + weight * authority; 0 turns the signal off.
+const linkAuthority = {
+  weight: Math.max(0, parseNumber(process.env.LINK_AUTHORITY_WEIGHT, 0.1)),
+};
+
+// Near-duplicate pages: SimHash fingerprints (64 bits) that differ in at most
+// `maxDistance` bits put pages in one cluster; -1 turns detection off.
+const duplicateDetection = {
+  maxDistance: Math.min(15, Math.round(parseNumber(process.env.DUPLICATE_MAX_DISTANCE, 3))),
+};
+
 const dataDir = process.env.DATA_DIR
   ? path.resolve(process.env.DATA_DIR)
   : path.join(projectRoot, "data");
   
 const logFile = process.env.LOG_FILE || "logs/mcp.jsonl";  
 
+// Search analytics: one JSON line per search (search_docs, get_examples,
+// explain_concept), path relative to DATA_DIR; QUERY_LOG_FILE="" turns it off.
+// A log that would grow past `maxBytes` is rotated to queries.jsonl.1 (older
+// ones shift to .2, ...) and only `maxFiles` rotated files are kept;
+// QUERY_LOG_MAX_BYTES=0 turns rotation off.
+const queryLog = {
+  file: process.env.QUERY_LOG_FILE ?? "logs/queries.jsonl",
+  maxBytes: Math.max(0, parseNumber(process.env.QUERY_LOG_MAX_BYTES, 10 * 1024 * 1024)),
+  maxFiles: Math.max(0, Math.round(parseNumber(process.env.QUERY_LOG_MAX_FILES, 5))),
+};
+
 export {
   baseUrl,
+  crawlCheckpointEvery,
+  crawlPoliteness,
+  crawlRetries,
   dataDir,
+  duplicateDetection,
   maxPagesPerSession,
   fetchOnMiss,
+  fetchOnMissSaveDelayMs,
+  fuzzySearch,
   logFile,
   codeLanguages,
   httpPort,
+  indexStorage,
+  linkAuthority,
+  queryLog,
   requestTimeoutMs,
+  searchScoring,
+  semanticSearch,
+  subwordWeight,
+  synonyms,
   userAgent,
   serverInfo,
   serverInstructions,
+  sitemapUrls,
   tools,
   toolAliases,
 };
@@ -1,10 +1,13 @@
-import fs from "node:fs";
 import { pathToFileURL } from "node:url";
 import {
   baseUrl,
+  crawlCheckpointEvery,
+  crawlPoliteness,
+  crawlRetries,
   maxPagesPerSession,
   logFile,
   requestTimeoutMs,
+  sitemapUrls,
   userAgent,
   codeLanguages,
 } from "./config.js";
@@ -15,17 +18,32 @@ import {
   extractText,
   extractTitle,
 } from "./html.js";
-import { buildIndex, tokenize } from "./indexer.js";
+import { markDuplicateClusters } from "./duplicates.js";
+import { createVectorUpdater, getEmbedder, openVectorStore } from "./embeddings.js";
+import { createHostLimiter } from "./host-limiter.js";
+import { isAllowedByRobots, loadRobotsTxt } from "./robots.js";
+import { parseRetryAfter, withRetries } from "./retry.js";
+import { loadSitemaps } from "./sitemap.js";
+import { computePageId, createEmptyIndex, createIndexUpdater, getPageId } from "./indexer.js";
 import {
-  getPagesPath,
+  createPagesWriter,
+  hashPageContent,
+  loadCrawlCheckpoint,
+  loadIndexForUpdate,
   loadPageMarkdownByMetadata,
   loadPageMetadataFromMarkdown,
-  loadPagesFromMarkdown,
+  loadRetryList,
+  loadVectors,
+  removeCrawlCheckpoint,
   summarizePage,
   saveBinaryAsset,
+  saveCrawlCheckpoint,
   saveIndex,
+  saveIndexData,
   savePageMarkdown,
   savePages,
+  saveRetryList,
+  saveVectors,
 } from "./storage.js";
 import { createLogger } from "./logger.js";
 
@@ -34,6 +52,9 @@ function parseArgs(argv) {
   return {
     forceFetch: args.has("--force"),
     onlyNew: args.has("--only-new") || !args.has("--no-only-new"),
+    ignoreRobots: args.has("--ignore-robots"),
+    useSitemaps: !args.has("--no-sitemaps"),
+    resume: args.has("--resume"),
   };
 }
 
@@ -108,6 +129,37 @@ function isWithinBasePath(url, rootUrl) {
   return url.pathname.startsWith(rootUrl.pathname);
 }
 
+// The URL to crawl for a link or sitemap entry; null for anchors, other
+// sites, pages outside the base path and binary downloads.
+function toCrawlUrl(link, baseHref, rootUrl) {
+  if (!link || link.startsWith("#")) {
+    return null;
+  }
+  if (link.startsWith("mailto:") || link.startsWith("javascript:")) {
+    return null;
+  }
+  let normalized;
+  try {
+    normalized = normalizeUrl(new URL(link, baseHref).toString());
+  } catch {
+    return null;
+  }
+  if (!normalized) {
+    return null;
+  }
+  const normalizedUrl = new URL(normalized);
+  if (!isSameDomain(normalizedUrl, rootUrl)) {
+    return null;
+  }
+  if (!isWithinBasePath(normalizedUrl, rootUrl)) {
+    return null;
+  }
+  if (isBinaryPath(normalizedUrl.pathname) && !isDownloadableAsset(normalizedUrl.pathname)) {
+    return null;
+  }
+  return normalized;
+}
+
 function toSlug(url, rootUrl) {
   if (!url.pathname.startsWith(rootUrl.pathname)) {
     return url.pathname;
@@ -116,6 +168,17 @@ function toSlug(url, rootUrl) {
   return slug || "index";
 }
 
+// `retryable` marks failures worth another attempt (see retry.js).
+class FetchError extends Error {
+  constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "FetchError";
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
 async function fetchResource(url, extraHeaders = {}, fetchImpl = fetch) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), requestTimeoutMs);
@@ -139,7 +202,12 @@ async function fetchResource(url, extraHeaders = {}, fetchImpl = fetch) {
     }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status} for ${url}`);
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new FetchError(`HTTP ${response.status} for ${url}`, {
+        status: response.status,
+        retryable,
+        retryAfterMs: retryable ? parseRetryAfter(response.headers.get("retry-after")) : null,
+      });
     }
 
     const contentType = response.headers.get("content-type") || "";
@@ -164,12 +232,28 @@ async function fetchResource(url, extraHeaders = {}, fetchImpl = fetch) {
       };
     }
 
-    throw new Error(`Unsupported content type: ${contentType || "unknown"}`);
+    throw new FetchError(`Unsupported content type: ${contentType || "unknown"}`);
+  } catch (error) {
+    if (error instanceof FetchError) {
+      throw error;
+    }
+    // Network errors, timeouts and bodies cut off mid-transfer.
+    const message = controller.signal.aborted
+      ? `Timed out after ${requestTimeoutMs} ms: ${url}`
+      : error.message;
+    throw new FetchError(message, { retryable: true });
   } finally {
     clearTimeout(timeout);
   }
 }
 
+// What the crawl keeps in memory of a page it has written out: enough for the
+// unchanged check, the link graph and duplicate clusters.
+function toIndexEntry(summary) {
+  const { id, slug, url, links, contentHash, simhash, duplicateCluster } = summary;
+  return { id, slug, url, links, contentHash, simhash, duplicateCluster };
+}
+
 async function loadExistingPages(loadPagesImpl = loadPageMetadataFromMarkdown) {
   try {
     const pages = await loadPagesImpl();
@@ -179,65 +263,147 @@ async function loadExistingPages(loadPagesImpl = loadPageMetadataFromMarkdown) {
   }
 }
 
-function createPagesWriter(filePath) {
-  const stream = fs.createWriteStream(filePath, { encoding: "utf8" });
-  // NDJSON: one JSON object per line (stream-friendly).
-  return {
-    writePage(page) {
-      // Write only lightweight summary to keep pages.json small.
-      stream.write(`${JSON.stringify(summarizePage(page))}\n`);
-    },
-    async close() {
-      await new Promise((resolve) => stream.end(resolve));
-    },
-  };
-}
-
-function updateIndex(terms, pageId, page) {
-  const tokens = tokenize(`${page.title} ${page.text}`);
-  const counts = new Map();
-  for (const token of tokens) {
-    counts.set(token, (counts.get(token) || 0) + 1);
-  }
-  for (const [term, count] of counts.entries()) {
-    if (!terms[term]) {
-      terms[term] = {};
-    }
-    terms[term][pageId] = count;
-  }
+// The previous pages.json and index are updated in place, so pages keep their
+// IDs across crawls; without a usable index the crawl starts a new one.
+async function loadExistingIndex(loadIndexImpl = loadIndexForUpdate) {
+  const existing = await loadIndexImpl();
+  return existing || { pages: [], index: createEmptyIndex() };
 }
 
 async function runCrawl(options = {}) {
   const {
-    forceFetch = false,
-    onlyNew = false,
+    ignoreRobots = false,
+    useSitemaps = true,
+    sitemapUrlsOverride,
     baseUrlOverride,
     maxPagesPerSessionOverride,
     maxPagesOverride,
+    concurrencyOverride,
+    hostConcurrencyOverride,
+    delayMsOverride,
+    retryOptions = {},
+    retryMaxRuns = crawlRetries.maxRuns,
     fetchImpl,
     allowedLanguagesOverride,
     loadPagesImpl,
     loadPageMarkdownByMetadataImpl,
     savePageMarkdownImpl,
-    loadPagesForIndexImpl,
+    loadIndexImpl,
     savePagesImpl,
+    createPagesWriterImpl = createPagesWriter,
     saveIndexImpl,
+    saveIndexDataImpl = saveIndexData,
+    embedder = getEmbedder(),
+    loadVectorsImpl = loadVectors,
+    saveVectorsImpl = saveVectors,
+    loadRetryListImpl = loadRetryList,
+    saveRetryListImpl = saveRetryList,
+    resume = false,
+    checkpointEvery = crawlCheckpointEvery,
+    loadCheckpointImpl = loadCrawlCheckpoint,
+    saveCheckpointImpl = saveCrawlCheckpoint,
+    removeCheckpointImpl = removeCrawlCheckpoint,
     logger = createLogger({ component: "crawler", logPath: logFile }),
     consoleLogger = console,
     collectPages = false,
   } = options;
   const rootUrl = new URL(baseUrlOverride || baseUrl);
-  const queue = [rootUrl.toString()];
-  const visited = new Set();
+  // --resume picks up the state of the last checkpoint; a new crawl starts
+  // over and drops it.
+  const checkpoint = resume ? await loadCheckpointImpl() : null;
+  if (checkpoint && checkpoint.baseUrl !== rootUrl.toString()) {
+    throw new Error(
+      `the checkpoint is for ${checkpoint.baseUrl}, not ${rootUrl}; run without --resume to start over`
+    );
+  }
+  if (!resume) {
+    await removeCheckpointImpl();
+  }
+  // A resumed crawl keeps the modes it was started with.
+  const { forceFetch = false, onlyNew = false } = checkpoint?.modes ?? options;
+  const queue = checkpoint ? checkpoint.queue : [rootUrl.toString()];
+  const visited = new Set(checkpoint?.visited);
   const existingPages = await loadExistingPages(loadPagesImpl);
   const existingByUrl = new Map(existingPages.map((page) => [page.url, page]));
   const pages = [];
   const useMemoryPages = Boolean(savePagesImpl) || collectPages;
-  const terms = {};
-  const pagesWriter = useMemoryPages ? null : createPagesWriter(getPagesPath());
-  let reusedCount = 0;
-  let fetchedCount = 0;
-  let pageId = 0;
+  const pagesWriter = await createPagesWriterImpl({ keep: checkpoint?.pagesWritten ?? 0 });
+  const { pages: indexedPages, index } = await loadExistingIndex(loadIndexImpl);
+  const updater = createIndexUpdater(index, indexedPages);
+  const savedVectors = embedder && (await loadVectorsImpl());
+  const vectorStore = embedder ? openVectorStore(savedVectors, embedder) : null;
+  const vectors = vectorStore ? createVectorUpdater(vectorStore, embedder) : null;
+  const crawledIds = new Set(checkpoint?.crawledIds);
+  let crawledCount = checkpoint?.counters.crawled ?? 0;
+  let reusedCount = checkpoint?.counters.reused ?? 0;
+  let fetchedCount = checkpoint?.counters.fetched ?? 0;
+  const loadPageImpl = loadPageMarkdownByMetadataImpl || loadPageMarkdownByMetadata;
+  if (checkpoint) {
+    logger.log("crawl.resume", {
+      savedAt: checkpoint.savedAt,
+      total: crawledCount,
+      queued: queue.length,
+    });
+    consoleLogger.log(`[crawl] resuming: ${crawledCount} pages done, ${queue.length} queued`);
+  } else if (resume) {
+    consoleLogger.log("[crawl] no checkpoint to resume, starting a new crawl");
+  }
+
+  const embedPage = async (page) => {
+    try {
+      await vectors.upsert(page);
+    } catch (error) {
+      logger.warn("crawl.embed.failed", { url: page.url, error: error.message });
+    }
+  };
+
+  // The checkpoint holds no index: the previous one (untouched until the crawl
+  // succeeds) is updated again with the pages written before the checkpoint,
+  // reading the changed ones back from their markdown.
+  if (checkpoint) {
+    for await (const summary of pagesWriter.read()) {
+      const entry = toIndexEntry(summary);
+      const unchanged = updater.entryOf(summary.id)?.contentHash === summary.contentHash;
+      const embed = vectors && (!unchanged || !vectors.has(summary.id));
+      const page = unchanged && !embed ? null : await loadPageImpl(summary);
+      if (unchanged) {
+        updater.setEntry(summary.id, entry);
+      } else if (page) {
+        updater.upsert(page, entry);
+      } else {
+        logger.warn("crawl.resume.missing", { url: summary.url });
+        continue;
+      }
+      if (embed && page) {
+        await embedPage(page);
+      }
+    }
+  }
+
+  // The summary goes straight to the pages writer and only a small index entry
+  // stays in memory; pages whose markdown did not change are not re-analyzed
+  // (or re-embedded, if they already have vectors).
+  const recordPage = async (page, { reused }) => {
+    const summary = summarizePage(page);
+    const entry = toIndexEntry(summary);
+    const pageId = getPageId(page);
+    const unchanged =
+      reused && updater.entryOf(pageId)?.contentHash === hashPageContent(page);
+    if (unchanged) {
+      updater.setEntry(pageId, entry);
+    } else {
+      updater.upsert(page, entry);
+    }
+    await pagesWriter.write(summary);
+    if (vectors && (!unchanged || !vectors.has(pageId))) {
+      await embedPage(page);
+    }
+    crawledIds.add(pageId);
+    crawledCount += 1;
+    if (useMemoryPages) {
+      pages.push(page);
+    }
+  };
 
   const sessionLimit =
     maxPagesPerSessionOverride ??
@@ -256,27 +422,94 @@ async function runCrawl(options = {}) {
     (codeLanguages && codeLanguages.length > 0
       ? new Set(codeLanguages)
       : null);
+  // --ignore-robots is meant for sites we own.
+  let robots = null;
+  if (!ignoreRobots) {
+    try {
+      robots = await loadRobotsTxt(rootUrl, { fetchImpl });
+    } catch (error) {
+      throw new Error(
+        `robots.txt is unavailable (${error.message}); retry later or use --ignore-robots`
+      );
+    }
+    logger.log("crawl.robots", { rules: robots.rules.length, crawlDelayMs: robots.crawlDelayMs });
+  }
+  const concurrency = concurrencyOverride ?? crawlPoliteness.concurrency;
+  const limiter = createHostLimiter({
+    maxPerHost: hostConcurrencyOverride ?? crawlPoliteness.maxPerHost,
+    delayMs: Math.max(delayMsOverride ?? crawlPoliteness.delayMs, robots?.crawlDelayMs ?? 0),
+  });
   logger.log("crawl.start", {
     baseUrl: rootUrl.toString(),
     sessionLimit: sessionLimitLabel,
     totalLimit: totalLimitLabel,
+    concurrency,
   });
   consoleLogger.log(
     `[crawl] start ${rootUrl.toString()} (fetched limit ${sessionLimitLabel}, total limit ${totalLimitLabel})`
   );
-  while (
-    queue.length > 0 &&
-    pages.length < totalLimit &&
-    fetchedCount < effectiveSessionLimit
-  ) {
-    const current = queue.shift();
-    if (!current || visited.has(current)) {
-      continue;
+
+  // Sitemap pages within the base path are queued after the root; their
+  // <lastmod> lets pages that did not change since the last check skip the
+  // request.
+  const sitemapLastmod = new Map(checkpoint?.sitemapLastmod);
+  if (useSitemaps && !checkpoint) {
+    let sources = sitemapUrlsOverride ?? sitemapUrls;
+    if (!sources.length) {
+      sources = robots?.sitemaps.length
+        ? robots.sitemaps
+        : [new URL("/sitemap.xml", rootUrl).toString()];
+    }
+    const entries = await loadSitemaps(sources, {
+      fetchImpl: (url, init) => limiter.run(url, () => (fetchImpl || fetch)(url, init)),
+      onError: (url, error) => logger.warn("crawl.sitemap.failed", { url, error: error.message }),
+    });
+    for (const [loc, lastmod] of entries) {
+      const url = toCrawlUrl(loc, rootUrl, rootUrl);
+      if (url && !sitemapLastmod.has(url)) {
+        sitemapLastmod.set(url, lastmod);
+        queue.push(url);
+      }
     }
-    visited.add(current);
+    logger.log("crawl.sitemaps", { sitemaps: sources, urls: sitemapLastmod.size });
+  }
+  let unchangedBySitemap = checkpoint?.counters.unchangedBySitemap ?? 0;
 
-    let response;
-    let html;
+  // URLs that still failed after all retries last time; --only-new runs try
+  // them before anything else.
+  const previousRetries = checkpoint ? checkpoint.previousRetries : await loadRetryListImpl();
+  const retryUrls = new Set(checkpoint?.retryUrls);
+  if (onlyNew && !checkpoint) {
+    for (const entry of previousRetries) {
+      const url = toCrawlUrl(entry.url, rootUrl, rootUrl);
+      if (url) {
+        retryUrls.add(url);
+      }
+    }
+    queue.unshift(...retryUrls);
+  }
+  const failedUrls = new Map(
+    (checkpoint?.failedUrls || []).map(({ url, error }) => [
+      url,
+      new FetchError(error, { retryable: true }),
+    ])
+  );
+
+  // Pending loadUrl() results, in the order their URLs left the queue.
+  const inFlight = [];
+  const startedAt = Date.now();
+  const startedWith = crawledCount;
+
+  // Network requests and markdown reads for one URL. Runs concurrently with
+  // other URLs, so it does not touch the crawl state; errors are returned.
+  // Each attempt waits for its own slot; backoff sleeps do not hold one.
+  const request = (url, headers) =>
+    withRetries(() => limiter.run(url, () => fetchResource(url, headers, fetchImpl)), {
+      ...retryOptions,
+      onRetry: (error, { attempt, delayMs }) =>
+        logger.warn("crawl.retry", { url, attempt, delayMs, error: error.message }),
+    });
+  const loadUrl = async (current) => {
     const existing = existingByUrl.get(current);
     const conditionalHeaders = {};
     if (!forceFetch) {
@@ -288,163 +521,299 @@ async function runCrawl(options = {}) {
       }
     }
     try {
-      if (!forceFetch && onlyNew && existing && existing.links?.length) {
+      const lastmod = Date.parse(sitemapLastmod.get(current) ?? "");
+      const checkedAt = Date.parse(existing?.lastCheckedAt ?? "");
+      if (!forceFetch && existing && lastmod <= checkedAt) {
+        const cached = await loadPageImpl(existing);
+        if (cached) {
+          const { etag, lastModified } = existing;
+          const response = { status: 304, etag, lastModified };
+          return { current, existing, response, cached, unchangedBy: "sitemap" };
+        }
+      }
+      // A page the sitemap reports as changed since it was last checked gets
+      // a conditional request even in --only-new mode.
+      const changedBySitemap = lastmod > checkedAt || (lastmod >= 0 && Number.isNaN(checkedAt));
+      let response;
+      const reuse =
+        onlyNew && existing?.links?.length && !retryUrls.has(current) && !changedBySitemap;
+      if (!forceFetch && reuse) {
         response = { status: 304, etag: existing.etag, lastModified: existing.lastModified };
       } else {
-        response = await fetchResource(current, conditionalHeaders, fetchImpl);
+        response = await request(current, conditionalHeaders);
       }
       if (response.status === 304 && (!existing?.links || existing.links.length === 0)) {
-        response = await fetchResource(current, {}, fetchImpl);
+        response = await request(current, {});
+      }
+      if (response.status === 304 && existing) {
+        const cached = await loadPageImpl(existing);
+        if (cached) {
+          return { current, existing, response, cached };
+        }
+        response = await request(current, {});
       }
+      return { current, existing, response };
     } catch (error) {
-      logger.warn("crawl.skip", { url: current, error: error.message });
-      consoleLogger.warn(`[crawl] skip ${current}: ${error.message}`);
-      continue;
+      return { current, existing, error };
     }
+  };
 
+  // Results are applied one at a time in the order their URLs left the queue,
+  // so pages.json, the index and the queue itself come out the same as in a
+  // sequential crawl.
+  const applyResult = async ({ current, existing, response, cached, unchangedBy, error }) => {
+    if (error) {
+      logger.warn("crawl.skip", {
+        url: current,
+        reason: "error",
+        error: error.message,
+        attempts: error.attempts ?? 1,
+        retryLater: Boolean(error.retryable),
+      });
+      consoleLogger.warn(`[crawl] skip ${current}: ${error.message}`);
+      // A temporary failure does not remove the page from the index; the URL
+      // goes to the retry list instead.
+      if (error.retryable) {
+        failedUrls.set(current, error);
+        if (existing) {
+          crawledIds.add(getPageId(existing));
+        }
+      }
+      return;
+    }
     let links = [];
-    if (response.status === 304 && existing) {
-      const loadPageImpl =
-        loadPageMarkdownByMetadataImpl || loadPageMarkdownByMetadata;
-      let page = await loadPageImpl(existing);
-      if (!page) {
-        response = await fetchResource(current, {}, fetchImpl);
+    if (cached) {
+      const page = {
+        ...cached,
+        etag: response.etag ?? existing.etag ?? null,
+        lastModified: response.lastModified ?? existing.lastModified ?? null,
+        lastCheckedAt: new Date().toISOString(),
+      };
+      await recordPage(page, { reused: true });
+      links = existing.links || [];
+      reusedCount += 1;
+      if (savePageMarkdownImpl) {
+        await savePageMarkdownImpl(page);
+      } else {
+        await savePageMarkdown(page, undefined, logger);
+      }
+      if (unchangedBy === "sitemap") {
+        unchangedBySitemap += 1;
+        consoleLogger.log(`[crawl] cached ${current} (sitemap lastmod)`);
       } else {
-        page = {
-          ...page,
-          etag: response.etag ?? existing.etag ?? null,
-          lastModified: response.lastModified ?? existing.lastModified ?? null,
-          lastCheckedAt: new Date().toISOString(),
-        };
-        if (useMemoryPages) {
-          pages.push(page);
-        } else {
-          pagesWriter.writePage(page);
-        }
-        updateIndex(terms, pageId, page);
-        pageId += 1;
-        links = existing.links || [];
-        reusedCount += 1;
-        if (savePageMarkdownImpl) {
-          await savePageMarkdownImpl(page);
-        } else {
-          await savePageMarkdown(page, undefined, logger);
-        }
         consoleLogger.log(`[crawl] cached ${current}`);
       }
+    } else if (response.kind === "asset") {
+      await saveBinaryAsset(current, response.buffer, response.contentType);
+      fetchedCount += 1;
+      consoleLogger.log(`[crawl] asset ${current}`);
     } else {
-      if (response.kind === "asset") {
-        await saveBinaryAsset(current, response.buffer, response.contentType);
-        fetchedCount += 1;
-        consoleLogger.log(`[crawl] asset ${current}`);
+      const html = response.html;
+      const title = extractTitle(html) || current;
+      const breadcrumbs = extractBreadcrumbs(html);
+      const headings = extractHeadings(html);
+      const { text, codeBlocks } = extractText(html, current, {
+        allowedLanguages,
+      });
+      const urlObj = new URL(current);
+      links = extractLinks(html);
+
+      const page = {
+        id: computePageId({ url: current }),
+        slug: toSlug(urlObj, rootUrl),
+        url: current,
+        title,
+        breadcrumbs,
+        headings,
+        text,
+        codeBlocks,
+        links,
+        etag: response.etag || null,
+        lastModified: response.lastModified || null,
+        updatedAt: new Date().toISOString(),
+        lastCheckedAt: new Date().toISOString(),
+      };
+      await recordPage(page, { reused: false });
+      fetchedCount += 1;
+      if (savePageMarkdownImpl) {
+        await savePageMarkdownImpl(page);
       } else {
-        html = response.html;
-        const title = extractTitle(html) || current;
-        const breadcrumbs = extractBreadcrumbs(html);
-        const headings = extractHeadings(html);
-        const { text, codeBlocks } = extractText(html, current, {
-          allowedLanguages,
-        });
-        const urlObj = new URL(current);
-        links = extractLinks(html);
-
-        const page = {
-          slug: toSlug(urlObj, rootUrl),
-          url: current,
-          title,
-          breadcrumbs,
-          headings,
-          text,
-          codeBlocks,
-          links,
-          etag: response.etag || null,
-          lastModified: response.lastModified || null,
-          updatedAt: new Date().toISOString(),
-          lastCheckedAt: new Date().toISOString(),
-        };
-        if (useMemoryPages) {
-          pages.push(page);
-        } else {
-          pagesWriter.writePage(page);
-        }
-        updateIndex(terms, pageId, page);
-        pageId += 1;
-        fetchedCount += 1;
-        if (savePageMarkdownImpl) {
-          await savePageMarkdownImpl(page);
-        } else {
-          await savePageMarkdown(page, undefined, logger);
-        }
-        consoleLogger.log(`[crawl] fetched ${current}`);
+        await savePageMarkdown(page, undefined, logger);
       }
+      consoleLogger.log(`[crawl] fetched ${current}`);
     }
 
     for (const link of links) {
-      if (!link || link.startsWith("#")) {
-        continue;
-      }
-      if (link.startsWith("mailto:") || link.startsWith("javascript:")) {
-        continue;
-      }
-      const normalized = normalizeUrl(new URL(link, current).toString());
-      if (!normalized) {
-        continue;
-      }
-      const normalizedUrl = new URL(normalized);
-      if (!isSameDomain(normalizedUrl, rootUrl)) {
-        continue;
-      }
-      if (!isWithinBasePath(normalizedUrl, rootUrl)) {
-        continue;
-      }
-      if (isBinaryPath(normalizedUrl.pathname) && !isDownloadableAsset(normalizedUrl.pathname)) {
-        continue;
-      }
-      if (!visited.has(normalized)) {
-        queue.push(normalized);
+      const url = toCrawlUrl(link, current, rootUrl);
+      if (url && !visited.has(url)) {
+        queue.push(url);
       }
     }
 
+    const elapsedSeconds = (Date.now() - startedAt) / 1000;
+    const pagesPerSecond = elapsedSeconds > 0 ? (crawledCount - startedWith) / elapsedSeconds : 0;
     logger.log("crawl.progress", {
       url: current,
-      total: pages.length,
+      total: crawledCount,
       totalLimit: totalLimitLabel,
       fetched: fetchedCount,
       fetchedLimit: sessionLimitLabel,
+      queued: queue.length,
+      inFlight: inFlight.length,
+      pagesPerSecond: Math.round(pagesPerSecond * 100) / 100,
     });
+  };
+
+  // URLs still in flight go back to the front of the queue, so a resumed crawl
+  // requests them again. The checkpoint is only the crawl frontier: the pages
+  // are in the pages writer and the markdown. A crawl that cannot save its
+  // checkpoint stops rather than run on without a way to resume.
+  let sinceCheckpoint = 0;
+  const saveCheckpoint = async () => {
+    const pending = inFlight.map((item) => item.url);
+    const pendingSet = new Set(pending);
+    await saveCheckpointImpl({
+      baseUrl: rootUrl.toString(),
+      savedAt: new Date().toISOString(),
+      modes: { forceFetch, onlyNew },
+      pagesWritten: pagesWriter.count,
+      queue: [...pending, ...queue],
+      visited: Array.from(visited).filter((url) => !pendingSet.has(url)),
+      crawledIds: Array.from(crawledIds),
+      counters: {
+        crawled: crawledCount,
+        fetched: fetchedCount,
+        reused: reusedCount,
+        unchangedBySitemap,
+      },
+      sitemapLastmod: Array.from(sitemapLastmod),
+      previousRetries,
+      retryUrls: Array.from(retryUrls),
+      failedUrls: Array.from(failedUrls, ([url, error]) => ({ url, error: error.message })),
+    });
+    logger.log("crawl.checkpoint", { total: crawledCount, queued: pending.length + queue.length });
+  };
+
+  // Every URL in flight may still count towards both limits, so no more are
+  // started than the limits allow; once results come in, the budget frees up.
+  const canStart = () =>
+    inFlight.length < concurrency &&
+    crawledCount + inFlight.length < totalLimit &&
+    fetchedCount + inFlight.length < effectiveSessionLimit;
+  for (;;) {
+    while (queue.length > 0 && canStart()) {
+      const current = queue.shift();
+      if (!current || visited.has(current)) {
+        continue;
+      }
+      visited.add(current);
+      if (robots && !isAllowedByRobots(robots, current)) {
+        logger.log("crawl.skip", { url: current, reason: "robots" });
+        consoleLogger.log(`[crawl] skip ${current}: disallowed by robots.txt`);
+        continue;
+      }
+      inFlight.push({ url: current, result: loadUrl(current) });
+    }
+    if (inFlight.length === 0) {
+      break;
+    }
+    await applyResult(await inFlight.shift().result);
+    sinceCheckpoint += 1;
+    if (checkpointEvery > 0 && sinceCheckpoint >= checkpointEvery) {
+      sinceCheckpoint = 0;
+      await saveCheckpoint();
+    }
   }
 
-  if (pagesWriter) {
-    await pagesWriter.close();
+  // Pages that are no longer reachable are dropped, but only after a complete
+  // crawl: a run cut short by a limit keeps what it did not get to.
+  if (queue.length === 0) {
+    for (const page of indexedPages) {
+      if (page && !crawledIds.has(getPageId(page))) {
+        updater.remove(getPageId(page));
+      }
+    }
   }
-  const pagesForIndex = useMemoryPages
-    ? loadPagesForIndexImpl
-      ? await loadPagesForIndexImpl(pages)
-      : pages
-    : null;
-  const index = useMemoryPages ? buildIndex(pagesForIndex) : {
-    updatedAt: new Date().toISOString(),
-    pageCount: pageId,
-    terms,
-  };
-  if (savePagesImpl) {
-    await savePagesImpl(pagesForIndex);
-  } else if (useMemoryPages) {
-    await savePages(pagesForIndex);
+  const changes = updater.finish();
+  const duplicateClusters = markDuplicateClusters(indexedPages);
+  if (vectors) {
+    for (const pageId of changes.removed) {
+      vectors.remove(pageId);
+    }
+    vectors.finish();
+    await saveVectorsImpl(vectorStore);
   }
-  if (saveIndexImpl) {
-    await saveIndexImpl(index);
+  // pages.json lists the pages of this crawl in crawl order, then those kept
+  // from the previous one in their old order.
+  const entryById = new Map(indexedPages.map((entry) => [getPageId(entry), entry]));
+  const mergePages = async function* () {
+    const written = new Set();
+    for await (const summary of pagesWriter.read()) {
+      const entry = entryById.get(summary.id);
+      if (entry && !written.has(summary.id)) {
+        written.add(summary.id);
+        yield { ...summary, duplicateCluster: entry.duplicateCluster ?? null };
+      }
+    }
+    for (const entry of indexedPages) {
+      if (!written.has(getPageId(entry))) {
+        yield entry;
+      }
+    }
+  };
+  // Both files are replaced as one commit (see saveIndexData), so a crash
+  // between them cannot leave the new pages.json next to the old index.
+  if (savePagesImpl || saveIndexImpl) {
+    const merged = [];
+    for await (const page of mergePages()) {
+      merged.push(page);
+    }
+    await (savePagesImpl || savePages)(merged);
+    await (saveIndexImpl || saveIndex)(index);
   } else {
-    await saveIndex(index);
+    await saveIndexDataImpl(mergePages(), index);
+  }
+
+  const failedAt = new Date().toISOString();
+  const previousByUrl = new Map(previousRetries.map((entry) => [entry.url, entry]));
+  const retryList = [
+    // Entries this run did not get to stay for the next one.
+    ...previousRetries.filter((entry) => !visited.has(entry.url)),
+  ];
+  for (const [url, error] of failedUrls) {
+    const previous = previousByUrl.get(url);
+    const failures = (previous?.failures || 0) + 1;
+    if (retryMaxRuns > 0 && failures >= retryMaxRuns) {
+      logger.warn("crawl.retry.expired", { url, failures, firstFailedAt: previous?.firstFailedAt });
+      continue;
+    }
+    retryList.push({
+      url,
+      error: error.message,
+      firstFailedAt: previous?.firstFailedAt ?? previous?.failedAt ?? failedAt,
+      failedAt,
+      failures,
+    });
   }
+  await saveRetryListImpl(retryList);
+  // Everything is saved; there is nothing left to resume.
+  await pagesWriter.discard();
+  await removeCheckpointImpl();
 
   logger.log("crawl.saved", {
-    total: pages.length,
+    total: crawledCount,
     fetched: fetchedCount,
     reused: reusedCount,
+    indexed: changes.added.length + changes.updated.length,
+    removed: changes.removed.length,
+    duplicateClusters: duplicateClusters.length,
+    unchangedBySitemap,
+    retryLater: retryList.length,
+    durationMs: Date.now() - startedAt,
   });
   consoleLogger.log(
-    `[crawl] saved ${pages.length} pages (fetched ${fetchedCount}, reused ${reusedCount})`
+    `[crawl] saved ${crawledCount} pages (fetched ${fetchedCount}, reused ${reusedCount}, ` +
+      `removed ${changes.removed.length}, to retry ${retryList.length})`
   );
   return { pages, index, fetchedCount, reusedCount };
 }
@@ -457,8 +826,7 @@ function isMainModule() {
 }
 
 if (isMainModule()) {
-  const { forceFetch, onlyNew } = parseArgs(process.argv.slice(2));
-  runCrawl({ forceFetch, onlyNew }).catch((error) => {
+  runCrawl(parseArgs(process.argv.slice(2))).catch((error) => {
     console.error(`[crawl] failed: ${error.message}`);
     process.exitCode = 1;
   });
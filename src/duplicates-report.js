@@ -0,0 +1,41 @@
+import { pathToFileURL } from "node:url";
+import { findDuplicateClusters } from "./duplicates.js";
+import { loadPages } from "./storage.js";
+
+// Lists the near-duplicate clusters found in pages.json, largest first, so
+// exclude rules can be written for the copies. --json prints the clusters as
+// JSON instead.
+
+function formatDuplicateReport(clusters) {
+  const pageCount = clusters.reduce((sum, cluster) => sum + cluster.pages.length, 0);
+  const lines = [`[duplicates] ${clusters.length} clusters (${pageCount} pages)`];
+  clusters.forEach((cluster, i) => {
+    lines.push("", `${i + 1}. ${cluster.pages[0].title || cluster.pages[0].url}`);
+    for (const page of cluster.pages) {
+      const marker = page.pageId === cluster.canonical ? "*" : "-";
+      const category = page.breadcrumbs.length ? `  (${page.breadcrumbs.join(" > ")})` : "";
+      lines.push(`   ${marker} ${page.url || page.slug}${category}`);
+    }
+  });
+  return lines.join("\n");
+}
+
+async function reportDuplicates({ loadPagesImpl = loadPages, json = false, logger = console } = {}) {
+  const pages = await loadPagesImpl();
+  if (!pages.some((page) => page?.simhash)) {
+    logger.log("[duplicates] pages.json has no fingerprints yet. Run: npm run reindex");
+    return [];
+  }
+  const clusters = findDuplicateClusters(pages);
+  logger.log(json ? JSON.stringify(clusters, null, 2) : formatDuplicateReport(clusters));
+  return clusters;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  reportDuplicates({ json: process.argv.includes("--json") }).catch((error) => {
+    console.error(`[duplicates] failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+export { formatDuplicateReport, reportDuplicates };
@@ -0,0 +1,193 @@
+import { duplicateDetection } from "./config.js";
+import { analyze, getPageId } from "./indexer.js";
+import { stripHeadingAnchors } from "./sections.js";
+
+// Near-duplicate pages (printable versions, one article under two breadcrumb
+// paths, version copies) by 64-bit SimHash over 3-word shingles of the page
+// text. Two pages are duplicates when their fingerprints differ in at most
+// `maxDistance` bits; clusters are the connected groups of such pairs.
+
+const SHINGLE_SIZE = 3;
+// Shorter pages share too little text to be told apart reliably.
+const MIN_SHINGLES = 8;
+
+function fnv1a(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// 16 hex digits, or null for pages with too little text.
+function computeSimHash(text) {
+  const terms = analyze(typeof text === "string" ? text : "")
+    .filter((token) => token.weight === 1)
+    .map((token) => token.term);
+  const shingleCount = terms.length - SHINGLE_SIZE + 1;
+  if (shingleCount < MIN_SHINGLES) {
+    return null;
+  }
+  const counts = new Array(64).fill(0);
+  for (let i = 0; i < shingleCount; i += 1) {
+    const shingle = terms.slice(i, i + SHINGLE_SIZE).join(" ");
+    const halves = [fnv1a(shingle, 0x811c9dc5), fnv1a(shingle, 0x050c5d1f)];
+    halves.forEach((half, h) => {
+      for (let bit = 0; bit < 32; bit += 1) {
+        counts[h * 32 + bit] += (half >>> bit) & 1 ? 1 : -1;
+      }
+    });
+  }
+  return [0, 1]
+    .map((h) => {
+      let half = 0;
+      for (let bit = 0; bit < 32; bit += 1) {
+        if (counts[h * 32 + bit] > 0) {
+          half |= 1 << bit;
+        }
+      }
+      return (half >>> 0).toString(16).padStart(8, "0");
+    })
+    .join("");
+}
+
+function popCount(value) {
+  let count = 0;
+  let rest = value >>> 0;
+  while (rest) {
+    rest &= rest - 1;
+    count += 1;
+  }
+  return count;
+}
+
+function hammingDistance(a, b) {
+  return (
+    popCount(Number.parseInt(a.slice(0, 8), 16) ^ Number.parseInt(b.slice(0, 8), 16)) +
+    popCount(Number.parseInt(a.slice(8), 16) ^ Number.parseInt(b.slice(8), 16))
+  );
+}
+
+// Summaries from pages.json (and unchanged pages during reindex) carry the
+// fingerprint computed when they were saved; other pages are fingerprinted
+// from their text without the heading anchor markers. summarizePage() uses
+// this too, so both paths give a page the same fingerprint.
+function getSimHash(page) {
+  if (page?.simhash !== undefined) {
+    return page.simhash;
+  }
+  return typeof page?.text === "string" ? computeSimHash(stripHeadingAnchors(page.text)) : null;
+}
+
+// The shortest URL represents a cluster ("…/page" rather than
+// "…/page/print" or "…/v2/page").
+function compareCanonical(a, b) {
+  const urlA = a.url || a.slug || "";
+  const urlB = b.url || b.slug || "";
+  return urlA.length - urlB.length || (urlA < urlB ? -1 : urlA > urlB ? 1 : 0);
+}
+
+// Candidate pairs come from fingerprint bands: with `maxDistance + 1` bands,
+// two fingerprints within the distance share at least one band exactly.
+function findDuplicateClusters(pages, options = {}) {
+  const maxDistance = options.maxDistance ?? duplicateDetection.maxDistance;
+  const entries = [];
+  const seen = new Set();
+  for (const page of pages) {
+    const pageId = page ? getPageId(page) : null;
+    const simhash = page ? getSimHash(page) : null;
+    if (pageId && simhash && !seen.has(pageId)) {
+      seen.add(pageId);
+      entries.push({ pageId, page, simhash });
+    }
+  }
+  if (maxDistance < 0 || entries.length < 2) {
+    return [];
+  }
+
+  const parent = entries.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const bandCount = Math.min(16, maxDistance + 1);
+  for (let band = 0; band < bandCount; band += 1) {
+    const start = Math.floor((band * 16) / bandCount);
+    const end = Math.floor(((band + 1) * 16) / bandCount);
+    const buckets = new Map();
+    entries.forEach((entry, i) => {
+      const key = entry.simhash.slice(start, end);
+      const bucket = buckets.get(key) || [];
+      bucket.push(i);
+      buckets.set(key, bucket);
+    });
+    for (const bucket of buckets.values()) {
+      for (let x = 0; x < bucket.length; x += 1) {
+        for (let y = x + 1; y < bucket.length; y += 1) {
+          const [a, b] = [bucket[x], bucket[y]];
+          if (
+            find(a) !== find(b) &&
+            hammingDistance(entries[a].simhash, entries[b].simhash) <= maxDistance
+          ) {
+            parent[find(a)] = find(b);
+          }
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(entry);
+  });
+  return Array.from(groups.values())
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const sorted = members.sort((a, b) => compareCanonical(a.page, b.page));
+      return {
+        canonical: sorted[0].pageId,
+        pages: sorted.map(({ pageId, page }) => ({
+          pageId,
+          slug: page.slug,
+          title: page.title,
+          url: page.url,
+          breadcrumbs: page.breadcrumbs || [],
+        })),
+      };
+    })
+    .sort((a, b) => b.pages.length - a.pages.length || compareCanonical(a.pages[0], b.pages[0]));
+}
+
+// Records the clusters on the page entries (`duplicateCluster` = the ID of the
+// cluster's canonical page, null for pages without duplicates).
+function markDuplicateClusters(pages, options = {}) {
+  const clusters = findDuplicateClusters(pages, options);
+  const clusterById = new Map();
+  for (const cluster of clusters) {
+    for (const { pageId } of cluster.pages) {
+      clusterById.set(pageId, cluster.canonical);
+    }
+  }
+  for (const page of pages) {
+    if (page) {
+      page.duplicateCluster = clusterById.get(getPageId(page)) ?? null;
+    }
+  }
+  return clusters;
+}
+
+export {
+  computeSimHash,
+  findDuplicateClusters,
+  getSimHash,
+  hammingDistance,
+  markDuplicateClusters,
+};
@@ -0,0 +1,239 @@
+import { requestTimeoutMs, semanticSearch } from "./config.js";
+import { analyze, getPageId, splitPageFields } from "./indexer.js";
+import { splitSections } from "./sections.js";
+
+// Dense vectors for semantic search. A provider is an object with an `id`
+// (stored next to the vectors, so switching providers forces a re-embed) and
+// `embed(texts)`, which resolves to one vector per text. Vectors are
+// L2-normalized, so cosine similarity is a plain dot product.
+
+const VECTORS_FORMAT = "vectors";
+const VECTORS_FORMAT_VERSION = 1;
+const TRIGRAM_WEIGHT = 0.5;
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Rounded to 4 decimals to keep vectors.json small.
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (!norm) {
+    return vector.map(() => 0);
+  }
+  return vector.map((value) => Math.round((value / norm) * 1e4) / 1e4);
+}
+
+function dotProduct(a, b) {
+  const length = Math.min(a?.length || 0, b?.length || 0);
+  let sum = 0;
+  for (let i = 0; i < length; i += 1) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Stemmed terms plus their character trigrams, so related word forms and
+// compounds ("permission" / "permissions", "SecuritySystem" / "security")
+// land close to each other.
+function countFeatures(text) {
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+  for (const token of analyze(text)) {
+    add(`w:${token.term}`, token.weight);
+    const padded = `^${token.term}$`;
+    if (padded.length > 4) {
+      const share = (TRIGRAM_WEIGHT * token.weight) / (padded.length - 2);
+      for (let i = 0; i + 3 <= padded.length; i += 1) {
+        add(`g:${padded.slice(i, i + 3)}`, share);
+      }
+    }
+  }
+  return features;
+}
+
+// Built-in offline provider: the hashing trick over term and trigram features
+// with sublinear tf weighting. No model files, no network.
+function createHashingEmbedder({ dimensions = 256 } = {}) {
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, count] of countFeatures(text)) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % dimensions] += sign * (1 + Math.log(Math.max(1, count)));
+    }
+    return normalizeVector(vector);
+  };
+  return {
+    id: `hashing-${dimensions}`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
+
+// A locally hosted embedding server with an OpenAI-compatible API:
+// POST { model, input: [...] } -> { data: [{ index, embedding }] }.
+function createHttpEmbedder(options) {
+  const { url, model = null, fetchImpl = fetch, timeoutMs = requestTimeoutMs } = options;
+  return {
+    id: `http-${model || url}`,
+    dimensions: null,
+    async embed(texts) {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetchImpl(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ ...(model ? { model } : {}), input: texts }),
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error(`Embedding server returned HTTP ${response.status}`);
+        }
+        const payload = await response.json();
+        const data = Array.isArray(payload?.data) ? payload.data : [];
+        if (data.length !== texts.length) {
+          throw new Error(
+            `Embedding server returned ${data.length} vectors for ${texts.length} texts`
+          );
+        }
+        return data
+          .slice()
+          .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+          .map((item) => normalizeVector(item.embedding));
+      } finally {
+        clearTimeout(timeout);
+      }
+    },
+  };
+}
+
+let configuredEmbedder;
+
+// The provider selected by EMBEDDINGS_PROVIDER; null when semantic search is
+// turned off.
+function getEmbedder() {
+  if (configuredEmbedder === undefined) {
+    if (semanticSearch.provider === "http" && semanticSearch.url) {
+      configuredEmbedder = createHttpEmbedder({
+        url: semanticSearch.url,
+        model: semanticSearch.model,
+      });
+    } else if (semanticSearch.provider === "hashing") {
+      configuredEmbedder = createHashingEmbedder({ dimensions: semanticSearch.dimensions });
+    } else {
+      configuredEmbedder = null;
+    }
+  }
+  return configuredEmbedder;
+}
+
+// One text for the whole page (without code blocks) and one per section, in
+// the order of splitSections(), so section vectors line up with index.sections.
+function pageEmbeddingTexts(page) {
+  const fields = splitPageFields(page);
+  const pageText = [fields.title, fields.breadcrumbs, fields.headings, fields.body].join("\n");
+  const sectionTexts = splitSections(page.text || "").map((section) =>
+    [section.path.join(" "), section.text.replace(/```[^\n]*\n[\s\S]*?```/g, "\n")].join("\n")
+  );
+  return [pageText, ...sectionTexts];
+}
+
+function createVectorStore(embedder) {
+  return {
+    format: VECTORS_FORMAT,
+    version: VECTORS_FORMAT_VERSION,
+    provider: embedder.id,
+    dimensions: embedder.dimensions,
+    updatedAt: new Date().toISOString(),
+    pages: {},
+  };
+}
+
+function isVectorStoreFor(store, embedder) {
+  return (
+    store?.format === VECTORS_FORMAT &&
+    store.version === VECTORS_FORMAT_VERSION &&
+    store.provider === embedder?.id
+  );
+}
+
+// The existing vectors when they were made by the same provider, otherwise an
+// empty store (every page gets re-embedded).
+function openVectorStore(existing, embedder) {
+  return isVectorStoreFor(existing, embedder) ? existing : createVectorStore(embedder);
+}
+
+// Same shape as createIndexUpdater: upsert/remove pages, then finish().
+function createVectorUpdater(store, embedder) {
+  const changes = { embedded: 0, removed: 0 };
+  return {
+    has(pageId) {
+      return Object.hasOwn(store.pages, pageId);
+    },
+    async upsert(page) {
+      const [vector, ...sections] = await embedder.embed(pageEmbeddingTexts(page));
+      store.pages[getPageId(page)] = { vector, sections };
+      store.dimensions = store.dimensions || vector.length;
+      changes.embedded += 1;
+    },
+    remove(pageId) {
+      if (Object.hasOwn(store.pages, pageId)) {
+        delete store.pages[pageId];
+        changes.removed += 1;
+      }
+    },
+    finish() {
+      store.updatedAt = new Date().toISOString();
+      return changes;
+    },
+  };
+}
+
+// Pages ordered by similarity to the query: the better of the page vector and
+// its best section vector. `sectionIndex` is null when the page vector won.
+function rankBySimilarity(store, queryVector, options = {}) {
+  const minSimilarity = options.minSimilarity ?? semanticSearch.minSimilarity;
+  const candidates = options.candidates ?? semanticSearch.candidates;
+  const ranked = [];
+  for (const [pageId, entry] of Object.entries(store?.pages || {})) {
+    let similarity = dotProduct(queryVector, entry.vector);
+    let sectionIndex = null;
+    (entry.sections || []).forEach((vector, i) => {
+      const value = dotProduct(queryVector, vector);
+      if (value > similarity) {
+        similarity = value;
+        sectionIndex = i;
+      }
+    });
+    if (similarity >= minSimilarity) {
+      ranked.push({ pageId, similarity, sectionIndex });
+    }
+  }
+  ranked.sort((a, b) => {
+    if (b.similarity !== a.similarity) {
+      return b.similarity - a.similarity;
+    }
+    return a.pageId < b.pageId ? -1 : a.pageId > b.pageId ? 1 : 0;
+  });
+  return ranked.slice(0, candidates);
+}
+
+export {
+  createHashingEmbedder,
+  createHttpEmbedder,
+  createVectorStore,
+  createVectorUpdater,
+  getEmbedder,
+  isVectorStoreFor,
+  openVectorStore,
+  rankBySimilarity,
+};
@@ -0,0 +1,127 @@
+import { normalizeLanguage } from "./html.js";
+import { splitSections } from "./sections.js";
+
+// Code examples are the fenced blocks of a page's markdown. Each keeps its
+// language, the section it sits in and the paragraph right before it (shared by
+// consecutive blocks, e.g. C# and VB variants of the same sample).
+
+const MAX_CAPTION_CHARS = 300;
+const MARKUP_LANGUAGES = new Set(["xml", "html", "xaml", "config"]);
+const NON_CALL_KEYWORDS = new Set([
+  "if",
+  "for",
+  "foreach",
+  "while",
+  "switch",
+  "catch",
+  "using",
+  "lock",
+  "return",
+  "typeof",
+  "nameof",
+  "sizeof",
+  "function",
+  "sub",
+  "when",
+]);
+
+function cleanCaption(lines) {
+  const text = lines
+    .join(" ")
+    .replace(/!\[[^\]]*]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)]\([^)]*\)/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > MAX_CAPTION_CHARS ? `${text.slice(0, MAX_CAPTION_CHARS).trimEnd()}…` : text;
+}
+
+function extractExamples(text) {
+  const examples = [];
+  for (const section of splitSections(text)) {
+    let paragraph = [];
+    let caption = "";
+    let fence = null;
+    const closeParagraph = () => {
+      const cleaned = cleanCaption(paragraph);
+      if (cleaned) {
+        caption = cleaned;
+      }
+      paragraph = [];
+    };
+    for (const line of section.text.split("\n")) {
+      const trimmed = line.trim();
+      if (fence) {
+        if (trimmed.startsWith("```")) {
+          const code = fence.lines.join("\n").trim();
+          if (code) {
+            examples.push({
+              index: examples.length,
+              language: fence.language,
+              code,
+              caption,
+              heading: section.heading,
+              path: section.path,
+              anchor: section.anchor,
+              explicitAnchor: section.explicitAnchor,
+            });
+          }
+          fence = null;
+        } else {
+          fence.lines.push(line);
+        }
+        continue;
+      }
+      if (trimmed.startsWith("```")) {
+        closeParagraph();
+        fence = { language: normalizeLanguage(trimmed.slice(3).trim()), lines: [] };
+        continue;
+      }
+      if (!trimmed) {
+        closeParagraph();
+        continue;
+      }
+      paragraph.push(trimmed);
+    }
+  }
+  return examples;
+}
+
+function extractCalledMethods(code) {
+  const names = [];
+  const regex = /([A-Za-z_][A-Za-z0-9_]*)\s*(?:<[^<>()]*>)?\s*\(/g;
+  let match = regex.exec(code);
+  while (match) {
+    if (!NON_CALL_KEYWORDS.has(match[1].toLowerCase())) {
+      names.push(match[1]);
+    }
+    match = regex.exec(code);
+  }
+  return names;
+}
+
+function extractElementNames(code, language) {
+  if (!MARKUP_LANGUAGES.has(language) && !/^\s*</.test(code)) {
+    return [];
+  }
+  const names = [];
+  const regex = /<\/?([A-Za-z_][A-Za-z0-9_.:-]*)|\s([A-Za-z_][A-Za-z0-9_.:-]*)\s*=\s*["']/g;
+  let match = regex.exec(code);
+  while (match) {
+    names.push(match[1] || match[2]);
+    match = regex.exec(code);
+  }
+  return names;
+}
+
+// Text per example index field: the code itself, called method names,
+// XML element/attribute names, and the surrounding heading and caption.
+function splitExampleFields(example) {
+  return {
+    code: example.code,
+    calls: extractCalledMethods(example.code).join("\n"),
+    elements: extractElementNames(example.code, example.language).join("\n"),
+    context: [...example.path, example.caption].join("\n"),
+  };
+}
+
+export { extractExamples, splitExampleFields };
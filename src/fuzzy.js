@@ -0,0 +1,115 @@
+import { documentFrequency } from "./indexer.js";
+
+// Typo-tolerant term lookup: a trigram index over the index vocabulary narrows
+// candidates, then a bounded Damerau-Levenshtein distance confirms them.
+
+const MIN_FUZZY_LENGTH = 4;
+const trigramCache = new WeakMap();
+
+function maxDistanceFor(term) {
+  if (term.length < MIN_FUZZY_LENGTH) {
+    return 0;
+  }
+  return term.length <= 6 ? 1 : 2;
+}
+
+function trigramsOf(term) {
+  const padded = `$${term}$`;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i += 1) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+// Optimal string alignment distance; returns `max + 1` as soon as the distance
+// is known to exceed `max`.
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+}
+
+// The trigram index is rebuilt whenever the vocabulary object or its
+// `updatedAt` stamp changes (e.g. after an incremental update).
+function getTrigramIndex(index) {
+  const cached = trigramCache.get(index);
+  if (cached && cached.updatedAt === index.updatedAt) {
+    return cached.trigrams;
+  }
+  const trigrams = new Map();
+  for (const term of Object.keys(index.terms || {})) {
+    if (term.length < MIN_FUZZY_LENGTH - 1) {
+      continue;
+    }
+    for (const gram of trigramsOf(term)) {
+      if (!trigrams.has(gram)) {
+        trigrams.set(gram, []);
+      }
+      trigrams.get(gram).push(term);
+    }
+  }
+  trigramCache.set(index, { updatedAt: index.updatedAt, trigrams });
+  return trigrams;
+}
+
+// Returns vocabulary terms within the allowed edit distance, closest and most
+// frequent first.
+function findFuzzyMatches(index, term, { limit = 3 } = {}) {
+  const maxDistance = maxDistanceFor(term);
+  if (maxDistance === 0) {
+    return [];
+  }
+  const trigrams = getTrigramIndex(index);
+  const grams = trigramsOf(term);
+  const shared = new Map();
+  for (const gram of grams) {
+    for (const candidate of trigrams.get(gram) || []) {
+      shared.set(candidate, (shared.get(candidate) || 0) + 1);
+    }
+  }
+  // A single edit (transpositions included) changes at most four trigrams.
+  const minShared = Math.max(1, grams.size - 4 * maxDistance);
+  const matches = [];
+  for (const [candidate, count] of shared.entries()) {
+    if (candidate === term || count < minShared) {
+      continue;
+    }
+    const distance = editDistance(term, candidate, maxDistance);
+    if (distance <= maxDistance) {
+      matches.push({ term: candidate, distance, df: documentFrequency(index, candidate) });
+    }
+  }
+  return matches
+    .sort((a, b) => a.distance - b.distance || b.df - a.df || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+export { editDistance, findFuzzyMatches };
@@ -0,0 +1,56 @@
+// Politeness limits for the crawler: at most `maxPerHost` requests in flight
+// per host, and request starts to one host spaced at least `delayMs` apart.
+// Waiting requests are served in the order they arrived.
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createHostLimiter({ maxPerHost = 1, delayMs = 0, sleep = defaultSleep } = {}) {
+  const hosts = new Map();
+  const stateOf = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, waiting: [], nextStartAt: 0 });
+    }
+    return hosts.get(host);
+  };
+
+  const acquire = async (state) => {
+    if (state.active >= maxPerHost) {
+      await new Promise((resolve) => state.waiting.push(resolve));
+    } else {
+      state.active += 1;
+    }
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextStartAt);
+    state.nextStartAt = startAt + delayMs;
+    if (startAt > now) {
+      await sleep(startAt - now);
+    }
+  };
+
+  // The slot passes straight to the next waiter, so `active` only drops when
+  // nobody is waiting.
+  const release = (state) => {
+    const next = state.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      state.active -= 1;
+    }
+  };
+
+  return {
+    async run(url, task) {
+      const state = stateOf(new URL(url).host);
+      await acquire(state);
+      try {
+        return await task();
+      } finally {
+        release(state);
+      }
+    },
+  };
+}
+
+export { createHostLimiter };
@@ -50,15 +50,25 @@ function extractLinks(html) {
   return links;
 }
 
+// Heading anchor: the heading's own id, or a named/id'd anchor inside it.
+function extractHeadingId(attributes, content) {
+  const match =
+    attributes.match(/(?:^|\s)id=["']([^"']+)["']/i) ||
+    content.match(/<a\s+(?:[^>]*\s)?(?:name|id)=["']([^"']+)["'][^>]*>/i);
+  const id = match ? decodeHtml(match[1]).trim() : "";
+  return /^[^\s{}]+$/.test(id) ? id : "";
+}
+
 function extractHeadings(html) {
   const headings = [];
-  const regex = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi;
+  const regex = /<h([1-6])([^>]*)>([\s\S]*?)<\/h\1>/gi;
   let match = regex.exec(html);
   while (match) {
     const level = Number.parseInt(match[1], 10);
-    const text = decodeHtml(stripTags(match[2])).trim();
+    const text = decodeHtml(stripTags(match[3])).trim();
     if (text) {
-      headings.push({ level, text });
+      const id = extractHeadingId(match[2], match[3]);
+      headings.push(id ? { level, text, id } : { level, text });
     }
     match = regex.exec(html);
   }
@@ -588,13 +598,15 @@ function extractText(html, baseUrl, options = {}) {
     }
   );
   working = working.replace(
-    /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi,
-    (_, level, content) => {
+    /<h([1-6])([^>]*)>([\s\S]*?)<\/h\1>/gi,
+    (_, level, attributes, content) => {
       const text = decodeHtml(stripTags(content)).trim();
       if (!text) {
         return "\n";
       }
-      return `\n${"#".repeat(Number(level))} ${text}\n`;
+      const id = extractHeadingId(attributes, content);
+      const anchor = id ? ` {#${id}}` : "";
+      return `\n${"#".repeat(Number(level))} ${text}${anchor}\n`;
     }
   );
 
@@ -659,6 +671,7 @@ export {
   extractHeadings,
   extractText,
   extractTitle,
+  normalizeLanguage,
   sanitizeHtml,
   stripTags,
   VOID_TAGS,
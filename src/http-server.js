@@ -4,7 +4,8 @@ import { randomUUID } from "node:crypto";
 import fs from "node:fs";
 import { httpPort, logFile, serverInfo, serverInstructions, tools } from "./config.js";
 import { createLogger } from "./logger.js";
-import { handleToolCall, handleMessage } from "./index.js";
+import { handleToolCall, handleMessage, preloadData } from "./index.js";
+import { buildSearchReport } from "./query-log.js";
 import { runWithRequestContext } from "./request-context.js";
 import { getPagesPath } from "./storage.js";
 
@@ -149,6 +150,7 @@ function buildHomePage() {
         <div class="card">
           <div class="kv">
             <b>Health</b><div><a href="/health"><code>/health</code></a></div>
+            <b>Search report</b><div><a href="/reports/search"><code>/reports/search</code></a></div>
             <b>MCP SSE</b><div><a href="/sse"><code>/sse</code></a> <span class="muted">(opens an SSE stream)</span></div>
             <b>Pages index</b><div><code>${escapeHtml(pagesPath)}</code> — ${pagesExist ? "found" : "missing"}</div>
           </div>
@@ -358,6 +360,19 @@ async function handleRequest(req, res, requestId) {
     return;
   }
 
+  // Search analytics from the query log (same report as `npm run search-report`)
+  if (req.method === "GET" && url.pathname === "/reports/search") {
+    const top = Number.parseInt(url.searchParams.get("top") || "", 10);
+    const since = url.searchParams.get("since");
+    if (since && Number.isNaN(Date.parse(since))) {
+      sendJson(res, 400, { error: "since must be a date" }, { requestId });
+      return;
+    }
+    const report = await buildSearchReport({ top: top > 0 ? top : undefined, since });
+    sendJson(res, 200, report, { requestId });
+    return;
+  }
+
   // SSE endpoint for MCP
   if (req.method === "GET" && url.pathname === "/sse") {
     // Allow client to provide session ID via query parameter, or generate one
@@ -390,6 +405,10 @@ async function handleRequest(req, res, requestId) {
     try {
       const body = await readBody(req);
       const args = body ? JSON.parse(body) : {};
+      // ?explain=true is a shortcut for { "explain": true } in the body.
+      if (url.searchParams.get("explain") === "true" && args.explain === undefined) {
+        args.explain = true;
+      }
       logger.log("http.tools.call", { requestId, tool: toolName, args });
       const result = await handleToolCall(toolName, args);
       sendJson(res, 200, result, { requestId });
@@ -485,6 +504,7 @@ if (process.argv[1] && import.meta.url === new URL(process.argv[1], "file:").hre
   server.listen(httpPort, () => {
     logger.log("http.listening", { port: httpPort });
   });
+  preloadData();
 }
 
 export { createHttpServer };
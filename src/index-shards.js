@@ -0,0 +1,331 @@
+import fs from "node:fs";
+import fsPromises from "node:fs/promises";
+import path from "node:path";
+import { setTermPageCounts } from "./indexer.js";
+import { trackFileRead } from "./request-context.js";
+
+// Sharded on-disk index. `dictionary.json` keeps everything that is not keyed
+// by term (page, section and example metadata, length statistics) plus the term
+// dictionary with page document frequencies. The term-keyed maps (postings,
+// positions, surface forms, section and example postings) are split into
+// `postings-NNN.json` files by a hash of the term; a shard is read the first
+// time one of its terms is looked up and kept in a small LRU cache. The
+// per-page term lists (`pageTerms`) are only needed for updates and live in
+// `page-terms.json`, which searches never read.
+//
+// Every build goes to its own directory and `current.json` names the one to
+// read. An open index keeps reading the build it was opened from, so a reindex
+// running next to the server never swaps shards under a search; the previous
+// build is kept until the one after it replaces it.
+
+const DICTIONARY_FILE = "dictionary.json";
+const PAGE_TERMS_FILE = "page-terms.json";
+const CURRENT_FILE = "current.json";
+const SHARDED_FORMAT = "sharded";
+const SHARDED_FORMAT_VERSION = 1;
+const DEFAULT_SHARD_COUNT = 64;
+const DEFAULT_CACHE_SHARDS = 16;
+
+// FNV-1a over UTF-16 code units; stable across runs and platforms.
+function shardOf(term, shardCount) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i += 1) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash % shardCount;
+}
+
+function shardFileName(shard) {
+  return `postings-${String(shard).padStart(3, "0")}.json`;
+}
+
+// Term-keyed maps present in the index, as dotted paths from its root.
+function listTermMaps(index) {
+  const maps = ["terms", "forms", "sectionTerms"].filter((name) => index[name]);
+  for (const group of ["fields", "positions"]) {
+    for (const field of Object.keys(index[group] || {})) {
+      maps.push(`${group}.${field}`);
+    }
+  }
+  for (const field of Object.keys(index.examples?.fields || {})) {
+    maps.push(`examples.fields.${field}`);
+  }
+  return maps;
+}
+
+function getPath(target, dotted) {
+  return dotted.split(".").reduce((value, key) => value?.[key], target);
+}
+
+function setPath(target, dotted, value) {
+  const keys = dotted.split(".");
+  const parent = keys.slice(0, -1).reduce((node, key) => node[key], target);
+  parent[keys[keys.length - 1]] = value;
+}
+
+// Everything but the term-keyed maps, which are left as empty objects.
+function stripTermMaps(index, maps) {
+  const meta = {
+    ...index,
+    fields: index.fields ? { ...index.fields } : index.fields,
+    positions: index.positions ? { ...index.positions } : index.positions,
+    examples: index.examples
+      ? { ...index.examples, fields: { ...index.examples.fields } }
+      : index.examples,
+  };
+  for (const dotted of maps) {
+    setPath(meta, dotted, {});
+  }
+  delete meta.pageTerms;
+  return meta;
+}
+
+let buildCount = 0;
+
+async function writeShardedIndex(dirPath, index, options = {}) {
+  const shardCount = Math.max(1, options.shardCount || DEFAULT_SHARD_COUNT);
+  const maps = listTermMaps(index);
+  const shards = Array.from({ length: shardCount }, () => ({}));
+  const terms = {};
+  for (const dotted of maps) {
+    for (const [term, value] of Object.entries(getPath(index, dotted) || {})) {
+      const shard = shards[shardOf(term, shardCount)];
+      const target = shard[dotted] || (shard[dotted] = {});
+      target[term] = value;
+      if (terms[term] === undefined) {
+        terms[term] = 0;
+      }
+    }
+  }
+  for (const [term, postings] of Object.entries(index.terms || {})) {
+    terms[term] = Object.keys(postings).length;
+  }
+  const dictionary = {
+    format: SHARDED_FORMAT,
+    version: SHARDED_FORMAT_VERSION,
+    shardCount,
+    maps,
+    terms,
+    index: stripTermMaps(index, maps),
+  };
+
+  buildCount += 1;
+  const build = `build-${Date.now().toString(36)}-${process.pid}-${buildCount}`;
+  const tempPath = path.join(dirPath, `${build}.tmp`);
+  await fsPromises.mkdir(tempPath, { recursive: true });
+  await fsPromises.writeFile(
+    path.join(tempPath, DICTIONARY_FILE),
+    JSON.stringify(dictionary),
+    "utf8"
+  );
+  for (let shard = 0; shard < shardCount; shard += 1) {
+    await fsPromises.writeFile(
+      path.join(tempPath, shardFileName(shard)),
+      JSON.stringify(shards[shard]),
+      "utf8"
+    );
+  }
+  if (index.pageTerms) {
+    await fsPromises.writeFile(
+      path.join(tempPath, PAGE_TERMS_FILE),
+      JSON.stringify(index.pageTerms),
+      "utf8"
+    );
+  }
+  await fsPromises.rename(tempPath, path.join(dirPath, build));
+  // `publish: false` leaves the build unread until publishShardedBuild().
+  if (options.publish !== false) {
+    await publishShardedBuild(dirPath, build);
+  }
+  return build;
+}
+
+// Points current.json at `build`. Safe to repeat, and a build that is already
+// gone (published and replaced since) is left alone.
+async function publishShardedBuild(dirPath, build) {
+  const previous = readCurrentBuild(dirPath);
+  if (previous === build || !fs.existsSync(path.join(dirPath, build))) {
+    return;
+  }
+  const currentPath = path.join(dirPath, CURRENT_FILE);
+  const currentTempPath = `${currentPath}.tmp-${process.pid}`;
+  await fsPromises.writeFile(currentTempPath, JSON.stringify({ build }), "utf8");
+  await fsPromises.rename(currentTempPath, currentPath);
+
+  // Older builds (and the files of the single-directory layout) go; the one
+  // just replaced stays for indexes still open on it.
+  const keep = new Set([CURRENT_FILE, build, previous]);
+  for (const entry of await fsPromises.readdir(dirPath)) {
+    if (!keep.has(entry)) {
+      await fsPromises.rm(path.join(dirPath, entry), { recursive: true, force: true });
+    }
+  }
+}
+
+// Name of the build `current.json` points to; null for an index written before
+// builds had their own directories (or no index at all).
+function readCurrentBuild(dirPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dirPath, CURRENT_FILE), "utf8")).build || null;
+  } catch {
+    return null;
+  }
+}
+
+function resolveBuildDir(dirPath) {
+  const build = readCurrentBuild(dirPath);
+  return build ? path.join(dirPath, build) : dirPath;
+}
+
+function hasShardedIndex(dirPath) {
+  return fs.existsSync(path.join(resolveBuildDir(dirPath), DICTIONARY_FILE));
+}
+
+async function readDictionary(dirPath) {
+  const dictionaryPath = path.join(dirPath, DICTIONARY_FILE);
+  trackFileRead(dictionaryPath);
+  const dictionary = JSON.parse(await fsPromises.readFile(dictionaryPath, "utf8"));
+  if (dictionary.format !== SHARDED_FORMAT || dictionary.version !== SHARDED_FORMAT_VERSION) {
+    throw new Error(`Unsupported index format in ${dictionaryPath}`);
+  }
+  return dictionary;
+}
+
+// Loads every shard into a plain, mutable index object (for incremental
+// updates and format migration).
+async function readShardedIndex(indexDir) {
+  const dirPath = resolveBuildDir(indexDir);
+  const dictionary = await readDictionary(dirPath);
+  const index = dictionary.index;
+  for (let shard = 0; shard < dictionary.shardCount; shard += 1) {
+    const filePath = path.join(dirPath, shardFileName(shard));
+    trackFileRead(filePath);
+    const loaded = JSON.parse(await fsPromises.readFile(filePath, "utf8"));
+    for (const [dotted, entries] of Object.entries(loaded)) {
+      Object.assign(getPath(index, dotted), entries);
+    }
+  }
+  const pageTermsPath = path.join(dirPath, PAGE_TERMS_FILE);
+  if (fs.existsSync(pageTermsPath)) {
+    trackFileRead(pageTermsPath);
+    index.pageTerms = JSON.parse(await fsPromises.readFile(pageTermsPath, "utf8"));
+  }
+  return index;
+}
+
+// Lazy index -> the index directory and the build it was opened from.
+const lazyIndexes = new WeakMap();
+
+function isLazyIndex(index) {
+  return lazyIndexes.has(index);
+}
+
+// Whether a newer build has replaced the one a lazy index reads.
+function isShardedIndexStale(index) {
+  const opened = lazyIndexes.get(index);
+  return Boolean(opened) && readCurrentBuild(opened.indexDir) !== opened.build;
+}
+
+// A read-only map whose entries come from the shards. Lookups are synchronous
+// (search is), and listing keys of the page term map uses only the dictionary.
+function createLazyMap(dotted, store) {
+  const listKeys = () =>
+    dotted === "terms" ? store.pageTerms() : store.allKeys(dotted);
+  return new Proxy(
+    {},
+    {
+      get: (target, term) => (typeof term === "string" ? store.lookup(dotted, term) : undefined),
+      has: (target, term) =>
+        typeof term === "string" && store.lookup(dotted, term) !== undefined,
+      ownKeys: () => listKeys(),
+      getOwnPropertyDescriptor: (target, term) => {
+        if (typeof term !== "string" || !store.knows(dotted, term)) {
+          return undefined;
+        }
+        return {
+          get: () => store.lookup(dotted, term),
+          enumerable: true,
+          configurable: true,
+        };
+      },
+      set: () => false,
+      deleteProperty: () => false,
+    }
+  );
+}
+
+async function openShardedIndex(indexDir, options = {}) {
+  const cacheShards = Math.max(1, options.cacheShards || DEFAULT_CACHE_SHARDS);
+  const build = readCurrentBuild(indexDir);
+  const dirPath = build ? path.join(indexDir, build) : indexDir;
+  const dictionary = await readDictionary(dirPath);
+
+  const { shardCount, terms } = dictionary;
+  const cache = new Map();
+  let pageTerms = null;
+
+  function loadShard(shard) {
+    if (cache.has(shard)) {
+      const cached = cache.get(shard);
+      cache.delete(shard);
+      cache.set(shard, cached);
+      return cached;
+    }
+    const filePath = path.join(dirPath, shardFileName(shard));
+    trackFileRead(filePath);
+    const loaded = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    cache.set(shard, loaded);
+    if (cache.size > cacheShards) {
+      cache.delete(cache.keys().next().value);
+    }
+    return loaded;
+  }
+
+  const store = {
+    lookup(dotted, term) {
+      if (!Object.hasOwn(terms, term)) {
+        return undefined;
+      }
+      return loadShard(shardOf(term, shardCount))[dotted]?.[term];
+    },
+    knows(dotted, term) {
+      if (dotted === "terms") {
+        return terms[term] > 0;
+      }
+      return this.lookup(dotted, term) !== undefined;
+    },
+    pageTerms() {
+      if (!pageTerms) {
+        pageTerms = Object.keys(terms).filter((term) => terms[term] > 0);
+      }
+      return pageTerms;
+    },
+    allKeys(dotted) {
+      const keys = [];
+      for (let shard = 0; shard < shardCount; shard += 1) {
+        keys.push(...Object.keys(loadShard(shard)[dotted] || {}));
+      }
+      return keys;
+    },
+  };
+
+  const index = dictionary.index;
+  for (const dotted of dictionary.maps) {
+    setPath(index, dotted, createLazyMap(dotted, store));
+  }
+  lazyIndexes.set(index, { indexDir, build });
+  setTermPageCounts(index, terms);
+  return index;
+}
+
+export {
+  hasShardedIndex,
+  isLazyIndex,
+  isShardedIndexStale,
+  openShardedIndex,
+  publishShardedBuild,
+  readShardedIndex,
+  shardOf,
+  writeShardedIndex,
+};
@@ -3,26 +3,59 @@ import fs from "node:fs";
 import { pathToFileURL } from "node:url";
 import {
   loadIndex,
+  loadIndexForUpdate,
   loadPages,
   loadPagesFromMarkdown,
   loadPageMarkdownByMetadata,
-  saveIndex,
+  loadVectors,
+  saveIndexData,
   savePageMarkdown,
-  savePages,
+  saveVectors,
+  summarizePage,
+  getIndexFormat,
   getIndexPath,
   getPagesPath,
 } from "./storage.js";
-import { buildExcerpt, searchIndex } from "./search.js";
-import { buildIndex } from "./indexer.js";
+import {
+  createPageLookup,
+  InvalidCursorError,
+  SEARCH_MODES,
+  searchExamples,
+  searchIndex,
+  semanticQueryText,
+} from "./search.js";
+import { markDuplicateClusters } from "./duplicates.js";
+import { createVectorUpdater, getEmbedder, isVectorStoreFor } from "./embeddings.js";
+import { buildLinkGraph, findCoCitedPages } from "./link-graph.js";
+import {
+  buildSnippets,
+  formatSnippets,
+  SNIPPET_FORMATS,
+  snippetsToExcerpt,
+} from "./snippets.js";
+import { extractExamples } from "./examples.js";
+import { QuerySyntaxError } from "./query.js";
+import {
+  applyPageChanges,
+  buildIndex,
+  computePageId,
+  getPageId,
+  supportsIncrementalUpdates,
+} from "./indexer.js";
+import { isLazyIndex, isShardedIndexStale } from "./index-shards.js";
+import { findSection, sectionUrl, splitSections, stripHeadingAnchors } from "./sections.js";
+import { getSynonyms } from "./synonyms.js";
 import {
   baseUrl,
   fetchOnMiss,
+  fetchOnMissSaveDelayMs,
   logFile,
   requestTimeoutMs,
   userAgent,
   codeLanguages,
   serverInfo as SERVER_INFO,
   serverInstructions as SERVER_INSTRUCTIONS,
+  synonyms as synonymsConfig,
   tools as TOOLS,
   toolAliases as TOOL_ALIASES,
 } from "./config.js";
@@ -32,14 +65,19 @@ import {
   extractLinks,
   extractText,
   extractTitle,
+  normalizeLanguage,
 } from "./html.js";
 import { createLogger } from "./logger.js";
+import { createQueryLog } from "./query-log.js";
 
 let pagesCache = null;
 let indexCache = null;
 let pageBySlug = null;
 let pageByUrl = null;
+// undefined until the first semantic query; null when there are no vectors.
+let vectorsCache;
 const logger = createLogger({ component: "server", logPath: logFile });
+const queryLog = createQueryLog();
 let dataMissingLogged = false;
 
 class McpError extends Error {
@@ -49,10 +87,67 @@ class McpError extends Error {
   }
 }
 
+// get_page output: the page without the heading anchor markers.
+function servePage(page) {
+  return { id: getPageId(page), ...page, text: stripHeadingAnchors(page.text) };
+}
+
 function asNonEmptyString(value) {
   return typeof value === "string" && value.trim() ? value.trim() : null;
 }
 
+const MAX_RESULT_LIMIT = 100;
+
+function readLimit(value, fallback = 5) {
+  if (!Number.isFinite(value)) {
+    return fallback;
+  }
+  return Math.min(MAX_RESULT_LIMIT, Math.max(1, Math.trunc(value)));
+}
+
+function readSnippetFormat(args) {
+  const format = asNonEmptyString(args?.snippetFormat) || "plain";
+  if (!SNIPPET_FORMATS.includes(format)) {
+    throw new McpError(
+      -32602,
+      `Invalid params: "snippetFormat" must be one of ${SNIPPET_FORMATS.join(", ")}.`
+    );
+  }
+  return format;
+}
+
+function readSearchMode(args) {
+  const mode = asNonEmptyString(args?.mode) || "keyword";
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new McpError(
+      -32602,
+      `Invalid params: "mode" must be one of ${SEARCH_MODES.join(", ")}.`
+    );
+  }
+  return mode;
+}
+
+function readPagination(args) {
+  if (args?.offset !== undefined && !(Number.isInteger(args.offset) && args.offset >= 0)) {
+    throw new McpError(-32602, 'Invalid params: "offset" must be a non-negative integer.');
+  }
+  return { offset: args?.offset ?? 0, cursor: asNonEmptyString(args?.cursor) };
+}
+
+// One query log record per search: `resultCount` counts all matches, `pageIds`
+// the pages actually returned.
+function recordQuery(log, tool, query, startedAt, { resultCount, results, ...details }) {
+  log.record({
+    tool,
+    query,
+    ...details,
+    resultCount,
+    topSlug: results[0]?.slug ?? null,
+    pageIds: Array.from(new Set(results.map((item) => item.pageId))),
+    latencyMs: Date.now() - startedAt,
+  });
+}
+
 function logStartupInfo() {
   const pagesPath = getPagesPath();
   logger.log("server.startup", {
@@ -60,6 +155,12 @@ function logStartupInfo() {
     pagesJsonPath: pagesPath,
     pagesJsonExists: fs.existsSync(pagesPath),
   });
+  const glossary = getSynonyms();
+  if (glossary.error) {
+    logger.warn("synonyms.load_failed", { path: synonymsConfig.file, error: glossary.error });
+  } else {
+    logger.log("synonyms.loaded", { path: synonymsConfig.file, groups: glossary.groups.length });
+  }
 }
 
 async function fetchHtml(url) {
@@ -93,17 +194,27 @@ async function fetchHtml(url) {
   }
 }
 
+function setDataCache(pages, index) {
+  pagesCache = pages;
+  indexCache = index;
+  pageBySlug = new Map(pages.map((page) => [page.slug, page]));
+  pageByUrl = new Map(pages.map((page) => [page.url, page]));
+}
+
 async function loadData() {
+  // A reindex or crawl that wrote a new sharded build makes the open one
+  // stale; pages and index are reloaded together.
+  if (indexCache && isShardedIndexStale(indexCache)) {
+    pagesCache = null;
+    indexCache = null;
+  }
   if (pagesCache && indexCache) {
     return { pages: pagesCache, index: indexCache };
   }
 
   try {
     const [pages, index] = await Promise.all([loadPages(), loadIndex()]);
-    pagesCache = pages;
-    indexCache = index;
-    pageBySlug = new Map(pages.map((page) => [page.slug, page]));
-    pageByUrl = new Map(pages.map((page) => [page.url, page]));
+    setDataCache(pages, index);
     return { pages, index };
   } catch (error) {
     if (!dataMissingLogged) {
@@ -149,6 +260,87 @@ async function loadData() {
   }
 }
 
+async function loadVectorData() {
+  if (vectorsCache === undefined) {
+    try {
+      vectorsCache = await loadVectors();
+    } catch (error) {
+      logger.warn("vectors.load_failed", { error: error.message });
+      vectorsCache = null;
+    }
+  }
+  return vectorsCache;
+}
+
+// Loads the page vectors and embeds the query for semantic/hybrid search;
+// `error` says why that is not possible.
+async function prepareSemanticSearch(query, { embedder, vectors }) {
+  if (!embedder) {
+    return {
+      error:
+        "Semantic search is disabled. Set EMBEDDINGS_PROVIDER (hashing or http) and run: " +
+        "npm run reindex",
+    };
+  }
+  const store = vectors === undefined ? await loadVectorData() : vectors;
+  if (!isVectorStoreFor(store, embedder)) {
+    return {
+      error: store
+        ? `Page vectors were built by "${store.provider}", but the configured provider is ` +
+          `"${embedder.id}". Run: npm run reindex`
+        : "No page vectors found. Run: npm run reindex",
+    };
+  }
+  let text;
+  try {
+    text = semanticQueryText(query);
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      throw new McpError(-32602, `Invalid params: query syntax error. ${error.message}`);
+    }
+    throw error;
+  }
+  try {
+    const [queryVector] = await embedder.embed([text]);
+    return { vectors: store, queryVector };
+  } catch (error) {
+    logger.warn("search_docs.embed_failed", { error: error.message });
+    return { error: `Embedding the query failed: ${error.message}` };
+  }
+}
+
+// Keeps the vectors in step with pages fetched on a cache miss; without
+// vectors from the configured provider this is left to the next reindex.
+async function embedFetchedPages(fetched) {
+  const embedder = getEmbedder();
+  const store = embedder ? await loadVectorData() : null;
+  if (!isVectorStoreFor(store, embedder)) {
+    return;
+  }
+  const updater = createVectorUpdater(store, embedder);
+  for (const page of fetched) {
+    try {
+      await updater.upsert(page);
+    } catch (error) {
+      logger.warn("get_page.fetch_on_miss.embed_failed", { url: page.url, error: error.message });
+    }
+  }
+  if (updater.finish().embedded > 0) {
+    await saveVectors(store);
+  }
+}
+
+// Loads pages and the index (for the sharded format: only the term dictionary)
+// at startup instead of on the first tool call.
+async function preloadData() {
+  try {
+    const { pages } = await loadData();
+    logger.log("data.loaded", { pages: pages.length, indexFormat: getIndexFormat() });
+  } catch {
+    // loadData already logged data.missing; tool calls report it as well.
+  }
+}
+
 function respond(id, result) {
   if (id === undefined || id === null) {
     return;
@@ -176,6 +368,20 @@ function toolResult(text, extra = {}) {
   };
 }
 
+function runSearch(index, pages, query, limit, options, search = searchIndex) {
+  try {
+    return search(index, pages, query, limit, options);
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      throw new McpError(-32602, `Invalid params: query syntax error. ${error.message}`);
+    }
+    if (error instanceof InvalidCursorError) {
+      throw new McpError(-32602, `Invalid params: "cursor". ${error.message}`);
+    }
+    throw error;
+  }
+}
+
 function resolvePage(slug) {
   if (!slug) {
     return null;
@@ -214,6 +420,20 @@ function resolvePageFromPages(pages, slug) {
   }
   return null;
 }
+const MAX_SECTION_TEXT_CHARS = 4000;
+
+function withSectionText(section, fullPage) {
+  if (!section || !fullPage) {
+    return section;
+  }
+  const match = findSection(splitSections(fullPage.text || ""), { anchor: section.anchor });
+  const text = match?.text ?? section.text ?? "";
+  if (text.length <= MAX_SECTION_TEXT_CHARS) {
+    return { ...section, text };
+  }
+  return { ...section, text: text.slice(0, MAX_SECTION_TEXT_CHARS).trimEnd(), truncated: true };
+}
+
 function resolvePageUrl(slug) {
   const trimmed = slug.trim();
   if (trimmed.startsWith("http")) {
@@ -242,6 +462,7 @@ async function fetchAndCachePage(slug) {
     : urlObj.pathname.replace(/^\/+/, "") || "index";
 
   const page = {
+    id: computePageId({ url }),
     slug: slugValue,
     url,
     title,
@@ -257,22 +478,76 @@ async function fetchAndCachePage(slug) {
   };
 
   await savePageMarkdown(page, undefined, logger);
-  const pages = await loadPagesFromMarkdown();
-  const index = buildIndex(pages);
-  await savePages(pages);
-  await saveIndex(index);
+  // get_page finds the page from its markdown right away; search sees it once
+  // the batch is saved.
+  pageBySlug?.set(page.slug, summarizePage(page));
+  pageByUrl?.set(page.url, summarizePage(page));
+  pendingFetchedPages.set(page.id, page);
+  clearTimeout(saveFetchedPagesTimer);
+  saveFetchedPagesTimer = setTimeout(() => {
+    saveFetchedPages();
+  }, fetchOnMissSaveDelayMs);
+  saveFetchedPagesTimer.unref?.();
+  logger.log("get_page.fetch_on_miss.fetched", { slug: page.slug, url: page.url });
+  return page;
+}
 
-  pagesCache = pages;
-  indexCache = index;
-  pageBySlug = new Map(pages.map((item) => [item.slug, item]));
-  pageByUrl = new Map(pages.map((item) => [item.url, item]));
+// Pages fetched on a miss are indexed and written in batches: one update of
+// pages.json, the index (with one link-graph rebuild) and the vectors for every
+// page fetched within `FETCH_ON_MISS_SAVE_DELAY_MS` of the previous one.
+const pendingFetchedPages = new Map();
+let saveFetchedPagesTimer = null;
+let savingFetchedPages = Promise.resolve();
+
+function saveFetchedPages() {
+  clearTimeout(saveFetchedPagesTimer);
+  saveFetchedPagesTimer = null;
+  savingFetchedPages = savingFetchedPages.then(async () => {
+    const fetched = Array.from(pendingFetchedPages.values());
+    pendingFetchedPages.clear();
+    if (fetched.length === 0) {
+      return;
+    }
+    try {
+      await indexFetchedPages(fetched);
+      logger.log("get_page.fetch_on_miss.saved", { pages: fetched.length });
+    } catch (error) {
+      logger.warn("get_page.fetch_on_miss.save_failed", {
+        pages: fetched.length,
+        error: error.message,
+      });
+    }
+  });
+  return savingFetchedPages;
+}
 
-  logger.log("get_page.fetch_on_miss.saved", { slug: page.slug, url: page.url });
-  return page;
+// Only the fetched pages are (re)indexed. A lazily loaded (sharded) index is
+// read in full for the update.
+async function indexFetchedPages(fetched) {
+  const existing =
+    pagesCache && indexCache && !isLazyIndex(indexCache)
+      ? { pages: pagesCache, index: indexCache }
+      : await loadIndexForUpdate();
+  let pages;
+  let index;
+  if (existing && supportsIncrementalUpdates(existing.index)) {
+    ({ pages, index } = existing);
+    applyPageChanges(index, pages, { upsert: fetched });
+  } else {
+    pages = await loadPagesFromMarkdown();
+    index = buildIndex(pages);
+  }
+  markDuplicateClusters(pages);
+  await saveIndexData(pages, index);
+  setDataCache(pages, getIndexFormat() === "sharded" ? await loadIndex() : index);
+  await embedFetchedPages(fetched);
 }
 
 async function handleToolCall(name, args, options = {}) {
-  const { loadDataImpl, fetchOnMissOverride, fetchAndCachePageImpl } = options;
+  const { loadDataImpl, fetchOnMissOverride, fetchAndCachePageImpl, loadPageImpl } = options;
+  const queryLogSink = options.queryLog || queryLog;
+  const startedAt = Date.now();
+  const loadPageMarkdown = loadPageImpl || loadPageMarkdownByMetadata;
   const requestedName = name;
   const normalizedName = TOOL_ALIASES?.[name] || name;
   logger.log("tools.call", { name: requestedName, normalizedName, args });
@@ -282,20 +557,53 @@ async function handleToolCall(name, args, options = {}) {
     if (!query) {
       throw new McpError(-32602, 'Invalid params: "query" (string) is required.');
     }
-    const { pages, index } = loadDataImpl ? await loadDataImpl() : await loadData();
-    const limit = Number.isFinite(args?.limit) ? args.limit : 5;
-    const results = searchIndex(index, pages, query, limit);
+    const data = loadDataImpl ? await loadDataImpl() : await loadData();
+    const { pages, index } = data;
+    const limit = readLimit(args?.limit);
+    const category = asNonEmptyString(args?.category);
+    const snippetFormat = readSnippetFormat(args);
+    const mode = readSearchMode(args);
+    let semantic = {};
+    if (mode !== "keyword") {
+      semantic = await prepareSemanticSearch(query, {
+        embedder: options.embedder === undefined ? getEmbedder() : options.embedder,
+        vectors: loadDataImpl ? data.vectors ?? null : undefined,
+      });
+      if (semantic.error) {
+        return toolResult(semantic.error, { isError: true });
+      }
+    }
+    const results = runSearch(index, pages, query, limit, {
+      category,
+      snippetFormat,
+      mode,
+      collapseDuplicates: args?.collapseDuplicates !== false,
+      vectors: semantic.vectors,
+      queryVector: semantic.queryVector,
+      explain: args?.explain === true,
+      ...readPagination(args),
+    });
     // Improve excerpts/headings by loading full markdown for top results.
+    const pageOf = createPageLookup(index, pages);
     const enriched = [];
     for (const item of results.results) {
-      const meta = pages[item.pageId];
-      const full = meta ? await loadPageMarkdownByMetadata(meta) : null;
+      const meta = pageOf(item.pageId);
+      const full = meta ? await loadPageMarkdown(meta) : null;
+      const snippets = full ? buildSnippets(full.text || "", results.highlightTerms) : null;
       enriched.push({
         ...item,
-        excerpt: full ? buildExcerpt(full.text || "", results.tokens) : item.excerpt,
+        excerpt: snippets ? snippetsToExcerpt(snippets) : item.excerpt,
+        snippets: snippets ? formatSnippets(snippets, snippetFormat) : item.snippets,
         headings: full?.headings || item.headings || [],
+        section: withSectionText(item.section, full),
       });
     }
+    recordQuery(queryLogSink, normalizedName, query, startedAt, {
+      category,
+      mode,
+      resultCount: results.totalMatches,
+      results: enriched,
+    });
     return toolResult(JSON.stringify({ ...results, results: enriched }, null, 2));
   }
 
@@ -314,7 +622,7 @@ async function handleToolCall(name, args, options = {}) {
           const fetched = fetchAndCachePageImpl
             ? await fetchAndCachePageImpl(lookup)
             : await fetchAndCachePage(lookup);
-          return toolResult(JSON.stringify(fetched, null, 2));
+          return toolResult(JSON.stringify(servePage(fetched), null, 2));
         } catch (error) {
           logger.warn("get_page.fetch_on_miss.failed", {
             slug: lookup,
@@ -328,8 +636,59 @@ async function handleToolCall(name, args, options = {}) {
       }
       return toolResult(`Page not found for slug: ${lookup}`, { isError: true });
     }
-    const full = await loadPageMarkdownByMetadata(page);
-    return toolResult(JSON.stringify(full || page, null, 2));
+    const full = (await loadPageMarkdownByMetadata(page)) || page;
+    return toolResult(JSON.stringify(servePage(full), null, 2));
+  }
+
+  if (normalizedName === "get_section") {
+    const lookup = asNonEmptyString(args?.url) || asNonEmptyString(args?.slug);
+    const heading = asNonEmptyString(args?.heading);
+    const anchor =
+      asNonEmptyString(args?.anchor) ||
+      (lookup?.startsWith("http") && lookup.includes("#") ? lookup.split("#")[1] : null);
+    if (!lookup || (!heading && !anchor)) {
+      throw new McpError(
+        -32602,
+        'Invalid params: provide "slug" or "url" and "heading" or "anchor" (string).'
+      );
+    }
+    const { pages } = loadDataImpl ? await loadDataImpl() : await loadData();
+    const meta = resolvePage(lookup) || resolvePageFromPages(pages, lookup);
+    const page = meta ? await loadPageMarkdown(meta) : null;
+    if (!page) {
+      return toolResult(`Page not found for slug: ${lookup}`, { isError: true });
+    }
+    const sections = splitSections(page.text || "");
+    const section = findSection(sections, { anchor, heading });
+    if (!section) {
+      const available = sections
+        .filter((item) => item.heading)
+        .map((item) => `${item.heading} (#${item.anchor})`)
+        .join(", ");
+      return toolResult(
+        `Section not found in ${page.slug}: ${anchor ? `#${anchor}` : heading}. ` +
+          `Available sections: ${available || "(none)"}`,
+        { isError: true }
+      );
+    }
+    return toolResult(
+      JSON.stringify(
+        {
+          pageId: getPageId(meta),
+          slug: page.slug,
+          title: page.title,
+          pageUrl: page.url,
+          url: sectionUrl(page.url, section),
+          anchor: section.anchor,
+          heading: section.heading,
+          level: section.level,
+          path: section.path,
+          text: section.text,
+        },
+        null,
+        2
+      )
+    );
   }
 
   if (normalizedName === "get_examples") {
@@ -338,24 +697,76 @@ async function handleToolCall(name, args, options = {}) {
       throw new McpError(-32602, 'Invalid params: "topic" (string) is required.');
     }
     const { pages, index } = loadDataImpl ? await loadDataImpl() : await loadData();
-    const limit = Number.isFinite(args?.limit) ? args.limit : 5;
-    const search = searchIndex(index, pages, topic, limit);
+    const limit = readLimit(args?.limit);
+    const language = asNonEmptyString(args?.language);
+    const category = asNonEmptyString(args?.category);
+    if (index.examples) {
+      const search = runSearch(
+        index,
+        pages,
+        topic,
+        limit,
+        { language, category, ...readPagination(args) },
+        searchExamples
+      );
+      const pageOf = createPageLookup(index, pages);
+      const examples = [];
+      for (const item of search.results) {
+        const meta = pageOf(item.pageId);
+        const full = meta ? await loadPageMarkdown(meta) : null;
+        const code = full ? extractExamples(full.text || "")[item.blockIndex]?.code : item.code;
+        if (code) {
+          examples.push({ ...item, code });
+        }
+      }
+      recordQuery(queryLogSink, normalizedName, topic, startedAt, {
+        category,
+        language: search.language,
+        resultCount: search.totalMatches,
+        results: examples,
+      });
+      return toolResult(
+        JSON.stringify(
+          {
+            topic,
+            language: search.language,
+            category: search.category,
+            facets: search.facets,
+            totalMatches: search.totalMatches,
+            offset: search.offset,
+            nextCursor: search.nextCursor,
+            ...(search.didYouMean.length ? { didYouMean: search.didYouMean } : {}),
+            examples,
+          },
+          null,
+          2
+        )
+      );
+    }
+    // Indexes built before the example index: take the code blocks of the
+    // best-matching pages.
+    const search = runSearch(index, pages, topic, limit, { category });
     const examples = [];
     for (const result of search.results) {
-      const pageMeta = resolvePage(result.slug);
-      const page = pageMeta ? await loadPageMarkdownByMetadata(pageMeta) : null;
-      if (!page || !Array.isArray(page.codeBlocks)) {
+      const pageMeta = resolvePage(result.slug) || createPageLookup(index, pages)(result.pageId);
+      const page = pageMeta ? await loadPageMarkdown(pageMeta) : null;
+      if (!page) {
         continue;
       }
-      for (const code of page.codeBlocks) {
-        if (!code) {
+      for (const example of extractExamples(page.text || "")) {
+        if (language && example.language !== normalizeLanguage(language)) {
           continue;
         }
         examples.push({
+          pageId: result.pageId,
           slug: page.slug,
           title: page.title,
-          url: page.url,
-          code,
+          url: sectionUrl(page.url, example),
+          language: example.language,
+          heading: example.heading,
+          path: example.path,
+          caption: example.caption,
+          code: example.code,
         });
         if (examples.length >= limit) {
           break;
@@ -365,37 +776,109 @@ async function handleToolCall(name, args, options = {}) {
         break;
       }
     }
+    recordQuery(queryLogSink, normalizedName, topic, startedAt, {
+      category,
+      language,
+      resultCount: examples.length,
+      results: examples,
+    });
     return toolResult(JSON.stringify({ topic, examples }, null, 2));
   }
 
+  if (normalizedName === "get_related_pages") {
+    const lookup = asNonEmptyString(args?.url) || asNonEmptyString(args?.slug);
+    if (!lookup) {
+      throw new McpError(-32602, 'Invalid params: provide "slug" or "url" (string).');
+    }
+    const limit = readLimit(args?.limit, 10);
+    const { pages, index } = loadDataImpl ? await loadDataImpl() : await loadData();
+    const page = resolvePage(lookup) || resolvePageFromPages(pages, lookup);
+    if (!page) {
+      return toolResult(`Page not found for slug: ${lookup}`, { isError: true });
+    }
+    // Indexes built before the link graph: derive it from pages.json.
+    const graph = index.linkGraph || buildLinkGraph(pages);
+    const byId = new Map(pages.map((item) => [getPageId(item), item]));
+    const describe = (pageId, extra = {}) => {
+      const item = byId.get(pageId);
+      return {
+        pageId,
+        slug: item?.slug,
+        title: item?.title,
+        url: item?.url,
+        authority: graph.authority?.[pageId] ?? 0,
+        ...extra,
+      };
+    };
+    // Most authoritative first; URL as a stable tie-breaker.
+    const byAuthority = (a, b) =>
+      b.authority - a.authority || (a.url || "").localeCompare(b.url || "");
+    const pageId = getPageId(page);
+    const inbound = (graph.inbound?.[pageId] || []).map((id) => describe(id)).sort(byAuthority);
+    const outbound = (graph.outbound?.[pageId] || []).map((id) => describe(id)).sort(byAuthority);
+    const coCited = findCoCitedPages(graph, pageId)
+      .map((item) => describe(item.pageId, { coCitations: item.count }))
+      .sort((a, b) => b.coCitations - a.coCitations || byAuthority(a, b));
+    return toolResult(
+      JSON.stringify(
+        {
+          ...describe(pageId),
+          inboundCount: inbound.length,
+          outboundCount: outbound.length,
+          inbound: inbound.slice(0, limit),
+          outbound: outbound.slice(0, limit),
+          coCited: coCited.slice(0, limit),
+        },
+        null,
+        2
+      )
+    );
+  }
+
   if (normalizedName === "explain_concept") {
     const concept = asNonEmptyString(args?.name);
     if (!concept) {
       throw new McpError(-32602, 'Invalid params: "name" (string) is required.');
     }
+    const snippetFormat = readSnippetFormat(args);
     const { pages, index } = loadDataImpl ? await loadDataImpl() : await loadData();
-    const search = searchIndex(index, pages, concept, 3);
+    const search = runSearch(index, pages, concept, 3, { snippetFormat });
+    recordQuery(queryLogSink, normalizedName, concept, startedAt, {
+      resultCount: search.totalMatches,
+      results: search.results,
+    });
     if (!search.results.length) {
-      return toolResult(`No documentation found for: ${concept}`, {
+      const suggestion = search.didYouMean.length
+        ? `. Did you mean: ${search.didYouMean.join(", ")}?`
+        : "";
+      return toolResult(`No documentation found for: ${concept}${suggestion}`, {
         isError: true,
       });
     }
     const primary = search.results[0];
-    const primaryMeta = primary?.pageId !== undefined ? pages[primary.pageId] : null;
-    const primaryFull = primaryMeta ? await loadPageMarkdownByMetadata(primaryMeta) : null;
+    const primaryMeta =
+      primary?.pageId !== undefined ? createPageLookup(index, pages)(primary.pageId) : null;
+    const primaryFull = primaryMeta ? await loadPageMarkdown(primaryMeta) : null;
+    const snippets = primaryFull
+      ? buildSnippets(primaryFull.text || "", search.highlightTerms)
+      : null;
     const explanation = {
       concept,
-      summary: primaryFull ? buildExcerpt(primaryFull.text || "", search.tokens) : primary.excerpt,
+      summary: snippets ? snippetsToExcerpt(snippets) : primary.excerpt,
+      snippets: snippets ? formatSnippets(snippets, snippetFormat) : primary.snippets,
       page: {
+        pageId: primary.pageId,
         slug: primary.slug,
         title: primary.title,
         url: primary.url,
       },
       related: search.results.slice(1).map((item) => ({
+        pageId: item.pageId,
         slug: item.slug,
         title: item.title,
         url: item.url,
       })),
+      ...(search.didYouMean.length ? { didYouMean: search.didYouMean } : {}),
     };
     return toolResult(JSON.stringify(explanation, null, 2));
   }
@@ -512,7 +995,7 @@ function startServer() {
   });
 
   process.stdin.on("end", () => {
-    process.exit(0);
+    saveFetchedPages().finally(() => process.exit(0));
   });
 }
 
@@ -526,6 +1009,14 @@ function isMainModule() {
 if (isMainModule()) {
   logStartupInfo();
   startServer();
+  preloadData();
 }
 
-export { fetchAndCachePage, handleToolCall, handleMessage, startServer };
+export {
+  fetchAndCachePage,
+  handleMessage,
+  handleToolCall,
+  preloadData,
+  saveFetchedPages,
+  startServer,
+};
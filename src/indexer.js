@@ -1,3 +1,12 @@
+import crypto from "node:crypto";
+import { subwordWeight } from "./config.js";
+import { extractExamples, splitExampleFields } from "./examples.js";
+import { buildLinkGraph } from "./link-graph.js";
+import { splitSections, stripHeadingAnchors } from "./sections.js";
+import { stem } from "./stemmer.js";
+
+const MAX_SURFACE_FORMS = 8;
+
 const STOP_WORDS = new Set([
   "a",
   "an",
@@ -39,41 +48,594 @@ const STOP_WORDS = new Set([
   "про",
 ]);
 
-function tokenize(text) {
+// Identifiers keep their dots so `Xafari.BC.Security` survives as one token;
+// underscores and letter-case changes split them into sub-words below.
+const RAW_TOKEN_REGEX = /[A-Za-zА-Яа-яЁё0-9_]+(?:\.[A-Za-zА-Яа-яЁё0-9_]+)*/g;
+const WORD_PIECE_REGEX = /[A-ZА-ЯЁ]+(?![a-zа-яё])|[A-ZА-ЯЁ]?[a-zа-яё]+|[0-9]+/g;
+const ATTRIBUTE_SUFFIX = "Attribute";
+
+function splitWordPieces(segment) {
+  return segment.split("_").flatMap((part) => part.match(WORD_PIECE_REGEX) || []);
+}
+
+// An attribute list opens a line, a statement or inline code: `[XafariModel]`,
+// `[Serializable, XafariModel(...)]`, `[return: NotNull]`. Indexers such as
+// `items[Count]` follow an expression instead.
+const ATTRIBUTE_LIST_START_REGEX =
+  /(?:^|[;{}`])\s*(?:\[[^\]]*\]\s*)*\[\s*(?:\w+:\s*)?(?:[\w.]+\s*(?:\([^()]*\))?\s*,\s*)*$/;
+
+function isAttributeUsage(input, start, end) {
+  const lineStart = input.lastIndexOf("\n", start - 1) + 1;
+  const after = input.slice(end, end + 4).trimStart();
+  return /^[\](,]/.test(after) && ATTRIBUTE_LIST_START_REGEX.test(input.slice(lineStart, start));
+}
+
+// Splits text into weighted tokens with positions. Whole words, identifiers
+// and namespace segments get weight 1; CamelCase/snake_case sub-words get
+// `subwordWeight` so exact identifier matches outrank partial ones. Sub-words
+// occupy consecutive positions, so "security system" lines up with
+// `SecuritySystem`.
+function scanTokens(text) {
   const input =
     typeof text === "string" ? text : text === undefined || text === null ? "" : String(text);
-  return input
-    .toLowerCase()
-    .replace(/[^a-zа-я0-9]+/gi, " ")
-    .split(" ")
-    .map((token) => token.trim())
-    .filter((token) => token.length > 1)
-    .filter((token) => !STOP_WORDS.has(token));
-}
+  const tokens = [];
+  let position = 0;
 
-function buildIndex(pages) {
-  const terms = {};
+  function emit(surface, tokenPosition, weight) {
+    if (surface.length > 1 && !STOP_WORDS.has(surface)) {
+      tokens.push({ surface, position: tokenPosition, weight });
+    }
+  }
 
-  pages.forEach((page, pageId) => {
-    const tokens = tokenize(`${page.title} ${page.text}`);
-    const counts = new Map();
-    for (const token of tokens) {
-      counts.set(token, (counts.get(token) || 0) + 1);
+  for (const match of input.matchAll(RAW_TOKEN_REGEX)) {
+    const raw = match[0];
+    const segments = raw.split(".");
+    if (segments.length > 1) {
+      emit(raw.toLowerCase(), position, 1);
+    }
+    let lastSegmentPosition = position;
+    for (const segment of segments) {
+      const pieces = splitWordPieces(segment);
+      lastSegmentPosition = position;
+      emit(segment.toLowerCase(), position, 1);
+      if (pieces.length > 1) {
+        pieces.forEach((piece, offset) => {
+          emit(piece.toLowerCase(), position + offset, subwordWeight);
+        });
+      }
+      position += Math.max(1, pieces.length);
     }
 
-    for (const [term, count] of counts.entries()) {
-      if (!terms[term]) {
-        terms[term] = {};
+    const name = segments[segments.length - 1];
+    if (/^[A-Z]/.test(name)) {
+      if (isAttributeUsage(input, match.index, match.index + raw.length)) {
+        emit(`${name}${ATTRIBUTE_SUFFIX}`.toLowerCase(), lastSegmentPosition, 1);
+      } else if (name.length > ATTRIBUTE_SUFFIX.length && name.endsWith(ATTRIBUTE_SUFFIX)) {
+        emit(name.slice(0, -ATTRIBUTE_SUFFIX.length).toLowerCase(), lastSegmentPosition, 1);
       }
-      terms[term][pageId] = count;
     }
+  }
+  return tokens;
+}
+
+// Whole words (or identifier segments) that scanTokens drops, with the reason;
+// used to explain why part of a query did not count.
+function findDroppedTokens(text) {
+  const input = typeof text === "string" ? text : "";
+  const dropped = new Map();
+  for (const match of input.matchAll(RAW_TOKEN_REGEX)) {
+    for (const segment of match[0].split(".")) {
+      const token = segment.toLowerCase();
+      if (STOP_WORDS.has(token)) {
+        dropped.set(token, "stop-word");
+      } else if (token.length < 2) {
+        dropped.set(token, "too-short");
+      }
+    }
+  }
+  return Array.from(dropped.entries()).map(([token, reason]) => ({ token, reason }));
+}
+
+function tokenize(text) {
+  return scanTokens(text).map((token) => token.surface);
+}
+
+function analyze(text) {
+  return scanTokens(text).map((token) => ({ ...token, term: stem(token.surface) }));
+}
+
+function stemTokens(tokens) {
+  return tokens.map((token) => stem(token));
+}
+
+const INDEX_FIELDS = ["title", "headings", "breadcrumbs", "body", "code"];
+const EXAMPLE_FIELDS = ["code", "calls", "elements", "context"];
+
+function splitPageFields(page) {
+  const text = typeof page.text === "string" ? stripHeadingAnchors(page.text) : "";
+  const code = [];
+  const withoutCode = text.replace(/```[^\n]*\n([\s\S]*?)```/g, (_, block) => {
+    code.push(block);
+    return "\n";
   });
+  const body = withoutCode.replace(/^#{1,6}\s+.*$/gm, "");
+  const headings = Array.isArray(page.headings)
+    ? page.headings.map((heading) => heading?.text || "")
+    : [];
+  const breadcrumbs = Array.isArray(page.breadcrumbs) ? page.breadcrumbs : [];
+  return {
+    title: page.title || "",
+    headings: headings.join("\n"),
+    breadcrumbs: breadcrumbs.join("\n"),
+    body,
+    code: code.join("\n"),
+  };
+}
 
+function createEmptyIndex() {
   return {
     updatedAt: new Date().toISOString(),
-    pageCount: pages.length,
-    terms,
+    // Postings are keyed by getPageId(page); older indexes used list positions.
+    pageIds: "stable",
+    pageCount: 0,
+    stemmed: true,
+    totalLength: 0,
+    avgDocLength: 0,
+    docLengths: {},
+    terms: {},
+    fields: Object.fromEntries(INDEX_FIELDS.map((field) => [field, {}])),
+    fieldLengths: Object.fromEntries(INDEX_FIELDS.map((field) => [field, {}])),
+    fieldTotals: Object.fromEntries(INDEX_FIELDS.map((field) => [field, 0])),
+    avgFieldLengths: Object.fromEntries(INDEX_FIELDS.map((field) => [field, 0])),
+    positions: Object.fromEntries(INDEX_FIELDS.map((field) => [field, {}])),
+    forms: {},
+    sections: {},
+    sectionTerms: {},
+    sectionCount: 0,
+    sectionTotalLength: 0,
+    avgSectionLength: 0,
+    examples: createEmptyExampleIndex(),
+    // Every term a page was indexed under, so removing the page only touches
+    // its own postings.
+    pageTerms: {},
+  };
+}
+
+function createEmptyExampleIndex() {
+  return {
+    count: 0,
+    items: {},
+    fields: Object.fromEntries(EXAMPLE_FIELDS.map((field) => [field, {}])),
+    fieldLengths: Object.fromEntries(EXAMPLE_FIELDS.map((field) => [field, {}])),
+    fieldTotals: Object.fromEntries(EXAMPLE_FIELDS.map((field) => [field, 0])),
+    avgFieldLengths: Object.fromEntries(EXAMPLE_FIELDS.map((field) => [field, 0])),
+  };
+}
+
+function countTokens(tokens) {
+  const counts = new Map();
+  for (const { term, weight } of tokens) {
+    counts.set(term, (counts.get(term) || 0) + weight);
+  }
+  return counts;
+}
+
+function collectPositions(tokens) {
+  const positions = new Map();
+  for (const { term, position } of tokens) {
+    if (!positions.has(term)) {
+      positions.set(term, new Set());
+    }
+    positions.get(term).add(position);
+  }
+  return positions;
+}
+
+// Remember which surface words produced a stem so excerpts can highlight them.
+function recordSurfaceForms(index, tokens) {
+  for (const { term, surface } of tokens) {
+    const forms = index.forms[term] || (index.forms[term] = []);
+    if (forms.length < MAX_SURFACE_FORMS && !forms.includes(surface)) {
+      forms.push(surface);
+    }
+  }
+}
+
+// Section chunks: per-section term counts (`sectionTerms[term][pageId][i]`)
+// let search point at the best-matching part of a long page.
+function addSectionsToIndex(index, pageId, text) {
+  const terms = new Set();
+  const sections = splitSections(text);
+  index.sections[pageId] = sections.map((section) => {
+    const tokens = analyze(
+      `${section.heading}\n${section.text.replace(/^```.*$/gm, "")}`
+    );
+    for (const [term, count] of countTokens(tokens).entries()) {
+      const byPage = index.sectionTerms[term] || (index.sectionTerms[term] = {});
+      const bySection = byPage[pageId] || (byPage[pageId] = {});
+      bySection[section.index] = count;
+      terms.add(term);
+    }
+    const length = tokens.reduce((sum, token) => sum + token.weight, 0);
+    index.sectionTotalLength += length;
+    return {
+      anchor: section.anchor,
+      explicitAnchor: section.explicitAnchor,
+      heading: section.heading,
+      level: section.level,
+      path: section.path,
+      length,
+    };
+  });
+  index.sectionCount += sections.length;
+  return terms;
+}
+
+// Code examples get their own small BM25F index keyed by "<pageId>:<n>"; the
+// code itself is read back from the page markdown at query time.
+function addExamplesToIndex(index, pageId, text) {
+  const terms = new Set();
+  const examples = index.examples;
+  for (const example of extractExamples(text)) {
+    const exampleId = `${pageId}:${example.index}`;
+    const fieldTexts = splitExampleFields(example);
+    for (const field of EXAMPLE_FIELDS) {
+      const tokens = analyze(fieldTexts[field]);
+      const postings = examples.fields[field];
+      for (const [term, count] of countTokens(tokens).entries()) {
+        if (!postings[term]) {
+          postings[term] = {};
+        }
+        postings[term][exampleId] = count;
+        terms.add(term);
+      }
+      const fieldLength = tokens.reduce((sum, token) => sum + token.weight, 0);
+      examples.fieldLengths[field][exampleId] = fieldLength;
+      examples.fieldTotals[field] += fieldLength;
+    }
+    examples.items[exampleId] = {
+      pageId,
+      index: example.index,
+      language: example.language,
+      heading: example.heading,
+      path: example.path,
+      anchor: example.anchor,
+      explicitAnchor: example.explicitAnchor,
+      caption: example.caption,
+    };
+    examples.count += 1;
+  }
+  return terms;
+}
+
+function addPageToIndex(index, pageId, page) {
+  const fieldTexts = splitPageFields(page);
+  const totals = new Map();
+  let docLength = 0;
+
+  for (const field of INDEX_FIELDS) {
+    const tokens = analyze(fieldTexts[field]);
+    if (tokens.length === 0) {
+      continue;
+    }
+    recordSurfaceForms(index, tokens);
+    const postings = index.fields[field];
+    for (const [term, count] of countTokens(tokens).entries()) {
+      if (!postings[term]) {
+        postings[term] = {};
+      }
+      postings[term][pageId] = count;
+      totals.set(term, (totals.get(term) || 0) + count);
+    }
+    const positional = index.positions[field];
+    for (const [term, positions] of collectPositions(tokens).entries()) {
+      if (!positional[term]) {
+        positional[term] = {};
+      }
+      positional[term][pageId] = Array.from(positions).sort((a, b) => a - b);
+    }
+    const fieldLength = tokens.reduce((sum, token) => sum + token.weight, 0);
+    index.fieldLengths[field][pageId] = fieldLength;
+    index.fieldTotals[field] += fieldLength;
+    docLength += fieldLength;
+  }
+
+  for (const [term, count] of totals.entries()) {
+    if (!index.terms[term]) {
+      index.terms[term] = {};
+    }
+    index.terms[term][pageId] = count;
+  }
+
+  const pageTerms = new Set(totals.keys());
+  if (index.sections && typeof page.text === "string") {
+    for (const term of addSectionsToIndex(index, pageId, page.text)) {
+      pageTerms.add(term);
+    }
+  }
+  if (index.examples && typeof page.text === "string") {
+    for (const term of addExamplesToIndex(index, pageId, page.text)) {
+      pageTerms.add(term);
+    }
+  }
+  if (index.pageTerms) {
+    index.pageTerms[pageId] = Array.from(pageTerms);
+  }
+
+  index.docLengths[pageId] = docLength;
+  index.totalLength += docLength;
+  index.pageCount += 1;
+  return index;
+}
+
+// `terms` narrows the scan to the page's own terms; indexes saved without
+// `pageTerms` fall back to checking the whole vocabulary.
+function deletePostings(postingsByTerm, keys, terms, onTermRemoved) {
+  if (!postingsByTerm) {
+    return;
+  }
+  for (const term of terms || Object.keys(postingsByTerm)) {
+    if (!Object.hasOwn(postingsByTerm, term)) {
+      continue;
+    }
+    const postings = postingsByTerm[term];
+    let changed = false;
+    for (const key of keys) {
+      if (postings[key] !== undefined) {
+        delete postings[key];
+        changed = true;
+      }
+    }
+    if (changed && Object.keys(postings).length === 0) {
+      delete postingsByTerm[term];
+      onTermRemoved?.(term);
+    }
+  }
+}
+
+// Undoes addPageToIndex for one page: postings, positions, section chunks,
+// code examples and length totals. Call finalizeIndex afterwards.
+function removePageFromIndex(index, pageId) {
+  const key = String(pageId);
+  if (index.docLengths?.[key] === undefined) {
+    return false;
+  }
+  const terms = index.pageTerms?.[key];
+  for (const field of Object.keys(index.fields || {})) {
+    index.fieldTotals[field] -= index.fieldLengths[field]?.[key] || 0;
+    delete index.fieldLengths[field]?.[key];
+    deletePostings(index.fields[field], [key], terms);
+    deletePostings(index.positions?.[field], [key], terms);
+  }
+  deletePostings(index.terms, [key], terms, (term) => {
+    delete index.forms?.[term];
+  });
+
+  if (index.sections?.[key]) {
+    for (const section of index.sections[key]) {
+      index.sectionTotalLength -= section.length;
+    }
+    index.sectionCount -= index.sections[key].length;
+    delete index.sections[key];
+    deletePostings(index.sectionTerms, [key], terms);
+  }
+
+  const examples = index.examples;
+  if (examples) {
+    const exampleIds = Object.keys(examples.items).filter(
+      (exampleId) => String(examples.items[exampleId].pageId) === key
+    );
+    for (const field of EXAMPLE_FIELDS) {
+      for (const exampleId of exampleIds) {
+        examples.fieldTotals[field] -= examples.fieldLengths[field][exampleId] || 0;
+        delete examples.fieldLengths[field][exampleId];
+      }
+      if (exampleIds.length > 0) {
+        deletePostings(examples.fields[field], exampleIds, terms);
+      }
+    }
+    for (const exampleId of exampleIds) {
+      delete examples.items[exampleId];
+    }
+    examples.count -= exampleIds.length;
+  }
+
+  index.totalLength -= index.docLengths[key];
+  delete index.docLengths[key];
+  delete index.pageTerms?.[key];
+  index.pageCount -= 1;
+  return true;
+}
+
+// Index -> page counts per term, for indexes whose postings are not all in
+// memory (a sharded index keeps them in its dictionary).
+const termPageCounts = new WeakMap();
+
+function setTermPageCounts(index, pageCounts) {
+  termPageCounts.set(index, pageCounts);
+}
+
+// Number of pages containing `term`, without touching the postings of an
+// index that registered its page counts.
+function documentFrequency(index, term) {
+  const pageCounts = termPageCounts.get(index);
+  if (pageCounts) {
+    return Object.hasOwn(pageCounts, term) ? pageCounts[term] : 0;
+  }
+  const postings = index.terms?.[term];
+  return postings ? Object.keys(postings).length : 0;
+}
+
+// Incremental updates need stable page IDs and the per-field statistics of the
+// current format; older indexes have to be rebuilt once.
+function supportsIncrementalUpdates(index) {
+  return Boolean(
+    index?.pageIds === "stable" &&
+      index.fields &&
+      index.docLengths &&
+      index.positions &&
+      index.sections &&
+      index.examples
+  );
+}
+
+function canonicalPageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+// A page keeps the same ID across crawls and reindexes: a hash of its
+// canonical URL (of the slug, or the title, for pages without one), unless the
+// front matter sets an explicit `id`.
+function computePageId(page) {
+  let source = `title:${page?.title || ""}`;
+  if (page?.url) {
+    source = `url:${canonicalPageUrl(page.url)}`;
+  } else if (page?.slug) {
+    source = `slug:${page.slug}`;
+  }
+  return crypto.createHash("sha1").update(source).digest("hex").slice(0, 12);
+}
+
+function getPageId(page) {
+  return page?.id || computePageId(page);
+}
+
+// Applies page additions, updates and removals to an index and its pages list
+// in place. `upsert(page, entry)` stores `entry` (e.g. a summary without the
+// full text) in `pages` while indexing `page`. Call finish() to drop removed
+// entries from `pages` and recompute the averages.
+function createIndexUpdater(index, pages) {
+  const positionById = new Map();
+  pages.forEach((page, position) => {
+    if (page) {
+      positionById.set(getPageId(page), position);
+    }
+  });
+  const changes = { added: [], updated: [], removed: [] };
+  return {
+    entryOf(pageId) {
+      const position = positionById.get(pageId);
+      return position === undefined ? null : pages[position];
+    },
+    // Replaces the stored entry of an indexed page without re-indexing it.
+    setEntry(pageId, entry) {
+      const position = positionById.get(pageId);
+      if (position !== undefined) {
+        pages[position] = entry;
+      }
+    },
+    upsert(page, entry = page) {
+      const pageId = getPageId(page);
+      let position = positionById.get(pageId);
+      if (position === undefined) {
+        position = pages.length;
+        positionById.set(pageId, position);
+        changes.added.push(pageId);
+      } else {
+        removePageFromIndex(index, pageId);
+        changes.updated.push(pageId);
+      }
+      pages[position] = entry;
+      addPageToIndex(index, pageId, page);
+      return pageId;
+    },
+    remove(pageId) {
+      const position = positionById.get(pageId);
+      if (position === undefined) {
+        return false;
+      }
+      removePageFromIndex(index, pageId);
+      pages[position] = null;
+      positionById.delete(pageId);
+      changes.removed.push(pageId);
+      return true;
+    },
+    finish() {
+      let kept = 0;
+      for (const entry of pages) {
+        if (entry) {
+          pages[kept] = entry;
+          kept += 1;
+        }
+      }
+      pages.length = kept;
+      finalizeIndex(index);
+      index.linkGraph = buildLinkGraph(pages);
+      return changes;
+    },
   };
 }
 
-export { buildIndex, tokenize };
+// One-shot form of createIndexUpdater; `remove` takes page IDs.
+function applyPageChanges(index, pages, { upsert = [], remove = [] } = {}) {
+  const updater = createIndexUpdater(index, pages);
+  for (const pageId of remove) {
+    updater.remove(pageId);
+  }
+  for (const page of upsert) {
+    updater.upsert(page);
+  }
+  return updater.finish();
+}
+
+function finalizeIndex(index) {
+  const pageCount = index.pageCount;
+  index.updatedAt = new Date().toISOString();
+  index.avgDocLength = pageCount > 0 ? index.totalLength / pageCount : 0;
+  for (const field of INDEX_FIELDS) {
+    index.avgFieldLengths[field] = pageCount > 0 ? index.fieldTotals[field] / pageCount : 0;
+  }
+  if (index.sections) {
+    index.avgSectionLength =
+      index.sectionCount > 0 ? index.sectionTotalLength / index.sectionCount : 0;
+  }
+  if (index.examples) {
+    const { count, fieldTotals, avgFieldLengths } = index.examples;
+    for (const field of EXAMPLE_FIELDS) {
+      avgFieldLengths[field] = count > 0 ? fieldTotals[field] / count : 0;
+    }
+  }
+  return index;
+}
+
+function buildIndex(pages) {
+  const index = createEmptyIndex();
+  for (const page of pages) {
+    const pageId = getPageId(page);
+    // The same canonical URL saved twice is indexed once.
+    if (index.docLengths[pageId] === undefined) {
+      addPageToIndex(index, pageId, page);
+    }
+  }
+  index.linkGraph = buildLinkGraph(pages);
+  return finalizeIndex(index);
+}
+
+export {
+  addPageToIndex,
+  analyze,
+  applyPageChanges,
+  buildIndex,
+  canonicalPageUrl,
+  computePageId,
+  createEmptyIndex,
+  createIndexUpdater,
+  documentFrequency,
+  EXAMPLE_FIELDS,
+  finalizeIndex,
+  findDroppedTokens,
+  getPageId,
+  INDEX_FIELDS,
+  removePageFromIndex,
+  setTermPageCounts,
+  splitPageFields,
+  stemTokens,
+  supportsIncrementalUpdates,
+  tokenize,
+};
@@ -0,0 +1,129 @@
+import { canonicalPageUrl, getPageId } from "./indexer.js";
+
+// Internal link graph built from the `links` of every page: outbound and
+// inbound page IDs (links to other sites and to unknown pages are dropped)
+// and PageRank authority, scaled so the most linked-to page has 1.
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-6;
+
+// "…/docs/page" and "…/docs/page/" point at the same page.
+function linkKey(url) {
+  return canonicalPageUrl(url).replace(/(?<=[^/])\/$/, "");
+}
+
+// Links are stored as written in the HTML ("doc_foo.html", "../bar.html"),
+// so they are resolved against the URL of the page they appear on.
+function resolveLink(link, pageUrl) {
+  if (typeof link !== "string" || !link) {
+    return null;
+  }
+  try {
+    return new URL(link, pageUrl || undefined).toString();
+  } catch {
+    return null;
+  }
+}
+
+function computePageRank(ids, outbound) {
+  const count = ids.length;
+  let ranks = new Map(ids.map((id) => [id, 1 / count]));
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    // Pages without outbound links spread their rank over all pages.
+    let dangling = 0;
+    for (const id of ids) {
+      if (outbound[id].length === 0) {
+        dangling += ranks.get(id);
+      }
+    }
+    const base = (1 - DAMPING) / count + (DAMPING * dangling) / count;
+    const next = new Map(ids.map((id) => [id, base]));
+    for (const id of ids) {
+      const targets = outbound[id];
+      const share = (DAMPING * ranks.get(id)) / (targets.length || 1);
+      for (const target of targets) {
+        next.set(target, next.get(target) + share);
+      }
+    }
+    let delta = 0;
+    for (const id of ids) {
+      delta += Math.abs(next.get(id) - ranks.get(id));
+    }
+    ranks = next;
+    if (delta < TOLERANCE) {
+      break;
+    }
+  }
+  let max = 0;
+  for (const rank of ranks.values()) {
+    max = Math.max(max, rank);
+  }
+  return Object.fromEntries(
+    ids.map((id) => [id, max > 0 ? Math.round((ranks.get(id) / max) * 1e4) / 1e4 : 0])
+  );
+}
+
+function buildLinkGraph(pages) {
+  const idByUrl = new Map();
+  const ids = [];
+  const linksById = new Map();
+  for (const page of pages) {
+    if (!page) {
+      continue;
+    }
+    const pageId = getPageId(page);
+    if (linksById.has(pageId)) {
+      continue;
+    }
+    ids.push(pageId);
+    linksById.set(pageId, {
+      url: page.url,
+      links: Array.isArray(page.links) ? page.links : [],
+    });
+    if (page.url) {
+      idByUrl.set(linkKey(page.url), pageId);
+    }
+  }
+
+  const outbound = {};
+  const inbound = Object.fromEntries(ids.map((id) => [id, []]));
+  for (const pageId of ids) {
+    const targets = new Set();
+    const { url, links } = linksById.get(pageId);
+    for (const link of links) {
+      const resolved = resolveLink(link, url);
+      const target = resolved ? idByUrl.get(linkKey(resolved)) : undefined;
+      if (target && target !== pageId) {
+        targets.add(target);
+      }
+    }
+    outbound[pageId] = Array.from(targets);
+    for (const target of targets) {
+      inbound[target].push(pageId);
+    }
+  }
+  // Without any internal links there is nothing to rank by.
+  const hasLinks = ids.some((id) => outbound[id].length > 0);
+  return {
+    outbound,
+    inbound,
+    authority: hasLinks ? computePageRank(ids, outbound) : {},
+  };
+}
+
+// Pages cited together with `pageId`: for every page linking to it, each of
+// that page's other outbound links counts once.
+function findCoCitedPages(graph, pageId) {
+  const counts = new Map();
+  for (const citing of graph.inbound?.[pageId] || []) {
+    for (const other of graph.outbound?.[citing] || []) {
+      if (other !== pageId) {
+        counts.set(other, (counts.get(other) || 0) + 1);
+      }
+    }
+  }
+  return Array.from(counts, ([id, count]) => ({ pageId: id, count }));
+}
+
+export { buildLinkGraph, findCoCitedPages, linkKey };
@@ -0,0 +1,244 @@
+import fs from "node:fs";
+import fsPromises from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline";
+import { dataDir, queryLog as queryLogConfig } from "./config.js";
+import { getPageId } from "./indexer.js";
+import { loadPages } from "./storage.js";
+
+// Search analytics. Every search appends one JSON line to the query log
+// (tool, query, result count, top slug, returned page IDs, latency);
+// summarizeQueries() turns the log into the search report: zero-result
+// queries, the most frequent queries and pages no search ever returned. The
+// log is rotated by size, so a long-running server keeps a bounded history.
+
+const DEFAULT_REPORT_SIZE = 20;
+
+function resolveQueryLogPath(value = queryLogConfig.file) {
+  if (!value) {
+    return null;
+  }
+  return path.isAbsolute(value) ? value : path.join(dataDir, value);
+}
+
+// queries.jsonl -> queries.jsonl.1 -> queries.jsonl.2 ...; the oldest file past
+// `maxFiles` is dropped.
+async function rotateQueryLog(filePath, maxFiles) {
+  await fsPromises.rm(`${filePath}.${maxFiles}`, { force: true });
+  for (let n = maxFiles - 1; n >= 1; n -= 1) {
+    await fsPromises.rename(`${filePath}.${n}`, `${filePath}.${n + 1}`).catch(() => {});
+  }
+  if (maxFiles > 0) {
+    await fsPromises.rename(filePath, `${filePath}.1`);
+  }
+}
+
+// Rotated files, oldest first, then the current log.
+function listQueryLogFiles(filePath) {
+  const baseName = path.basename(filePath);
+  let names = [];
+  try {
+    names = fs.readdirSync(path.dirname(filePath));
+  } catch {
+    return [];
+  }
+  const rotated = names
+    .map((name) => (name.startsWith(`${baseName}.`) ? name.slice(baseName.length + 1) : ""))
+    .filter((suffix) => /^\d+$/.test(suffix))
+    .map(Number)
+    .sort((a, b) => b - a)
+    .map((n) => `${filePath}.${n}`);
+  return names.includes(baseName) ? [...rotated, filePath] : rotated;
+}
+
+// `record()` never throws: analytics must not break a search. Appends are
+// queued, so a rotation never races a write from the same process.
+function createQueryLog({
+  logPath = queryLogConfig.file,
+  maxBytes = queryLogConfig.maxBytes,
+  maxFiles = queryLogConfig.maxFiles,
+} = {}) {
+  const filePath = resolveQueryLogPath(logPath);
+  let pending = Promise.resolve();
+  const append = async (line) => {
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    if (maxBytes > 0) {
+      const size = await fsPromises.stat(filePath).then(
+        (stat) => stat.size,
+        () => 0
+      );
+      if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+        await rotateQueryLog(filePath, maxFiles);
+      }
+    }
+    await fsPromises.appendFile(filePath, line, "utf8");
+  };
+  return {
+    filePath,
+    record(entry) {
+      if (!filePath) {
+        return Promise.resolve();
+      }
+      const line = `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`;
+      pending = pending.then(() => append(line)).catch(() => {});
+      return pending;
+    },
+  };
+}
+
+// Streams the entries of the log and its rotated files line by line, oldest
+// first, without reading a whole file into memory.
+async function* readQueryLog(filePath = resolveQueryLogPath()) {
+  if (!filePath) {
+    return;
+  }
+  for (const logFilePath of listQueryLogFiles(filePath)) {
+    yield* readQueryLogFile(logFilePath);
+  }
+}
+
+async function* readQueryLogFile(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of rl) {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(trimmed);
+        if (typeof entry?.query === "string") {
+          yield entry;
+        }
+      } catch {
+        // A line cut short by a crash; skip it.
+      }
+    }
+  } catch (error) {
+    // Rotated away by a running server since the files were listed.
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
+
+// "List  View" and "list view" are the same question.
+function normalizeQuery(query) {
+  return query.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function byCountThenQuery(a, b) {
+  return b.count - a.count || (a.query < b.query ? -1 : a.query > b.query ? 1 : 0);
+}
+
+// `entries` may be an array or an async iterable (readQueryLog()); `since`
+// drops older entries.
+async function summarizeQueries(entries, pages = [], options = {}) {
+  const top = options.top ?? DEFAULT_REPORT_SIZE;
+  const since = options.since ? new Date(options.since).getTime() : null;
+  const byQuery = new Map();
+  const hitIds = new Set();
+  const tools = {};
+  let totalQueries = 0;
+  let zeroResultQueries = 0;
+  let totalLatencyMs = 0;
+  let first = null;
+  let last = null;
+
+  for await (const entry of entries) {
+    const time = Date.parse(entry.timestamp);
+    if (since !== null && !(time >= since)) {
+      continue;
+    }
+    totalQueries += 1;
+    tools[entry.tool] = (tools[entry.tool] || 0) + 1;
+    totalLatencyMs += entry.latencyMs || 0;
+    first = first === null || entry.timestamp < first ? entry.timestamp : first;
+    last = last === null || entry.timestamp > last ? entry.timestamp : last;
+    for (const pageId of entry.pageIds || []) {
+      hitIds.add(pageId);
+    }
+
+    const key = normalizeQuery(entry.query);
+    const stats = byQuery.get(key) || {
+      query: key,
+      count: 0,
+      zeroResults: 0,
+      latencyMs: 0,
+      tools: new Set(),
+      topSlug: null,
+      lastSeenAt: null,
+    };
+    stats.count += 1;
+    stats.latencyMs += entry.latencyMs || 0;
+    stats.tools.add(entry.tool);
+    if (!entry.resultCount) {
+      stats.zeroResults += 1;
+      zeroResultQueries += 1;
+    }
+    if (!stats.lastSeenAt || entry.timestamp >= stats.lastSeenAt) {
+      stats.lastSeenAt = entry.timestamp;
+      stats.topSlug = entry.topSlug ?? stats.topSlug;
+    }
+    byQuery.set(key, stats);
+  }
+
+  const queries = Array.from(byQuery.values());
+  const neverHit = pages
+    .filter((page) => page && !hitIds.has(getPageId(page)))
+    .map((page) => ({
+      pageId: getPageId(page),
+      slug: page.slug,
+      title: page.title,
+      url: page.url,
+    }))
+    .sort((a, b) => (a.url || a.slug || "").localeCompare(b.url || b.slug || ""));
+  return {
+    since: first,
+    until: last,
+    totalQueries,
+    uniqueQueries: queries.length,
+    zeroResultQueries,
+    avgLatencyMs: totalQueries ? Math.round(totalLatencyMs / totalQueries) : 0,
+    tools,
+    zeroResults: queries
+      .filter((stats) => stats.zeroResults === stats.count)
+      .sort(byCountThenQuery)
+      .slice(0, top)
+      .map((stats) => ({
+        query: stats.query,
+        count: stats.count,
+        tools: Array.from(stats.tools).sort(),
+        lastSeenAt: stats.lastSeenAt,
+      })),
+    frequent: queries
+      .sort(byCountThenQuery)
+      .slice(0, top)
+      .map((stats) => ({
+        query: stats.query,
+        count: stats.count,
+        zeroResults: stats.zeroResults,
+        topSlug: stats.topSlug,
+        avgLatencyMs: Math.round(stats.latencyMs / stats.count),
+      })),
+    neverHitCount: neverHit.length,
+    neverHit: neverHit.slice(0, top),
+  };
+}
+
+// The report over the configured query log and the current pages.json
+// (without pages.json there is no never-hit list).
+async function buildSearchReport(options = {}) {
+  const { readQueryLogImpl = readQueryLog, loadPagesImpl = loadPages, ...summaryOptions } =
+    options;
+  const pages = await loadPagesImpl().catch((error) => {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  });
+  return summarizeQueries(readQueryLogImpl(), pages, summaryOptions);
+}
+
+export { buildSearchReport, createQueryLog, readQueryLog, summarizeQueries };
@@ -0,0 +1,119 @@
+// Small query language for search_docs:
+//   word            optional term (ranked, not required)
+//   "exact phrase"  required phrase (positional match)
+//   -word -"phr"    excluded term / phrase
+//   a OR b          at least one of the alternatives must match
+//   title:word      term restricted to a field (required); also heading:,
+//                   category: (breadcrumbs), code:, body:; other prefixes
+//                   are part of the word
+
+const FIELD_PREFIXES = {
+  title: "title",
+  heading: "headings",
+  headings: "headings",
+  category: "breadcrumbs",
+  code: "code",
+  body: "body",
+};
+
+class QuerySyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QuerySyntaxError";
+  }
+}
+
+function lexQuery(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    let negated = false;
+    let field = null;
+    if (query[i] === "-" && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negated = true;
+      i += 1;
+    }
+    // Other prefixes ("C:\Temp", "xaf:Element", "http://") are plain text.
+    const prefixMatch = query.slice(i).match(/^([A-Za-z]+):(?!\/)/);
+    if (prefixMatch && Object.hasOwn(FIELD_PREFIXES, prefixMatch[1].toLowerCase())) {
+      field = FIELD_PREFIXES[prefixMatch[1].toLowerCase()];
+      i += prefixMatch[0].length;
+    }
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QuerySyntaxError(`Unterminated quoted phrase starting at position ${i}.`);
+      }
+      const text = query.slice(i + 1, end).trim();
+      if (!text) {
+        throw new QuerySyntaxError(`Empty quoted phrase at position ${i}.`);
+      }
+      tokens.push({ kind: "phrase", text, field, negated, start });
+      i = end + 1;
+      continue;
+    }
+    let end = i;
+    while (end < query.length && !/\s/.test(query[end]) && query[end] !== '"') {
+      end += 1;
+    }
+    const text = query.slice(i, end);
+    i = end;
+    if (!text) {
+      if (field) {
+        throw new QuerySyntaxError(`Missing value after field prefix at position ${start}.`);
+      }
+      continue;
+    }
+    if (text === "OR" && !negated && !field) {
+      tokens.push({ kind: "or", start });
+      continue;
+    }
+    tokens.push({ kind: "term", text, field, negated, start });
+  }
+  return tokens;
+}
+
+// Returns clause groups: every group is a list of alternatives joined by OR.
+function parseQuery(query) {
+  const tokens = lexQuery(typeof query === "string" ? query : "");
+  const groups = [];
+  let pendingOr = false;
+  for (const token of tokens) {
+    if (token.kind === "or") {
+      if (pendingOr || groups.length === 0) {
+        throw new QuerySyntaxError(`Dangling OR operator at position ${token.start}.`);
+      }
+      pendingOr = true;
+      continue;
+    }
+    const clause = {
+      kind: token.kind,
+      text: token.text,
+      field: token.field,
+      negated: token.negated,
+    };
+    if (pendingOr) {
+      const group = groups[groups.length - 1];
+      if (clause.negated || group.some((item) => item.negated)) {
+        throw new QuerySyntaxError(
+          `Excluded terms cannot be combined with OR (position ${token.start}).`
+        );
+      }
+      group.push(clause);
+      pendingOr = false;
+    } else {
+      groups.push([clause]);
+    }
+  }
+  if (pendingOr) {
+    throw new QuerySyntaxError("Dangling OR operator at the end of the query.");
+  }
+  return groups;
+}
+
+export { FIELD_PREFIXES, parseQuery, QuerySyntaxError };
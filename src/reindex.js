@@ -1,30 +1,163 @@
-import { buildIndex } from "./indexer.js";
+import { markDuplicateClusters } from "./duplicates.js";
+import { createVectorUpdater, getEmbedder, openVectorStore } from "./embeddings.js";
+import { buildIndex, createIndexUpdater, getPageId } from "./indexer.js";
 import {
+  hashPageContent,
+  loadIndex,
+  loadIndexForUpdate,
   loadPagesFromMarkdown,
+  loadVectors,
   saveIndex,
+  saveIndexData,
   savePages,
+  saveVectors,
 } from "./storage.js";
 import { pathToFileURL } from "node:url";
 
+const INDEX_FORMATS = ["json", "sharded"];
+
+// --format json|sharded (or --format=sharded) picks the on-disk index layout;
+// --migrate converts the existing index without re-reading the markdown;
+// --full rebuilds from scratch instead of updating.
+function parseArgs(argv) {
+  const options = { format: undefined, migrate: false, full: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--migrate") {
+      options.migrate = true;
+    } else if (arg === "--full") {
+      options.full = true;
+    } else if (arg === "--format") {
+      options.format = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith("--format=")) {
+      options.format = arg.slice("--format=".length);
+    }
+  }
+  if (options.format !== undefined && !INDEX_FORMATS.includes(options.format)) {
+    throw new Error(
+      `Unknown index format: ${options.format} (expected ${INDEX_FORMATS.join(" or ")})`
+    );
+  }
+  return options;
+}
+
+// Embeds the pages that changed (all of them when `changes` is null) or have
+// no vectors yet, and drops the vectors of removed pages.
+async function updateVectors(markdownPages, changes, options) {
+  const { embedder, loadVectorsImpl, saveVectorsImpl, full } = options;
+  const store = openVectorStore(full ? null : await loadVectorsImpl(), embedder);
+  const updater = createVectorUpdater(store, embedder);
+  const changed = changes ? new Set([...changes.added, ...changes.updated]) : null;
+  for (const page of markdownPages) {
+    const pageId = getPageId(page);
+    if (!changed || changed.has(pageId) || !updater.has(pageId)) {
+      await updater.upsert(page);
+    }
+  }
+  for (const pageId of changes?.removed || []) {
+    updater.remove(pageId);
+  }
+  const vectorChanges = updater.finish();
+  await saveVectorsImpl(store);
+  return vectorChanges;
+}
+
+// Updates the existing index from the markdown files: changed and new pages
+// are (re)indexed, missing ones removed, unchanged ones skipped. Falls back to
+// a full rebuild when there is no index in the current format. Vectors for
+// semantic search are updated the same way unless `embedder` is null.
 async function reindex({
   loadPagesFromMarkdownImpl = loadPagesFromMarkdown,
-  savePagesImpl = savePages,
+  loadIndexImpl = loadIndexForUpdate,
+  savePagesImpl,
+  saveIndexImpl,
+  saveIndexDataImpl = saveIndexData,
+  embedder = getEmbedder(),
+  loadVectorsImpl = loadVectors,
+  saveVectorsImpl = saveVectors,
+  format,
+  full = false,
+  logger = console,
+} = {}) {
+  // pages.json and the index are replaced as one commit (see saveIndexData).
+  const saveData =
+    savePagesImpl || saveIndexImpl
+      ? async (pages, index) => {
+          await (savePagesImpl || savePages)(pages);
+          await (saveIndexImpl || saveIndex)(index, { format });
+        }
+      : (pages, index) => saveIndexDataImpl(pages, index, { format });
+  const markdownPages = await loadPagesFromMarkdownImpl();
+  const existing = full ? null : await loadIndexImpl();
+  const vectorOptions = { embedder, loadVectorsImpl, saveVectorsImpl, full: full || !existing };
+  if (!existing) {
+    const index = buildIndex(markdownPages);
+    markDuplicateClusters(markdownPages);
+    await saveData(markdownPages, index);
+    if (embedder) {
+      await updateVectors(markdownPages, null, vectorOptions);
+    }
+    logger.log(`[reindex] saved ${markdownPages.length} pages`);
+    return { pages: markdownPages, index, changes: null };
+  }
+
+  const { pages, index } = existing;
+  const updater = createIndexUpdater(index, pages);
+  const seen = new Set();
+  for (const page of markdownPages) {
+    const pageId = getPageId(page);
+    seen.add(pageId);
+    const previous = updater.entryOf(pageId);
+    if (previous?.contentHash === hashPageContent(page)) {
+      updater.setEntry(pageId, { ...page, simhash: previous.simhash });
+    } else {
+      updater.upsert(page);
+    }
+  }
+  for (const page of pages) {
+    if (page && !seen.has(getPageId(page))) {
+      updater.remove(getPageId(page));
+    }
+  }
+  const changes = updater.finish();
+  markDuplicateClusters(pages);
+  await saveData(pages, index);
+  const vectorChanges = embedder
+    ? await updateVectors(markdownPages, changes, vectorOptions)
+    : null;
+  logger.log(
+    `[reindex] saved ${markdownPages.length} pages (added ${changes.added.length}, ` +
+      `updated ${changes.updated.length}, removed ${changes.removed.length}` +
+      `${vectorChanges ? `, embedded ${vectorChanges.embedded}` : ""})`
+  );
+  return { pages, index, changes };
+}
+
+// Rewrites the current index (index.json or shards) in another format. The
+// source is loaded in full, with the per-page term lists a search never reads.
+async function migrateIndex({
+  loadIndexImpl = () => loadIndex({ writable: true }),
   saveIndexImpl = saveIndex,
+  format = "sharded",
   logger = console,
 } = {}) {
-  const pages = await loadPagesFromMarkdownImpl();
-  const index = buildIndex(pages);
-  await savePagesImpl(pages);
-  await saveIndexImpl(index);
-  logger.log(`[reindex] saved ${pages.length} pages`);
-  return { pages, index };
+  const index = await loadIndexImpl();
+  await saveIndexImpl(index, { format });
+  logger.log(`[reindex] migrated index (${index.pageCount || 0} pages) to ${format} format`);
+  return index;
 }
 
 if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
-  reindex().catch((error) => {
-    console.error(`[reindex] failed: ${error.message}`);
-    process.exitCode = 1;
-  });
+  Promise.resolve()
+    .then(() => {
+      const { format, migrate, full } = parseArgs(process.argv.slice(2));
+      return migrate ? migrateIndex({ format }) : reindex({ format, full });
+    })
+    .catch((error) => {
+      console.error(`[reindex] failed: ${error.message}`);
+      process.exitCode = 1;
+    });
 }
 
-export { reindex };
+export { migrateIndex, parseArgs, reindex };
@@ -0,0 +1,65 @@
+import { crawlRetries } from "./config.js";
+
+// Retries for the crawler's requests: network errors, timeouts, 429 and 5xx
+// responses are tried again after a jittered exponential backoff, or after
+// the server's Retry-After when it sends one.
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retry-After is either seconds or an HTTP date; null when absent or invalid.
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number.parseFloat(text) * 1000);
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Half fixed, half random, so that parallel workers hitting the same outage
+// do not come back in lockstep.
+function backoffDelay(attempt, options = {}) {
+  const {
+    baseDelayMs = crawlRetries.baseDelayMs,
+    maxDelayMs = crawlRetries.maxDelayMs,
+    random = Math.random,
+  } = options;
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + (random() * ceiling) / 2);
+}
+
+// Runs `task` until it succeeds, fails with an error that is not
+// `retryable`, or runs out of retries. A Retry-After longer than
+// `maxDelayMs` is not waited for: the error goes to the caller (and the URL
+// to the next run). The error thrown carries the number of `attempts`.
+async function withRetries(task, options = {}) {
+  const {
+    retries = crawlRetries.retries,
+    maxDelayMs = crawlRetries.maxDelayMs,
+    sleep = defaultSleep,
+    onRetry = () => {},
+  } = options;
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await task();
+    } catch (error) {
+      error.attempts = attempt + 1;
+      if (!error.retryable || attempt >= retries) {
+        throw error;
+      }
+      const delayMs = error.retryAfterMs ?? backoffDelay(attempt, options);
+      if (delayMs > maxDelayMs) {
+        throw error;
+      }
+      onRetry(error, { attempt: attempt + 1, delayMs });
+      await sleep(delayMs);
+    }
+  }
+}
+
+export { backoffDelay, parseRetryAfter, withRetries };
@@ -0,0 +1,149 @@
+import { requestTimeoutMs, userAgent as defaultUserAgent } from "./config.js";
+
+// robots.txt (RFC 9309) for the crawler: the group for our user agent (or
+// "*"), its Allow/Disallow rules and Crawl-delay, plus the Sitemap lines,
+// which apply to every agent. The longest matching rule decides; on a tie
+// Allow wins.
+
+const ALLOW_ALL = { rules: [], crawlDelayMs: null, sitemaps: [] };
+
+// "docs-mcp-crawler/0.1" -> "docs-mcp-crawler"
+function productToken(userAgent) {
+  return String(userAgent || "").split("/")[0].trim().toLowerCase();
+}
+
+// Rules and URLs are compared decoded, so "/документы/" in robots.txt matches
+// the percent-encoded path of the URL.
+function decodePath(value) {
+  try {
+    return decodeURI(value);
+  } catch {
+    return value;
+  }
+}
+
+function compilePattern(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = decodePath(anchored ? pattern.slice(0, -1) : pattern);
+  const source = body
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`);
+}
+
+function parseRobotsTxt(text, userAgent = defaultUserAgent) {
+  const token = productToken(userAgent);
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator < 0) {
+      continue;
+    }
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    if (field === "user-agent") {
+      // Consecutive User-agent lines share one group.
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (field === "sitemap" && value) {
+      sitemaps.push(value);
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+    if ((field === "allow" || field === "disallow") && value) {
+      current.rules.push({ allow: field === "allow", pattern: value });
+    } else if (field === "crawl-delay") {
+      const seconds = Number.parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        current.crawlDelayMs = Math.round(seconds * 1000);
+      }
+    }
+  }
+
+  // The longest agent name contained in our token, "*" otherwise; groups
+  // naming the same agent are merged.
+  let agent = null;
+  for (const name of groups.flatMap((group) => group.agents)) {
+    if (name && name !== "*" && token.includes(name) && name.length > (agent?.length ?? 0)) {
+      agent = name;
+    }
+  }
+  agent = agent ?? (groups.some((group) => group.agents.includes("*")) ? "*" : null);
+  if (!agent) {
+    return { ...ALLOW_ALL, sitemaps };
+  }
+  const selected = groups.filter((group) => group.agents.includes(agent));
+  const delays = selected.map((group) => group.crawlDelayMs).filter((value) => value !== null);
+  return {
+    rules: selected
+      .flatMap((group) => group.rules)
+      .map((rule) => ({ ...rule, regex: compilePattern(rule.pattern) })),
+    crawlDelayMs: delays.length ? Math.max(...delays) : null,
+    sitemaps,
+  };
+}
+
+function isAllowedByRobots(robots, url) {
+  const { pathname, search } = new URL(url);
+  if (pathname === "/robots.txt") {
+    return true;
+  }
+  const target = decodePath(`${pathname}${search}`);
+  let decision = null;
+  for (const rule of robots?.rules || []) {
+    if (!rule.regex.test(target)) {
+      continue;
+    }
+    const length = rule.pattern.length;
+    if (
+      !decision ||
+      length > decision.length ||
+      (length === decision.length && rule.allow && !decision.allow)
+    ) {
+      decision = { allow: rule.allow, length };
+    }
+  }
+  return decision ? decision.allow : true;
+}
+
+// A missing robots.txt (4xx) allows everything. A server error or an
+// unreachable host throws: crawling on regardless is exactly what robots.txt
+// may be trying to prevent.
+async function loadRobotsTxt(rootUrl, options = {}) {
+  const { fetchImpl = fetch, userAgent = defaultUserAgent, timeoutMs = requestTimeoutMs } =
+    options;
+  const robotsUrl = new URL("/robots.txt", rootUrl).toString();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetchImpl(robotsUrl, {
+      headers: { "User-Agent": userAgent },
+      signal: controller.signal,
+    });
+    if (response.status >= 400 && response.status < 500) {
+      return ALLOW_ALL;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${robotsUrl}`);
+    }
+    return parseRobotsTxt(await response.text(), userAgent);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export { isAllowedByRobots, loadRobotsTxt, parseRobotsTxt };
@@ -0,0 +1,73 @@
+import { pathToFileURL } from "node:url";
+import { buildSearchReport } from "./query-log.js";
+
+// Prints the search report from the query log: zero-result queries (docs or
+// synonyms to add), the most frequent queries and pages no search returned.
+
+// --top N (or --top=N) limits each list, --since YYYY-MM-DD drops older
+// queries, --json prints the report as JSON.
+function parseArgs(argv) {
+  const options = { top: undefined, since: undefined, json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--top" || arg === "--since") {
+      options[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith("--top=") || arg.startsWith("--since=")) {
+      const [name, value] = arg.slice(2).split("=");
+      options[name] = value;
+    }
+  }
+  if (options.top !== undefined) {
+    const top = Number.parseInt(options.top, 10);
+    if (!(top > 0)) {
+      throw new Error(`--top must be a positive number, got: ${options.top}`);
+    }
+    options.top = top;
+  }
+  if (options.since !== undefined && Number.isNaN(Date.parse(options.since))) {
+    throw new Error(`--since must be a date, got: ${options.since}`);
+  }
+  return options;
+}
+
+function formatSearchReport(report) {
+  const lines = [
+    `[search-report] ${report.totalQueries} queries (${report.uniqueQueries} unique), ` +
+      `${report.zeroResultQueries} without results, average ${report.avgLatencyMs} ms`,
+  ];
+  if (report.since) {
+    lines.push(`period: ${report.since} .. ${report.until}`);
+  }
+  lines.push("", "Zero-result queries:");
+  for (const item of report.zeroResults) {
+    lines.push(`  ${item.count}\t${item.query}\t(${item.tools.join(", ")})`);
+  }
+  lines.push("", "Frequent queries:");
+  for (const item of report.frequent) {
+    const misses = item.zeroResults ? `, ${item.zeroResults} without results` : "";
+    lines.push(`  ${item.count}\t${item.query}\t-> ${item.topSlug ?? "-"}${misses}`);
+  }
+  lines.push("", `Pages never returned by a search: ${report.neverHitCount}`);
+  for (const page of report.neverHit) {
+    lines.push(`  ${page.url || page.slug}`);
+  }
+  return lines.join("\n");
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  Promise.resolve()
+    .then(async () => {
+      const { json, ...options } = parseArgs(process.argv.slice(2));
+      const report = await buildSearchReport(options);
+      console.log(json ? JSON.stringify(report, null, 2) : formatSearchReport(report));
+    })
+    .catch((error) => {
+      console.error(`[search-report] failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+export { formatSearchReport, parseArgs };
@@ -1,76 +1,977 @@
-import { tokenize } from "./indexer.js";
+import crypto from "node:crypto";
+import {
+  fuzzySearch,
+  linkAuthority,
+  searchScoring,
+  semanticSearch,
+  synonyms as synonymsConfig,
+} from "./config.js";
+import { rankBySimilarity } from "./embeddings.js";
+import { editDistance, findFuzzyMatches } from "./fuzzy.js";
+import { analyze, findDroppedTokens, getPageId } from "./indexer.js";
+import { parseQuery, QuerySyntaxError } from "./query.js";
+import { extractExamples } from "./examples.js";
+import { normalizeLanguage } from "./html.js";
+import { sectionUrl, splitSections } from "./sections.js";
+import { buildSnippets, formatSnippets, snippetsToExcerpt } from "./snippets.js";
+import { expandSynonyms, getSynonyms } from "./synonyms.js";
 
-function buildExcerpt(text, queryTokens, maxLength = 360) {
-  if (!text || typeof text !== "string") {
-    return "";
+const legacyViewsCache = new WeakMap();
+
+// Indexes written before field support only have combined `terms` postings and
+// may lack length statistics; treat them as a single body field.
+function getLegacyFieldViews(index) {
+  if (legacyViewsCache.has(index)) {
+    return legacyViewsCache.get(index);
+  }
+  let lengths = index.docLengths;
+  if (!lengths) {
+    lengths = {};
+    for (const postings of Object.values(index.terms || {})) {
+      for (const [pageId, count] of Object.entries(postings)) {
+        lengths[pageId] = (lengths[pageId] || 0) + count;
+      }
+    }
+  }
+  const values = Object.values(lengths);
+  const pageCount = index.pageCount || values.length;
+  const totalLength = values.reduce((sum, value) => sum + value, 0);
+  const views = [
+    {
+      name: "body",
+      postings: index.terms || {},
+      lengths,
+      avgLength: pageCount > 0 ? totalLength / pageCount : 0,
+    },
+  ];
+  legacyViewsCache.set(index, views);
+  return views;
+}
+
+function getFieldViews(index) {
+  if (!index.fields) {
+    return getLegacyFieldViews(index);
   }
-  const lower = text.toLowerCase();
-  let hitIndex = -1;
+  return Object.entries(index.fields).map(([name, postings]) => ({
+    name,
+    postings,
+    lengths: index.fieldLengths?.[name] || {},
+    avgLength: index.avgFieldLengths?.[name] || 0,
+  }));
+}
+
+function getPageCount(index) {
+  if (Number.isFinite(index.pageCount) && index.pageCount > 0) {
+    return index.pageCount;
+  }
+  return Object.keys(index.docLengths || {}).length;
+}
+
+function inverseDocumentFrequency(pageCount, docFrequency) {
+  return Math.log(1 + (pageCount - docFrequency + 0.5) / (docFrequency + 0.5));
+}
+
+// BM25F: per-field term frequencies are length-normalized and boosted before
+// the usual BM25 saturation is applied once per term.
+function normalizedFieldTf(tf, fieldLength, avgFieldLength, b) {
+  const lengthRatio = avgFieldLength > 0 ? fieldLength / avgFieldLength : 1;
+  return tf / (1 - b + b * lengthRatio);
+}
 
-  for (const token of queryTokens) {
-    const idx = lower.indexOf(token);
-    if (idx >= 0 && (hitIndex === -1 || idx < hitIndex)) {
-      hitIndex = idx;
+function saturate(weightedTf, k1) {
+  return (weightedTf * (k1 + 1)) / (weightedTf + k1);
+}
+
+// Plain-text excerpt made of the best snippet passages.
+function buildExcerpt(text, queryTokens) {
+  return snippetsToExcerpt(buildSnippets(text, queryTokens));
+}
+
+// Clause text is analyzed the same way the index was built; indexes created
+// before stemming support keep matching on plain tokens. `sequence` keeps one
+// term per position (the strongest token) for phrase and presence checks.
+function analyzeClause(index, clause) {
+  const termWeights = new Map();
+  const surfaces = [];
+  const surfaceByTerm = new Map();
+  const byPosition = new Map();
+  for (const token of analyze(clause.text)) {
+    const term = index.stemmed ? token.term : token.surface;
+    termWeights.set(term, Math.max(termWeights.get(term) || 0, token.weight));
+    surfaces.push(token.surface);
+    if (!surfaceByTerm.has(term)) {
+      surfaceByTerm.set(term, token.surface);
+    }
+    const current = byPosition.get(token.position);
+    if (!current || token.weight >= current.weight) {
+      byPosition.set(token.position, { term, weight: token.weight });
     }
   }
+  const positions = Array.from(byPosition.keys()).sort((a, b) => a - b);
+  const sequence = positions.map((position) => ({
+    term: byPosition.get(position).term,
+    offset: position - positions[0],
+  }));
+  return { ...clause, termWeights, surfaces, surfaceByTerm, sequence };
+}
 
-  if (hitIndex === -1) {
-    return text.slice(0, maxLength).trim();
+function analyzeQuery(index, query) {
+  const groups = parseQuery(query)
+    .map((group) =>
+      group
+        .map((clause) => analyzeClause(index, clause))
+        .filter((clause) => {
+          if (clause.sequence.length > 0) {
+            return true;
+          }
+          if (clause.kind === "phrase") {
+            throw new QuerySyntaxError(`Phrase "${clause.text}" contains no searchable words.`);
+          }
+          return false;
+        })
+    )
+    .filter((group) => group.length > 0);
+  const positive = groups.flat().filter((clause) => !clause.negated);
+  if (positive.length === 0 && groups.length > 0) {
+    throw new QuerySyntaxError("Query must include at least one term that is not excluded.");
   }
 
-  const start = Math.max(0, hitIndex - Math.floor(maxLength / 3));
-  const end = Math.min(text.length, start + maxLength);
-  return text.slice(start, end).trim();
+  const tokens = [];
+  const termSpecs = new Map();
+  const highlightTerms = new Set();
+  for (const clause of positive) {
+    for (const surface of clause.surfaces) {
+      if (!tokens.includes(surface)) {
+        tokens.push(surface);
+      }
+      highlightTerms.add(surface);
+    }
+    for (const [term, weight] of clause.termWeights.entries()) {
+      const key = `${clause.field || "*"}\u0000${term}`;
+      const existing = termSpecs.get(key);
+      termSpecs.set(key, {
+        term,
+        surface: clause.surfaceByTerm.get(term),
+        field: clause.field,
+        weight: Math.max(existing?.weight || 0, weight),
+      });
+      for (const form of index.forms?.[term] || []) {
+        highlightTerms.add(form);
+      }
+    }
+  }
+
+  return {
+    tokens,
+    terms: Array.from(new Set(Array.from(termSpecs.values()).map((spec) => spec.term))),
+    termSpecs: Array.from(termSpecs.values()),
+    highlightTerms: Array.from(highlightTerms),
+    requiredGroups: groups.filter(
+      (group) =>
+        !group[0].negated &&
+        (group.length > 1 || group[0].kind === "phrase" || Boolean(group[0].field))
+    ),
+    positive,
+    excluded: groups.flat().filter((clause) => clause.negated),
+    parsedQuery: groups.map((group) =>
+      group.map(({ kind, text, field, negated }) => ({ kind, text, field, negated }))
+    ),
+  };
 }
 
-function searchIndex(index, pages, query, limit = 5) {
-  const tokens = tokenize(query);
-  const scores = new Map();
+const RARE_TERM_MAX_DF = 2;
+const RARE_TERM_RATIO = 10;
 
-  for (const token of tokens) {
-    const postings = index.terms[token];
-    if (!postings) {
+function closestForm(index, term, surface) {
+  const forms = index.forms?.[term] || [];
+  let best = term;
+  let bestDistance = Infinity;
+  for (const form of forms) {
+    const distance = editDistance(surface, form);
+    if (distance < bestDistance) {
+      best = form;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Unknown query terms are expanded to close vocabulary terms (with a score
+// penalty per edit). Rare terms that have a far more common neighbour are only
+// reported as corrections.
+function expandFuzzyTerms(index, termSpecs, penalty) {
+  const expansions = [];
+  const corrections = new Map();
+  for (const spec of termSpecs) {
+    if (!spec.surface || corrections.has(spec.term)) {
       continue;
     }
-    for (const [pageId, count] of Object.entries(postings)) {
-      const id = Number(pageId);
-      scores.set(id, (scores.get(id) || 0) + count);
+    const postings = index.terms?.[spec.term];
+    const df = postings ? Object.keys(postings).length : 0;
+    if (df > RARE_TERM_MAX_DF) {
+      continue;
+    }
+    const matches = findFuzzyMatches(index, spec.term);
+    if (matches.length === 0) {
+      continue;
+    }
+    if (df === 0) {
+      for (const match of matches) {
+        expansions.push({
+          ...spec,
+          term: match.term,
+          weight: spec.weight * penalty ** match.distance,
+          fuzzyFrom: spec.term,
+          distance: match.distance,
+        });
+      }
+    }
+    const suggestions = df === 0
+      ? matches
+      : matches.filter((match) => match.df >= df * RARE_TERM_RATIO);
+    if (suggestions.length > 0) {
+      corrections.set(spec.term, {
+        term: spec.term,
+        surface: spec.surface,
+        suggestions: suggestions.map((match) => ({
+          term: match.term,
+          surface: closestForm(index, match.term, spec.surface),
+          distance: match.distance,
+        })),
+      });
     }
   }
+  return { expansions, corrections: Array.from(corrections.values()) };
+}
 
-  const ranked = Array.from(scores.entries())
-    .map(([pageId, score]) => ({
-      pageId,
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function replaceWord(text, word, replacement) {
+  const regex = new RegExp(
+    `(^|[^\\p{L}\\p{N}_])(${escapeRegExp(word)})(?=$|[^\\p{L}\\p{N}_])`,
+    "giu"
+  );
+  return text.replace(regex, (_, prefix) => `${prefix}${replacement}`);
+}
+
+// Builds corrected queries: first with every best suggestion applied, then
+// variants using the runner-up suggestion for one word at a time.
+function buildDidYouMean(query, corrections, limit = 3) {
+  if (corrections.length === 0) {
+    return [];
+  }
+  const applyChoices = (choices) =>
+    corrections.reduce(
+      (text, correction, i) => replaceWord(text, correction.surface, choices[i].surface),
+      query
+    );
+  const best = corrections.map((correction) => correction.suggestions[0]);
+  const variants = [applyChoices(best)];
+  corrections.forEach((correction, i) => {
+    for (const alternative of correction.suggestions.slice(1)) {
+      const choices = best.slice();
+      choices[i] = alternative;
+      variants.push(applyChoices(choices));
+    }
+  });
+  return Array.from(new Set(variants))
+    .filter((variant) => variant !== query)
+    .slice(0, limit);
+}
+
+function termInField(index, field, term, pageId) {
+  if (!field) {
+    return index.terms?.[term]?.[pageId] !== undefined;
+  }
+  return index.fields?.[field]?.[term]?.[pageId] !== undefined;
+}
+
+function phraseInField(index, field, sequence, pageId) {
+  const positional = field ? index.positions?.[field] : null;
+  if (!positional) {
+    return sequence.every(({ term }) => termInField(index, field, term, pageId));
+  }
+  const lists = sequence.map(({ term }) => positional[term]?.[pageId]);
+  if (lists.some((list) => !list)) {
+    return false;
+  }
+  const sets = lists.map((list) => new Set(list));
+  return lists[0].some((start) =>
+    sequence.every(({ offset }, i) => sets[i].has(start + offset))
+  );
+}
+
+function clauseMatches(index, clause, pageId) {
+  const fields = clause.field
+    ? [clause.field]
+    : index.fields
+      ? Object.keys(index.fields)
+      : [null];
+  return fields.some((field) =>
+    clause.kind === "phrase"
+      ? phraseInField(index, field, clause.sequence, pageId)
+      : clause.sequence.every(({ term }) => termInField(index, field, term, pageId))
+  );
+}
+
+// Scores the page's section chunks with the same BM25 terms; pages without a
+// matching section fall back to their first section.
+function pickBestSection(index, pageId, termSpecs, scoring) {
+  const sections = index.sections?.[pageId];
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return null;
+  }
+  const pageCount = getPageCount(index);
+  const scores = new Array(sections.length).fill(0);
+  for (const spec of termSpecs) {
+    const bySection = index.sectionTerms?.[spec.term]?.[pageId];
+    if (!bySection) {
+      continue;
+    }
+    const idf = inverseDocumentFrequency(
+      pageCount,
+      Object.keys(index.terms?.[spec.term] || {}).length
+    );
+    for (const [sectionIndex, tf] of Object.entries(bySection)) {
+      const section = sections[sectionIndex];
+      if (!section) {
+        continue;
+      }
+      const normalized = normalizedFieldTf(tf, section.length, index.avgSectionLength, scoring.b);
+      scores[sectionIndex] += spec.weight * idf * saturate(normalized, scoring.k1);
+    }
+  }
+  let best = 0;
+  scores.forEach((score, i) => {
+    if (score > scores[best]) {
+      best = i;
+    }
+  });
+  return { ...sections[best], index: best };
+}
+
+function describeSection(section, page) {
+  if (!section) {
+    return null;
+  }
+  const described = {
+    index: section.index,
+    anchor: section.anchor,
+    heading: section.heading,
+    path: section.path,
+    url: sectionUrl(page.url, section),
+  };
+  if (typeof page.text === "string") {
+    described.text = splitSections(page.text)[section.index]?.text ?? "";
+  }
+  return described;
+}
+
+function resolveScoring(options) {
+  return {
+    model: searchScoring.model,
+    k1: Number.isFinite(options.k1) ? options.k1 : searchScoring.k1,
+    b: Number.isFinite(options.b) ? options.b : searchScoring.b,
+    fieldBoosts: { ...searchScoring.fieldBoosts, ...(options.fieldBoosts || {}) },
+  };
+}
+
+// Expansion specs never override a term the user typed (same term and field);
+// among expansions the strongest weight wins.
+function mergeTermSpecs(original, extra) {
+  const keyOf = (spec) => `${spec.field || "*"}\u0000${spec.term}`;
+  const merged = new Map(original.map((spec) => [keyOf(spec), spec]));
+  const originalKeys = new Set(merged.keys());
+  for (const spec of extra) {
+    const key = keyOf(spec);
+    if (originalKeys.has(key)) {
+      continue;
+    }
+    const existing = merged.get(key);
+    if (!existing || spec.weight > existing.weight) {
+      merged.set(key, spec);
+    }
+  }
+  return Array.from(merged.values());
+}
+
+// Parses the query and adds fuzzy and glossary (synonym) expansions.
+function prepareQuery(index, query, options) {
+  const analyzed = analyzeQuery(index, query);
+  const fuzzyEnabled = typeof options.fuzzy === "boolean" ? options.fuzzy : fuzzySearch.enabled;
+  const { expansions, corrections } = fuzzyEnabled
+    ? expandFuzzyTerms(index, analyzed.termSpecs, fuzzySearch.penalty)
+    : { expansions: [], corrections: [] };
+  const glossary = options.synonyms === false
+    ? []
+    : Array.isArray(options.synonyms)
+      ? options.synonyms
+      : getSynonyms().groups;
+  const synonymWeight = Number.isFinite(options.synonymWeight)
+    ? options.synonymWeight
+    : synonymsConfig.weight;
+  const synonymExpansion = expandSynonyms(index, analyzed.positive, glossary, synonymWeight);
+  const termSpecs = mergeTermSpecs(analyzed.termSpecs, [...expansions, ...synonymExpansion.specs]);
+  const highlightTerms = analyzed.highlightTerms;
+  for (const expansion of [...expansions, ...synonymExpansion.specs]) {
+    for (const form of index.forms?.[expansion.term] || [expansion.term]) {
+      if (!highlightTerms.includes(form)) {
+        highlightTerms.push(form);
+      }
+    }
+  }
+  return {
+    analyzed,
+    termSpecs,
+    highlightTerms,
+    synonyms: synonymExpansion.applied,
+    fuzzyMatches: expansions.map(({ fuzzyFrom, term, distance }) => ({
+      term: fuzzyFrom,
+      match: term,
+      distance,
+    })),
+    didYouMean: buildDidYouMean(query, corrections),
+  };
+}
+
+const roundScore = (value) => Number(value.toFixed(4));
+
+function describeTermSource(spec) {
+  if (spec.fuzzyFrom) {
+    return { source: "fuzzy", from: spec.fuzzyFrom };
+  }
+  if (spec.synonymOf) {
+    return { source: "synonym", from: spec.synonymOf };
+  }
+  return { source: "query" };
+}
+
+// BM25F accumulation over field views. A field-restricted term only uses that
+// field when the views have it (example views have no title field, etc.).
+// With `explain`, the per-term breakdown is collected for every document.
+function scoreTermSpecs(termSpecs, views, { docCount, documentFrequency, scoring, boosts, explain }) {
+  const scores = new Map();
+  const matchedFields = new Map();
+  const details = explain ? new Map() : null;
+  const viewNames = new Set(views.map((view) => view.name));
+  for (const spec of termSpecs) {
+    const df = documentFrequency(spec.term);
+    if (df === 0) {
+      continue;
+    }
+    const idf = inverseDocumentFrequency(docCount, df);
+    const weightedTfs = new Map();
+    const fieldDetails = explain ? new Map() : null;
+    for (const view of views) {
+      if (spec.field && viewNames.has(spec.field) && view.name !== spec.field) {
+        continue;
+      }
+      const fieldPostings = view.postings[spec.term];
+      const boost = boosts[view.name] ?? 1;
+      if (!fieldPostings || boost <= 0) {
+        continue;
+      }
+      for (const [id, tf] of Object.entries(fieldPostings)) {
+        const fieldLength = view.lengths[id] ?? view.avgLength;
+        const weighted = boost * normalizedFieldTf(tf, fieldLength, view.avgLength, scoring.b);
+        weightedTfs.set(id, (weightedTfs.get(id) || 0) + weighted);
+        if (!matchedFields.has(id)) {
+          matchedFields.set(id, new Set());
+        }
+        matchedFields.get(id).add(view.name);
+        if (fieldDetails) {
+          if (!fieldDetails.has(id)) {
+            fieldDetails.set(id, []);
+          }
+          fieldDetails.get(id).push({
+            field: view.name,
+            tf: roundScore(tf),
+            fieldLength: roundScore(fieldLength),
+            avgFieldLength: roundScore(view.avgLength),
+            boost,
+            weightedTf: roundScore(weighted),
+          });
+        }
+      }
+    }
+    for (const [id, weightedTf] of weightedTfs.entries()) {
+      const termScore = spec.weight * idf * saturate(weightedTf, scoring.k1);
+      scores.set(id, (scores.get(id) || 0) + termScore);
+      if (details) {
+        if (!details.has(id)) {
+          details.set(id, []);
+        }
+        details.get(id).push({
+          term: spec.term,
+          ...(spec.field ? { restrictedTo: spec.field } : {}),
+          ...describeTermSource(spec),
+          queryWeight: roundScore(spec.weight),
+          df,
+          idf: roundScore(idf),
+          fields: fieldDetails.get(id),
+          weightedTf: roundScore(weightedTf),
+          score: roundScore(termScore),
+        });
+      }
+    }
+  }
+  return { scores, matchedFields, details };
+}
+
+const NO_CATEGORY = "(none)";
+
+// Category filters are breadcrumb prefixes: "Xafari > Security" or
+// "Xafari/Security", compared case-insensitively part by part.
+function parseCategory(value) {
+  if (typeof value !== "string") {
+    return [];
+  }
+  return value
+    .split(/\s*(?:>|\/)\s*/)
+    .map((part) => part.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function matchesCategory(page, categoryParts) {
+  if (categoryParts.length === 0) {
+    return true;
+  }
+  const breadcrumbs = Array.isArray(page?.breadcrumbs) ? page.breadcrumbs : [];
+  return categoryParts.every(
+    (part, i) => (breadcrumbs[i] || "").trim().toLowerCase() === part
+  );
+}
+
+// Match counts per top-level breadcrumb, taken before the category filter so
+// the caller can see where else a query hits.
+function countCategoryFacets(matchedPages) {
+  const counts = new Map();
+  for (const page of matchedPages) {
+    const category = page?.breadcrumbs?.[0] || NO_CATEGORY;
+    counts.set(category, (counts.get(category) || 0) + 1);
+  }
+  return Array.from(counts.entries())
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+}
+
+class InvalidCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidCursorError";
+  }
+}
+
+// Ranking order: score, then a stable document key (URL/slug rather than the
+// position in pages.json, which may change when the index is rebuilt).
+function compareRanked(a, b) {
+  return b.score - a.score || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+}
+
+function queryFingerprint(parts) {
+  return crypto.createHash("sha1").update(JSON.stringify(parts)).digest("hex").slice(0, 12);
+}
+
+function encodeCursor(fingerprint, entry) {
+  return Buffer.from(JSON.stringify({ f: fingerprint, s: entry.score, k: entry.key })).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor, fingerprint) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new InvalidCursorError("Malformed cursor.");
+  }
+  if (!Number.isFinite(position?.s) || typeof position?.k !== "string") {
+    throw new InvalidCursorError("Malformed cursor.");
+  }
+  if (position.f !== fingerprint) {
+    throw new InvalidCursorError("Cursor belongs to a different query or filter.");
+  }
+  return { score: position.s, key: position.k };
+}
+
+// Cursors hold the (score, key) of the last returned entry, so the next page
+// continues after it even if the index was reloaded in between.
+function paginate(sorted, { limit, offset, cursor, fingerprint }) {
+  let start = Math.max(0, Math.trunc(offset) || 0);
+  if (cursor) {
+    const position = decodeCursor(cursor, fingerprint);
+    const next = sorted.findIndex((entry) => compareRanked(entry, position) > 0);
+    start = next === -1 ? sorted.length : next;
+  }
+  const window = sorted.slice(start, start + limit);
+  const last = window[window.length - 1];
+  return {
+    offset: start,
+    window,
+    nextCursor:
+      last && start + window.length < sorted.length ? encodeCursor(fingerprint, last) : null,
+  };
+}
+
+// Indexes with stable IDs key pages by getPageId(page); older ones by their
+// position in `pages`.
+function createPageLookup(index, pages) {
+  if (index.pageIds !== "stable") {
+    return (pageId) => pages[pageId];
+  }
+  const byId = new Map();
+  for (const page of pages) {
+    if (page) {
+      byId.set(getPageId(page), page);
+    }
+  }
+  return (pageId) => byId.get(String(pageId));
+}
+
+const SEARCH_MODES = ["keyword", "semantic", "hybrid"];
+
+// What gets embedded for semantic search: the query words without syntax and
+// without excluded clauses.
+function semanticQueryText(query) {
+  return parseQuery(query)
+    .flat()
+    .filter((clause) => !clause.negated)
+    .map((clause) => clause.text)
+    .join(" ");
+}
+
+function rankPositions(entries) {
+  const sorted = entries
+    .slice()
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  return new Map(sorted.map(([id], i) => [id, i + 1]));
+}
+
+// Reciprocal rank fusion of the keyword and vector rankings; a page missing
+// from one list only gets the other list's share.
+function fuseRankings(keywordScores, semanticHits, rrfK) {
+  const keywordRanks = rankPositions(Array.from(keywordScores.entries()));
+  const semanticRanks = rankPositions(
+    Array.from(semanticHits.values()).map((hit) => [hit.pageId, hit.similarity])
+  );
+  const fused = new Map();
+  for (const ranks of [keywordRanks, semanticRanks]) {
+    for (const [id, rank] of ranks) {
+      fused.set(id, (fused.get(id) || 0) + 1 / (rrfK + rank));
+    }
+  }
+  return { fused, keywordRanks, semanticRanks };
+}
+
+// Keeps the best-ranked page of each near-duplicate cluster (pages.json
+// `duplicateCluster`); the others become its `alternates`.
+function collapseDuplicates(ranked) {
+  const keptByCluster = new Map();
+  const collapsed = [];
+  for (const entry of ranked) {
+    const cluster = entry.page?.duplicateCluster;
+    const kept = cluster ? keptByCluster.get(cluster) : undefined;
+    if (kept) {
+      kept.alternates.push(entry);
+    } else {
+      const item = { ...entry, alternates: [] };
+      if (cluster) {
+        keptByCluster.set(cluster, item);
+      }
+      collapsed.push(item);
+    }
+  }
+  return collapsed;
+}
+
+function searchIndex(index, pages, query, limit = 5, options = {}) {
+  const scoring = resolveScoring(options);
+  const prepared = prepareQuery(index, query, options);
+  const { analyzed, termSpecs, highlightTerms } = prepared;
+  const { tokens, terms } = analyzed;
+  const pageCount = getPageCount(index) || pages.length;
+  const explain = options.explain === true;
+  const { scores, matchedFields, details } = scoreTermSpecs(termSpecs, getFieldViews(index), {
+    docCount: pageCount,
+    documentFrequency: (term) => Object.keys(index.terms?.[term] || {}).length,
+    scoring,
+    boosts: scoring.fieldBoosts,
+    explain,
+  });
+
+  for (const id of Array.from(scores.keys())) {
+    const satisfiesRequired = analyzed.requiredGroups.every((group) =>
+      group.some((clause) => clauseMatches(index, clause, id))
+    );
+    const hitsExcluded = analyzed.excluded.some((clause) => clauseMatches(index, clause, id));
+    if (!satisfiesRequired || hitsExcluded) {
+      scores.delete(id);
+    }
+  }
+
+  // Link authority (PageRank) as a ranking signal on top of BM25.
+  const authorityWeight = options.authorityWeight ?? linkAuthority.weight;
+  const authorityOf = (id) => index.linkGraph?.authority?.[id] ?? 0;
+  const authorityBoost = (id) => 1 + authorityWeight * authorityOf(id);
+  for (const [id, score] of scores) {
+    scores.set(id, score * authorityBoost(id));
+  }
+
+  const pageOf = createPageLookup(index, pages);
+  const mode = options.mode || "keyword";
+  // Vector hits ignore the required clauses (phrases, field prefixes) but
+  // still honour exclusions.
+  const semanticHits = new Map();
+  if (mode !== "keyword") {
+    for (const hit of rankBySimilarity(options.vectors, options.queryVector)) {
+      const excluded = analyzed.excluded.some((clause) => clauseMatches(index, clause, hit.pageId));
+      if (pageOf(hit.pageId) && !excluded) {
+        semanticHits.set(hit.pageId, hit);
+      }
+    }
+  }
+  const keywordScores = scores;
+  let ranks = null;
+  let finalScores = keywordScores;
+  if (mode === "semantic") {
+    finalScores = new Map(
+      Array.from(semanticHits.values()).map((hit) => [hit.pageId, hit.similarity])
+    );
+  } else if (mode === "hybrid") {
+    const rrfK = options.rrfK ?? semanticSearch.rrfK;
+    ranks = fuseRankings(keywordScores, semanticHits, rrfK);
+    finalScores = ranks.fused;
+  }
+
+  const categoryParts = parseCategory(options.category);
+  const facets = countCategoryFacets(Array.from(finalScores.keys()).map(pageOf));
+  const ranked = Array.from(finalScores.entries())
+    .filter(([id]) => matchesCategory(pageOf(id), categoryParts))
+    .map(([id, score]) => ({
+      pageId: index.pageIds === "stable" ? id : Number(id),
       score,
-      page: pages[pageId],
+      page: pageOf(id),
+      key: pageOf(id)?.url || pageOf(id)?.slug || id,
     }))
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit)
-    .map(({ pageId, page, score }) => {
-      const safePage = page || {};
-      const textForExcerpt =
-        typeof safePage.text === "string"
-          ? safePage.text
-          : typeof safePage.excerpt === "string"
-            ? safePage.excerpt
-            : "";
-      return {
-        pageId,
-        slug: safePage.slug,
-        title: safePage.title,
-        url: safePage.url,
-        score,
-        excerpt: buildExcerpt(textForExcerpt, tokens),
-        headings: safePage.headings || [],
-      };
-    });
+    .sort(compareRanked);
+  const collapse = options.collapseDuplicates !== false;
+  const collapsed = collapse ? collapseDuplicates(ranked) : ranked;
+  const { offset, window, nextCursor } = paginate(collapsed, {
+    limit,
+    offset: options.offset,
+    cursor: options.cursor,
+    fingerprint: queryFingerprint(["search_docs", query, categoryParts, mode, collapse]),
+  });
+  // Pages found only by vector similarity point at their closest section.
+  const sectionFor = (pageId) => {
+    const hit = semanticHits.get(String(pageId));
+    const sections = index.sections?.[pageId];
+    if (hit?.sectionIndex != null && sections?.[hit.sectionIndex]) {
+      if (mode === "semantic" || !keywordScores.has(String(pageId))) {
+        return { ...sections[hit.sectionIndex], index: hit.sectionIndex };
+      }
+    }
+    return pickBestSection(index, pageId, termSpecs, scoring);
+  };
+  const describeModeScores = (id) => ({
+    keywordScore: keywordScores.has(id) ? roundScore(keywordScores.get(id)) : null,
+    similarity: semanticHits.has(id) ? roundScore(semanticHits.get(id).similarity) : null,
+  });
+  const results = window.map(({ pageId, page, score, alternates }) => {
+    const safePage = page || {};
+    const textForExcerpt =
+      typeof safePage.text === "string"
+        ? safePage.text
+        : typeof safePage.excerpt === "string"
+          ? safePage.excerpt
+          : "";
+    const snippets = buildSnippets(textForExcerpt, highlightTerms);
+    return {
+      pageId,
+      slug: safePage.slug,
+      title: safePage.title,
+      url: safePage.url,
+      score: roundScore(score),
+      matchedFields: Array.from(matchedFields.get(String(pageId)) || []),
+      excerpt: snippetsToExcerpt(snippets),
+      snippets: formatSnippets(snippets, options.snippetFormat),
+      headings: safePage.headings || [],
+      section: describeSection(sectionFor(pageId), safePage),
+      ...(alternates?.length
+        ? {
+            alternates: alternates.map((item) => ({
+              pageId: item.pageId,
+              slug: item.page?.slug,
+              title: item.page?.title,
+              url: item.page?.url,
+              score: roundScore(item.score),
+            })),
+          }
+        : {}),
+      ...(mode !== "keyword" ? describeModeScores(String(pageId)) : {}),
+      ...(explain
+        ? {
+            explanation: {
+              score: roundScore(score),
+              pageCount,
+              terms: details.get(String(pageId)) || [],
+              authority: authorityOf(pageId),
+              authorityBoost: roundScore(authorityBoost(pageId)),
+              ...(ranks
+                ? {
+                    keywordRank: ranks.keywordRanks.get(String(pageId)) ?? null,
+                    semanticRank: ranks.semanticRanks.get(String(pageId)) ?? null,
+                  }
+                : {}),
+            },
+          }
+        : {}),
+    };
+  });
 
   return {
     query,
+    parsedQuery: analyzed.parsedQuery,
     tokens,
+    terms,
+    highlightTerms,
+    scoring,
+    mode,
+    fuzzyMatches: prepared.fuzzyMatches,
+    synonyms: prepared.synonyms,
+    didYouMean: prepared.didYouMean,
+    category: categoryParts.length > 0 ? options.category : null,
+    facets,
+    totalMatches: collapsed.length,
+    offset,
+    nextCursor,
+    ...(explain
+      ? {
+          droppedTokens: parseQuery(query)
+            .flat()
+            .flatMap((clause) => findDroppedTokens(clause.text))
+            .filter((item, i, all) => all.findIndex((other) => other.token === item.token) === i),
+        }
+      : {}),
+    results,
+  };
+}
+
+const EXAMPLE_FIELD_BOOSTS = { calls: 2, elements: 2, context: 1.5, code: 1 };
+
+function exampleClauseMatches(examples, clause, exampleId) {
+  return clause.sequence.every(({ term }) =>
+    Object.values(examples.fields).some(
+      (postings) => postings[term]?.[exampleId] !== undefined
+    )
+  );
+}
+
+// Searches the code-example index. Phrases and field prefixes are relaxed to
+// "all words present in the example"; `code:` restricts to the code field.
+function searchExamples(index, pages, query, limit = 5, options = {}) {
+  const examples = index.examples;
+  const scoring = resolveScoring(options);
+  const prepared = prepareQuery(index, query, options);
+  const { analyzed, termSpecs } = prepared;
+  const language = options.language ? normalizeLanguage(options.language) : "";
+  const categoryParts = parseCategory(options.category);
+  const views = Object.entries(examples?.fields || {}).map(([name, postings]) => ({
+    name,
+    postings,
+    lengths: examples.fieldLengths?.[name] || {},
+    avgLength: examples.avgFieldLengths?.[name] || 0,
+  }));
+  const { scores, matchedFields } = scoreTermSpecs(termSpecs, views, {
+    docCount: examples?.count || 0,
+    documentFrequency: (term) =>
+      new Set(views.flatMap((view) => Object.keys(view.postings[term] || {}))).size,
+    scoring,
+    boosts: EXAMPLE_FIELD_BOOSTS,
+  });
+
+  const matched = Array.from(scores.entries()).filter(([exampleId]) => {
+    const item = examples.items[exampleId];
+    if (!item || (language && item.language !== language)) {
+      return false;
+    }
+    const satisfiesRequired = analyzed.requiredGroups.every((group) =>
+      group.some((clause) => exampleClauseMatches(examples, clause, exampleId))
+    );
+    const hitsExcluded = analyzed.excluded.some((clause) =>
+      exampleClauseMatches(examples, clause, exampleId)
+    );
+    return satisfiesRequired && !hitsExcluded;
+  });
+  const pageOf = createPageLookup(index, pages);
+  const facets = countCategoryFacets(
+    matched.map(([exampleId]) => pageOf(examples.items[exampleId].pageId))
+  );
+  const ranked = matched
+    .filter(([exampleId]) =>
+      matchesCategory(pageOf(examples.items[exampleId].pageId), categoryParts)
+    )
+    .map(([exampleId, score]) => {
+      const item = examples.items[exampleId];
+      const page = pageOf(item.pageId);
+      const pageKey = page?.url || page?.slug || String(item.pageId);
+      return { exampleId, score, key: `${pageKey}#${String(item.index).padStart(6, "0")}` };
+    })
+    .sort(compareRanked);
+  const { offset, window, nextCursor } = paginate(ranked, {
+    limit,
+    offset: options.offset,
+    cursor: options.cursor,
+    fingerprint: queryFingerprint(["get_examples", query, language, categoryParts]),
+  });
+
+  const results = window.map(({ exampleId, score }) => {
+    const item = examples.items[exampleId];
+    const page = pageOf(item.pageId) || {};
+    const result = {
+      exampleId,
+      pageId: item.pageId,
+      blockIndex: item.index,
+      slug: page.slug,
+      title: page.title,
+      url: sectionUrl(page.url, item),
+      language: item.language,
+      heading: item.heading,
+      path: item.path,
+      caption: item.caption,
+      score: Number(score.toFixed(4)),
+      matchedFields: Array.from(matchedFields.get(exampleId) || []),
+    };
+    if (typeof page.text === "string") {
+      result.code = extractExamples(page.text)[item.index]?.code ?? "";
+    }
+    return result;
+  });
+
+  return {
+    query,
+    language: language || null,
+    category: categoryParts.length > 0 ? options.category : null,
+    facets,
+    terms: analyzed.terms,
+    fuzzyMatches: prepared.fuzzyMatches,
+    synonyms: prepared.synonyms,
+    didYouMean: prepared.didYouMean,
     totalMatches: ranked.length,
-    results: ranked,
+    offset,
+    nextCursor,
+    results,
   };
 }
 
-export { buildExcerpt, searchIndex };
+export {
+  buildExcerpt,
+  createPageLookup,
+  InvalidCursorError,
+  SEARCH_MODES,
+  searchExamples,
+  searchIndex,
+  semanticQueryText,
+};
@@ -0,0 +1,145 @@
+// Splits page markdown into heading-delimited sections. Headings may carry an
+// explicit anchor written as `## Heading {#anchor-id}` (taken from the HTML id);
+// other headings get a slug generated from their text. The markers are only
+// for splitSections(): stripHeadingAnchors() removes them from served and
+// indexed text.
+
+const HEADING_LINE_REGEX = /^(#{1,6})\s+(.*?)\s*$/;
+const ANCHOR_SUFFIX_REGEX = /\s*\{#([^}\s]+)\}$/;
+const ANCHORED_HEADING_REGEX = /^(#{1,6}\s+.*?)\s*\{#[^}\s]+\}\s*$/;
+
+function parseHeadingLine(line) {
+  const match = line.match(HEADING_LINE_REGEX);
+  if (!match) {
+    return null;
+  }
+  const anchorMatch = match[2].match(ANCHOR_SUFFIX_REGEX);
+  const text = anchorMatch ? match[2].slice(0, anchorMatch.index).trim() : match[2].trim();
+  if (!text) {
+    return null;
+  }
+  const heading = { level: match[1].length, text };
+  if (anchorMatch) {
+    heading.id = anchorMatch[1];
+  }
+  return heading;
+}
+
+function stripHeadingAnchors(text) {
+  if (typeof text !== "string" || !text.includes("{#")) {
+    return text;
+  }
+  let inFence = false;
+  return text
+    .split("\n")
+    .map((line) => {
+      if (line.trimStart().startsWith("```")) {
+        inFence = !inFence;
+        return line;
+      }
+      return inFence ? line : line.replace(ANCHORED_HEADING_REGEX, "$1");
+    })
+    .join("\n");
+}
+
+function slugifyHeading(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function splitSections(text) {
+  const lines = typeof text === "string" ? text.split(/\r?\n/) : [];
+  const sections = [];
+  const usedAnchors = new Set();
+  const stack = [];
+  let current = { anchor: "", explicitAnchor: false, heading: "", level: 0, path: [], lines: [] };
+  let inFence = false;
+
+  const flush = () => {
+    const body = current.lines.join("\n").trim();
+    if (current.heading || body) {
+      sections.push({
+        index: sections.length,
+        anchor: current.anchor,
+        explicitAnchor: current.explicitAnchor,
+        heading: current.heading,
+        level: current.level,
+        path: current.path,
+        text: body,
+      });
+    }
+  };
+
+  for (const line of lines) {
+    if (line.trimStart().startsWith("```")) {
+      inFence = !inFence;
+    }
+    const heading = inFence ? null : parseHeadingLine(line);
+    if (!heading) {
+      current.lines.push(line);
+      continue;
+    }
+    flush();
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+    const base = heading.id || slugifyHeading(heading.text) || "section";
+    let anchor = base;
+    for (let n = 2; !heading.id && usedAnchors.has(anchor); n += 1) {
+      anchor = `${base}-${n}`;
+    }
+    usedAnchors.add(anchor);
+    current = {
+      anchor,
+      explicitAnchor: Boolean(heading.id),
+      heading: heading.text,
+      level: heading.level,
+      path: stack.map((item) => item.text),
+      lines: [],
+    };
+  }
+  flush();
+  return sections;
+}
+
+function sectionUrl(pageUrl, section) {
+  if (!pageUrl || !section?.explicitAnchor) {
+    return pageUrl || "";
+  }
+  return `${pageUrl.replace(/#.*$/, "")}#${section.anchor}`;
+}
+
+function normalizeHeading(value) {
+  return value.replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+// Finds a section by anchor (exact, optionally with a leading "#"), then by
+// heading text or "A > B" heading path, then by heading substring.
+function findSection(sections, { anchor, heading } = {}) {
+  if (anchor) {
+    const wanted = anchor.replace(/^#/, "");
+    return sections.find((section) => section.anchor === wanted) || null;
+  }
+  if (!heading) {
+    return null;
+  }
+  const wanted = normalizeHeading(heading);
+  return (
+    sections.find((section) => normalizeHeading(section.heading) === wanted) ||
+    sections.find((section) => normalizeHeading(section.path.join(" > ")) === wanted) ||
+    sections.find((section) => normalizeHeading(section.heading).includes(wanted)) ||
+    null
+  );
+}
+
+export {
+  findSection,
+  parseHeadingLine,
+  sectionUrl,
+  slugifyHeading,
+  splitSections,
+  stripHeadingAnchors,
+};
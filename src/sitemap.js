@@ -0,0 +1,116 @@
+import zlib from "node:zlib";
+import { requestTimeoutMs, userAgent as defaultUserAgent } from "./config.js";
+
+// sitemap.xml seeding for the crawler: <urlset> files list pages with an
+// optional <lastmod>, <sitemapindex> files point at more sitemaps. Gzipped
+// files (sitemap.xml.gz) are recognized by their magic bytes.
+
+// A sitemap index pointing at itself or at thousands of files must not stall
+// the crawl.
+const MAX_SITEMAPS = 200;
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+    .replace(/&#(x?)([0-9a-f]+);/gi, (_, hex, code) =>
+      String.fromCodePoint(Number.parseInt(code, hex ? 16 : 10))
+    )
+    .trim();
+}
+
+function readTag(block, name) {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}>([\\s\\S]*?)</(?:\\w+:)?${name}>`, "i");
+  const match = block.match(pattern);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// { kind: "urlset" | "sitemapindex", entries: [{ loc, lastmod }] }
+function parseSitemap(xml) {
+  const kind = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml) ? "sitemapindex" : "urlset";
+  const tag = kind === "sitemapindex" ? "sitemap" : "url";
+  const entries = [];
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}[\\s>][\\s\\S]*?</(?:\\w+:)?${tag}>`, "gi");
+  for (const [block] of xml.matchAll(pattern)) {
+    const loc = readTag(block, "loc");
+    if (loc) {
+      entries.push({ loc, lastmod: readTag(block, "lastmod") });
+    }
+  }
+  return { kind, entries };
+}
+
+function decodeBody(buffer) {
+  const bytes = Buffer.from(buffer);
+  const isGzip = bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+  return (isGzip ? zlib.gunzipSync(bytes) : bytes).toString("utf8");
+}
+
+async function fetchSitemap(url, { fetchImpl, userAgent, timeoutMs }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetchImpl(url, {
+      headers: { "User-Agent": userAgent },
+      signal: controller.signal,
+    });
+    if (response.status === 404 || response.status === 410) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    return decodeBody(await response.arrayBuffer());
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Page URLs of all given sitemaps (following sitemap indexes) in file order,
+// each with its latest <lastmod> (null when none is given). Missing sitemaps
+// are skipped quietly, broken ones are reported through `onError`.
+async function loadSitemaps(urls, options = {}) {
+  const {
+    fetchImpl = fetch,
+    userAgent = defaultUserAgent,
+    timeoutMs = requestTimeoutMs,
+    onError = () => {},
+  } = options;
+  const pages = new Map();
+  const queue = [...urls];
+  const seen = new Set();
+  while (queue.length > 0 && seen.size < MAX_SITEMAPS) {
+    const url = queue.shift();
+    if (seen.has(url)) {
+      continue;
+    }
+    seen.add(url);
+    let xml;
+    try {
+      xml = await fetchSitemap(url, { fetchImpl, userAgent, timeoutMs });
+    } catch (error) {
+      onError(url, error);
+      continue;
+    }
+    if (!xml) {
+      continue;
+    }
+    const { kind, entries } = parseSitemap(xml);
+    for (const { loc, lastmod } of entries) {
+      if (kind === "sitemapindex") {
+        queue.push(loc);
+        continue;
+      }
+      const previous = pages.get(loc);
+      const newer = lastmod && (!previous || Date.parse(lastmod) > Date.parse(previous));
+      if (previous === undefined || newer) {
+        pages.set(loc, lastmod);
+      }
+    }
+  }
+  return pages;
+}
+
+export { loadSitemaps, parseSitemap };
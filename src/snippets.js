@@ -0,0 +1,174 @@
+import { stripHeadingAnchors } from "./sections.js";
+
+// Result snippets: up to three passages picked by query-term density, cut on
+// sentence boundaries, with character offsets of every matched term.
+
+const SNIPPET_FORMATS = ["plain", "markdown", "offsets"];
+const DEFAULT_PASSAGE_LENGTH = 240;
+const DEFAULT_MAX_PASSAGES = 3;
+
+const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}_]/u.test(char);
+const isLower = (char) => Boolean(char) && /\p{Ll}/u.test(char);
+const isUpper = (char) => Boolean(char) && /\p{Lu}/u.test(char);
+
+// A term matches on word boundaries, or on CamelCase boundaries inside
+// identifiers ("system" in "SecuritySystem").
+function findTermHits(text, terms) {
+  const lower = text.toLowerCase();
+  const hits = [];
+  const unique = Array.from(new Set(terms.map((term) => term.toLowerCase()).filter(Boolean)));
+  for (const term of unique) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      const end = index + term.length;
+      const before = text[index - 1];
+      const after = text[end];
+      const leftOk = !isWordChar(before) || (isLower(before) && isUpper(text[index]));
+      const rightOk = !isWordChar(after) || isUpper(after);
+      if (leftOk && rightOk) {
+        hits.push({ start: index, end, term });
+      }
+      index = lower.indexOf(term, index + 1);
+    }
+  }
+  hits.sort((a, b) => a.start - b.start || b.end - a.end);
+  const merged = [];
+  for (const hit of hits) {
+    const last = merged[merged.length - 1];
+    if (!last || hit.start >= last.end) {
+      merged.push(hit);
+    }
+  }
+  return merged;
+}
+
+function splitSentences(text) {
+  const sentences = [];
+  const boundary = /(?<=[.!?…])\s+|\n+/g;
+  let start = 0;
+  let match = boundary.exec(text);
+  while (match) {
+    sentences.push({ start, end: match.index });
+    start = match.index + match[0].length;
+    match = boundary.exec(text);
+  }
+  sentences.push({ start, end: text.length });
+  return sentences.filter((sentence) => text.slice(sentence.start, sentence.end).trim());
+}
+
+// Long sentences are clipped around their first hit at word boundaries.
+function clipSpan(text, span, hits, maxLength) {
+  if (span.end - span.start <= maxLength) {
+    return span;
+  }
+  const anchor = hits.length > 0 ? hits[0].start : span.start;
+  let start = Math.max(span.start, anchor - Math.floor(maxLength / 3));
+  if (start > span.start) {
+    const space = text.indexOf(" ", start);
+    start = space !== -1 && space < anchor ? space + 1 : start;
+  }
+  let end = Math.min(span.end, start + maxLength);
+  if (end < span.end) {
+    const space = text.lastIndexOf(" ", end);
+    end = space > start ? space : end;
+  }
+  return { start, end };
+}
+
+function hitsWithin(hits, span) {
+  return hits.filter((hit) => hit.start >= span.start && hit.end <= span.end);
+}
+
+function buildSnippets(pageText, terms, options = {}) {
+  if (!pageText || typeof pageText !== "string") {
+    return [];
+  }
+  const text = stripHeadingAnchors(pageText);
+  const maxPassages = options.maxPassages || DEFAULT_MAX_PASSAGES;
+  const passageLength = options.passageLength || DEFAULT_PASSAGE_LENGTH;
+  const hits = findTermHits(text, Array.isArray(terms) ? terms : []);
+  const sentences = splitSentences(text);
+
+  const candidates = [];
+  sentences.forEach((sentence, i) => {
+    if (hitsWithin(hits, sentence).length === 0) {
+      return;
+    }
+    let span = { start: sentence.start, end: sentence.end };
+    // Grow over following sentences that also contain matches.
+    for (let j = i + 1; j < sentences.length; j += 1) {
+      if (
+        sentences[j].end - span.start > passageLength ||
+        hitsWithin(hits, sentences[j]).length === 0
+      ) {
+        break;
+      }
+      span = { start: span.start, end: sentences[j].end };
+    }
+    span = clipSpan(text, span, hitsWithin(hits, span), passageLength);
+    const spanHits = hitsWithin(hits, span);
+    const distinct = new Set(spanHits.map((hit) => hit.term)).size;
+    candidates.push({ ...span, hits: spanHits, score: distinct * 2 + spanHits.length });
+  });
+
+  const chosen = [];
+  for (const candidate of candidates.sort((a, b) => b.score - a.score || a.start - b.start)) {
+    if (chosen.length >= maxPassages) {
+      break;
+    }
+    if (chosen.every((item) => candidate.end <= item.start || candidate.start >= item.end)) {
+      chosen.push(candidate);
+    }
+  }
+  if (chosen.length === 0 && sentences.length > 0) {
+    const span = clipSpan(text, sentences[0], [], passageLength);
+    chosen.push({ ...span, hits: [] });
+  }
+
+  return chosen
+    .sort((a, b) => a.start - b.start)
+    .map((passage) => ({
+      start: passage.start,
+      end: passage.end,
+      text: text.slice(passage.start, passage.end),
+      highlights: passage.hits.map((hit) => ({
+        start: hit.start - passage.start,
+        end: hit.end - passage.start,
+      })),
+    }));
+}
+
+// plain: text + highlight offsets within it; markdown: matches wrapped in
+// **bold** (offsets point inside the markers); offsets: only positions in the
+// page text as get_page returns it.
+function formatSnippets(snippets, format = "plain") {
+  if (format === "offsets") {
+    return snippets.map(({ start, end, highlights }) => ({
+      start,
+      end,
+      highlights: highlights.map((item) => ({ start: item.start + start, end: item.end + start })),
+    }));
+  }
+  if (format === "markdown") {
+    return snippets.map(({ start, end, text, highlights }) => {
+      let output = "";
+      let cursor = 0;
+      const shifted = [];
+      for (const item of highlights) {
+        output += `${text.slice(cursor, item.start)}**`;
+        shifted.push({ start: output.length, end: output.length + item.end - item.start });
+        output += `${text.slice(item.start, item.end)}**`;
+        cursor = item.end;
+      }
+      output += text.slice(cursor);
+      return { start, end, text: output, highlights: shifted };
+    });
+  }
+  return snippets;
+}
+
+function snippetsToExcerpt(snippets) {
+  return snippets.map((snippet) => snippet.text.trim()).join(" … ");
+}
+
+export { buildSnippets, findTermHits, formatSnippets, SNIPPET_FORMATS, snippetsToExcerpt };
@@ -0,0 +1,392 @@
+// Snowball stemmers for Russian and English (Porter2), implemented without
+// external dependencies. Both expect a single lowercase word.
+
+const RU_VOWELS = "аеиоуыэюя";
+
+const RU_PERFECTIVE_GERUND_1 = ["в", "вши", "вшись"];
+const RU_PERFECTIVE_GERUND_2 = ["ив", "ивши", "ившись", "ыв", "ывши", "ывшись"];
+const RU_ADJECTIVE = [
+  "ее", "ие", "ые", "ое", "ими", "ыми", "ей", "ий", "ый", "ой", "ем", "им", "ым",
+  "ом", "его", "ого", "ему", "ому", "их", "ых", "ую", "юю", "ая", "яя", "ою", "ею",
+];
+const RU_PARTICIPLE_1 = ["ем", "нн", "вш", "ющ", "щ"];
+const RU_PARTICIPLE_2 = ["ивш", "ывш", "ующ"];
+const RU_REFLEXIVE = ["ся", "сь"];
+const RU_VERB_1 = [
+  "ла", "на", "ете", "йте", "ли", "й", "л", "ем", "н", "ло", "но", "ет", "ют", "ны",
+  "ть", "ешь", "нно",
+];
+const RU_VERB_2 = [
+  "ила", "ыла", "ена", "ейте", "уйте", "ите", "или", "ыли", "ей", "уй", "ил", "ыл",
+  "им", "ым", "ен", "ило", "ыло", "ено", "ят", "ует", "уют", "ит", "ыт", "ены", "ить",
+  "ыть", "ишь", "ую", "ю",
+];
+const RU_NOUN = [
+  "а", "ев", "ов", "ие", "ье", "е", "иями", "ями", "ами", "еи", "ии", "и", "ией", "ей",
+  "ой", "ий", "й", "иям", "ям", "ием", "ем", "ам", "ом", "о", "у", "ах", "иях", "ях",
+  "ы", "ь", "ию", "ью", "ю", "ия", "ья", "я",
+];
+const RU_SUPERLATIVE = ["ейш", "ейше"];
+const RU_DERIVATIONAL = ["ост", "ость"];
+
+function isRuVowel(ch) {
+  return RU_VOWELS.includes(ch);
+}
+
+// Returns the length of the longest ending found in `word` (only characters at
+// or after `limit` are considered). Endings from `precededList` must follow
+// "а" or "я" which is also inside the region.
+function findRuEnding(word, limit, list, precededList = []) {
+  let best = 0;
+  for (const ending of precededList) {
+    const start = word.length - ending.length;
+    if (
+      ending.length > best &&
+      start - 1 >= limit &&
+      word.endsWith(ending) &&
+      (word[start - 1] === "а" || word[start - 1] === "я")
+    ) {
+      best = ending.length;
+    }
+  }
+  for (const ending of list) {
+    if (
+      ending.length > best &&
+      word.length - ending.length >= limit &&
+      word.endsWith(ending)
+    ) {
+      best = ending.length;
+    }
+  }
+  return best;
+}
+
+function ruRegions(word) {
+  let rv = word.length;
+  for (let i = 0; i < word.length; i += 1) {
+    if (isRuVowel(word[i])) {
+      rv = i + 1;
+      break;
+    }
+  }
+  const nextRegion = (from) => {
+    for (let i = from + 1; i < word.length; i += 1) {
+      if (!isRuVowel(word[i]) && isRuVowel(word[i - 1])) {
+        return i + 1;
+      }
+    }
+    return word.length;
+  };
+  const r1 = nextRegion(0);
+  const r2 = nextRegion(r1);
+  return { rv, r2 };
+}
+
+function stemRussian(input) {
+  let word = input.replace(/ё/g, "е");
+  const { rv, r2 } = ruRegions(word);
+  if (rv >= word.length) {
+    return word;
+  }
+  const cut = (length) => {
+    word = word.slice(0, word.length - length);
+  };
+
+  // Step 1
+  const gerund = findRuEnding(word, rv, RU_PERFECTIVE_GERUND_2, RU_PERFECTIVE_GERUND_1);
+  if (gerund) {
+    cut(gerund);
+  } else {
+    const reflexive = findRuEnding(word, rv, RU_REFLEXIVE);
+    if (reflexive) {
+      cut(reflexive);
+    }
+    const adjective = findRuEnding(word, rv, RU_ADJECTIVE);
+    if (adjective) {
+      cut(adjective);
+      const participle = findRuEnding(word, rv, RU_PARTICIPLE_2, RU_PARTICIPLE_1);
+      if (participle) {
+        cut(participle);
+      }
+    } else {
+      const verb = findRuEnding(word, rv, RU_VERB_2, RU_VERB_1);
+      if (verb) {
+        cut(verb);
+      } else {
+        const noun = findRuEnding(word, rv, RU_NOUN);
+        if (noun) {
+          cut(noun);
+        }
+      }
+    }
+  }
+
+  // Step 2
+  if (word.length > rv && word.endsWith("и")) {
+    cut(1);
+  }
+
+  // Step 3
+  const derivational = findRuEnding(word, r2, RU_DERIVATIONAL);
+  if (derivational) {
+    cut(derivational);
+  }
+
+  // Step 4
+  if (word.length - 2 >= rv && word.endsWith("нн")) {
+    cut(1);
+  } else {
+    const superlative = findRuEnding(word, rv, RU_SUPERLATIVE);
+    if (superlative) {
+      cut(superlative);
+      if (word.length - 2 >= rv && word.endsWith("нн")) {
+        cut(1);
+      }
+    } else if (word.length > rv && word.endsWith("ь")) {
+      cut(1);
+    }
+  }
+
+  // Not in Snowball: the genitive plural of -йка nouns has no ending and a
+  // fleeting vowel instead of "й" ("настроек" -> "настройк", as "настройка").
+  if (word.length - 2 >= rv && /[аеиоуыэюя]ек$/.test(word)) {
+    word = `${word.slice(0, -2)}йк`;
+  }
+
+  return word;
+}
+
+const EN_EXCEPTIONS = new Map([
+  ["skis", "ski"],
+  ["skies", "sky"],
+  ["dying", "die"],
+  ["lying", "lie"],
+  ["tying", "tie"],
+  ["idly", "idl"],
+  ["gently", "gentl"],
+  ["ugly", "ugli"],
+  ["early", "earli"],
+  ["only", "onli"],
+  ["singly", "singl"],
+  ["sky", "sky"],
+  ["news", "news"],
+  ["howe", "howe"],
+  ["atlas", "atlas"],
+  ["cosmos", "cosmos"],
+  ["bias", "bias"],
+  ["andes", "andes"],
+]);
+const EN_AFTER_STEP1A = new Set([
+  "inning", "outing", "canning", "herring", "earring", "proceed", "exceed", "succeed",
+]);
+const EN_DOUBLES = ["bb", "dd", "ff", "gg", "mm", "nn", "pp", "rr", "tt"];
+const EN_LI_ENDINGS = "cdeghkmnrt";
+const EN_STEP2 = [
+  ["ization", "ize"],
+  ["ational", "ate"],
+  ["fulness", "ful"],
+  ["ousness", "ous"],
+  ["iveness", "ive"],
+  ["tional", "tion"],
+  ["biliti", "ble"],
+  ["lessli", "less"],
+  ["entli", "ent"],
+  ["ation", "ate"],
+  ["alism", "al"],
+  ["aliti", "al"],
+  ["ousli", "ous"],
+  ["iviti", "ive"],
+  ["fulli", "ful"],
+  ["enci", "ence"],
+  ["anci", "ance"],
+  ["abli", "able"],
+  ["izer", "ize"],
+  ["ator", "ate"],
+  ["alli", "al"],
+  ["bli", "ble"],
+  ["ogi", "og"],
+  ["li", ""],
+];
+const EN_STEP3 = [
+  ["ational", "ate"],
+  ["tional", "tion"],
+  ["alize", "al"],
+  ["icate", "ic"],
+  ["iciti", "ic"],
+  ["ative", ""],
+  ["ical", "ic"],
+  ["ness", ""],
+  ["ful", ""],
+];
+const EN_STEP4 = [
+  "ement", "ance", "ence", "able", "ible", "ment", "ant", "ent", "ism", "ate", "iti",
+  "ous", "ive", "ize", "ion", "al", "er", "ic",
+];
+
+function isEnVowel(ch) {
+  return "aeiouy".includes(ch);
+}
+
+function enRegions(word) {
+  const nextRegion = (from) => {
+    for (let i = from + 1; i < word.length; i += 1) {
+      if (!isEnVowel(word[i]) && isEnVowel(word[i - 1])) {
+        return i + 1;
+      }
+    }
+    return word.length;
+  };
+  let r1;
+  const prefix = ["gener", "commun", "arsen"].find((item) => word.startsWith(item));
+  if (prefix) {
+    r1 = prefix.length;
+  } else {
+    r1 = nextRegion(0);
+  }
+  const r2 = nextRegion(r1);
+  return { r1, r2 };
+}
+
+function endsWithShortSyllable(word) {
+  const n = word.length;
+  if (n === 2) {
+    return isEnVowel(word[0]) && !isEnVowel(word[1]);
+  }
+  if (n >= 3) {
+    return (
+      !isEnVowel(word[n - 3]) &&
+      isEnVowel(word[n - 2]) &&
+      !isEnVowel(word[n - 1]) &&
+      !"wxY".includes(word[n - 1])
+    );
+  }
+  return false;
+}
+
+function stemEnglish(input) {
+  if (input.length <= 2) {
+    return input;
+  }
+  if (EN_EXCEPTIONS.has(input)) {
+    return EN_EXCEPTIONS.get(input);
+  }
+  let word = input.replace(/^'/, "");
+  // Mark consonant "y" as "Y" so it is not treated as a vowel.
+  word = word.replace(/^y/, "Y").replace(/([aeiouy])y/g, "$1Y");
+  const { r1, r2 } = enRegions(word);
+  const inR1 = (suffix) => word.length - suffix.length >= r1;
+  const inR2 = (suffix) => word.length - suffix.length >= r2;
+  const replace = (suffix, replacement) => {
+    word = word.slice(0, word.length - suffix.length) + replacement;
+  };
+  const hasVowel = (value) => /[aeiouy]/.test(value);
+
+  // Step 0
+  for (const suffix of ["'s'", "'s", "'"]) {
+    if (word.endsWith(suffix)) {
+      replace(suffix, "");
+      break;
+    }
+  }
+
+  // Step 1a
+  if (word.endsWith("sses")) {
+    replace("sses", "ss");
+  } else if (word.endsWith("ied") || word.endsWith("ies")) {
+    replace("ies", word.length > 4 ? "i" : "ie");
+  } else if (word.endsWith("us") || word.endsWith("ss")) {
+    // keep
+  } else if (word.endsWith("s") && hasVowel(word.slice(0, -2))) {
+    replace("s", "");
+  }
+
+  if (EN_AFTER_STEP1A.has(word)) {
+    return word;
+  }
+
+  // Step 1b
+  const step1b = ["eedly", "ingly", "edly", "eed", "ing", "ed"].find((suffix) =>
+    word.endsWith(suffix)
+  );
+  if (step1b === "eed" || step1b === "eedly") {
+    if (inR1(step1b)) {
+      replace(step1b, "ee");
+    }
+  } else if (step1b && hasVowel(word.slice(0, word.length - step1b.length))) {
+    replace(step1b, "");
+    if (word.endsWith("at") || word.endsWith("bl") || word.endsWith("iz")) {
+      word += "e";
+    } else if (EN_DOUBLES.some((pair) => word.endsWith(pair))) {
+      word = word.slice(0, -1);
+    } else if (r1 >= word.length && endsWithShortSyllable(word)) {
+      word += "e";
+    }
+  }
+
+  // Step 1c
+  if (
+    word.length > 2 &&
+    (word.endsWith("y") || word.endsWith("Y")) &&
+    !isEnVowel(word[word.length - 2])
+  ) {
+    word = `${word.slice(0, -1)}i`;
+  }
+
+  // Step 2
+  const step2 = EN_STEP2.find(([suffix]) => word.endsWith(suffix));
+  if (step2 && inR1(step2[0])) {
+    const [suffix, replacement] = step2;
+    if (suffix === "ogi") {
+      if (word[word.length - 4] === "l") {
+        replace(suffix, replacement);
+      }
+    } else if (suffix === "li") {
+      if (EN_LI_ENDINGS.includes(word[word.length - 3])) {
+        replace(suffix, replacement);
+      }
+    } else {
+      replace(suffix, replacement);
+    }
+  }
+
+  // Step 3
+  const step3 = EN_STEP3.find(([suffix]) => word.endsWith(suffix));
+  if (step3 && inR1(step3[0])) {
+    const [suffix, replacement] = step3;
+    if (suffix !== "ative" || inR2(suffix)) {
+      replace(suffix, replacement);
+    }
+  }
+
+  // Step 4
+  const step4 = EN_STEP4.find((suffix) => word.endsWith(suffix));
+  if (step4 && inR2(step4)) {
+    if (step4 !== "ion" || "st".includes(word[word.length - 4] || "-")) {
+      replace(step4, "");
+    }
+  }
+
+  // Step 5
+  if (word.endsWith("e")) {
+    const stem = word.slice(0, -1);
+    if (inR2("e") || (inR1("e") && !endsWithShortSyllable(stem))) {
+      word = stem;
+    }
+  } else if (word.endsWith("l") && inR2("l") && word.endsWith("ll")) {
+    word = word.slice(0, -1);
+  }
+
+  return word.replace(/Y/g, "y");
+}
+
+function stem(token) {
+  if (/^[а-яё]+$/.test(token)) {
+    return stemRussian(token);
+  }
+  if (/^[a-z']+$/.test(token)) {
+    return stemEnglish(token);
+  }
+  return token;
+}
+
+export { stem, stemEnglish, stemRussian };
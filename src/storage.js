@@ -3,11 +3,27 @@ import fs from "node:fs";
 import fsPromises from "node:fs/promises";
 import path from "node:path";
 import readline from "node:readline";
-import { dataDir } from "./config.js";
+import { dataDir, indexStorage } from "./config.js";
+import { getSimHash } from "./duplicates.js";
+import { getPageId, supportsIncrementalUpdates } from "./indexer.js";
+import {
+  hasShardedIndex,
+  openShardedIndex,
+  publishShardedBuild,
+  readShardedIndex,
+  writeShardedIndex,
+} from "./index-shards.js";
+import { parseHeadingLine, stripHeadingAnchors } from "./sections.js";
 import { trackFileRead } from "./request-context.js";
 
 const pagesPath = path.join(dataDir, "pages.json");
+const partialPagesPath = path.join(dataDir, "pages.partial.json");
 const indexPath = path.join(dataDir, "index.json");
+const shardedIndexDir = path.join(dataDir, "index-shards");
+const vectorsPath = path.join(dataDir, "vectors.json");
+const retryListPath = path.join(dataDir, "retry.json");
+const crawlCheckpointPath = path.join(dataDir, "crawl-checkpoint.json");
+const indexCommitPath = path.join(dataDir, "index-commit.json");
 
 const DEFAULT_PAGES_JSON_EXCERPT_CHARS = 4000;
 
@@ -21,8 +37,9 @@ function resolveAssetsDir(baseDir = dataDir) {
 
 function summarizePage(page, options = {}) {
   const { excerptChars = DEFAULT_PAGES_JSON_EXCERPT_CHARS } = options;
-  const text = typeof page?.text === "string" ? page.text : "";
+  const text = typeof page?.text === "string" ? stripHeadingAnchors(page.text) : "";
   return {
+    id: getPageId(page),
     slug: page?.slug || "",
     url: page?.url || "",
     title: page?.title || "",
@@ -33,11 +50,22 @@ function summarizePage(page, options = {}) {
     lastModified: page?.lastModified ?? null,
     updatedAt: page?.updatedAt ?? null,
     lastCheckedAt: page?.lastCheckedAt ?? null,
+    // Lets reindex skip pages whose content did not change.
+    contentHash: typeof page?.text === "string" ? hashPageContent(page) : page?.contentHash ?? null,
+    // Near-duplicate fingerprint and cluster (see duplicates.js).
+    simhash: getSimHash(page),
+    duplicateCluster: page?.duplicateCluster ?? null,
     // Keep a small preview for search excerpts without loading full markdown.
-    excerpt: text ? text.slice(0, excerptChars) : "",
+    excerpt: text ? text.slice(0, excerptChars) : page?.excerpt || "",
   };
 }
 
+function hashPageContent(page) {
+  return hashString(
+    JSON.stringify([page.title || "", page.breadcrumbs || [], page.headings || [], page.text])
+  );
+}
+
 async function ensureDataDir() {
   await fsPromises.mkdir(dataDir, { recursive: true });
 }
@@ -365,6 +393,7 @@ function serializeYaml(metadata) {
 
 function serializePageMarkdown(page) {
   const metadata = {
+    id: getPageId(page),
     slug: page.slug,
     url: page.url,
     title: page.title,
@@ -395,9 +424,9 @@ function extractMarkdownHeadings(markdown) {
   const headings = [];
   const lines = markdown.split(/\r?\n/);
   for (const line of lines) {
-    const match = line.match(/^(#{1,6})\s+(.*)$/);
-    if (match) {
-      headings.push({ level: match[1].length, text: match[2].trim() });
+    const heading = parseHeadingLine(line);
+    if (heading) {
+      headings.push(heading);
     }
   }
   return headings;
@@ -497,9 +526,11 @@ function parseMarkdownPage(content, filePath, baseDir) {
     (headings[0] ? headings[0].text : "") ||
     slug;
 
+  const url = metadata.url || "";
   return {
+    id: metadata.id || getPageId({ url, slug }),
     slug,
-    url: metadata.url || "",
+    url,
     title,
     breadcrumbs:
       Array.isArray(metadata.breadcrumbs) && metadata.breadcrumbs.length
@@ -662,6 +693,7 @@ async function loadPageMetadataFromMarkdown(baseDir) {
       continue;
     }
     pages.push({
+      id: metadata.id || getPageId(metadata),
       slug: metadata.slug,
       url: metadata.url,
       breadcrumbs: metadata.breadcrumbs || [],
@@ -711,14 +743,22 @@ async function saveBinaryAsset(url, buffer, contentType, baseDir) {
   return filePath;
 }
 
+// Written next to the target and renamed over it, so a crash mid-write never
+// leaves a truncated file behind.
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  await fsPromises.writeFile(tempPath, content, "utf8");
+  await fsPromises.rename(tempPath, filePath);
+}
+
 async function saveJson(filePath, value) {
   await ensureDataDir();
-  await fsPromises.writeFile(filePath, JSON.stringify(value, null, 2), "utf8");
+  await writeFileAtomic(filePath, JSON.stringify(value, null, 2));
 }
 
 async function saveJsonCompact(filePath, value) {
   await ensureDataDir();
-  await fsPromises.writeFile(filePath, `${JSON.stringify(value)}\n`, "utf8");
+  await writeFileAtomic(filePath, `${JSON.stringify(value)}\n`);
 }
 
 async function loadJson(filePath) {
@@ -758,40 +798,254 @@ async function loadNdjsonArray(filePath) {
   return items;
 }
 
+// `pages` may be an array or an async iterable, so callers can stream them.
 async function savePages(pages) {
+  await ensureDataDir();
+  await writePagesFile(pagesPath, pages);
+}
+
+async function writePagesFile(filePath, pages) {
   // Persist only lightweight metadata to avoid gigantic JSON (Node string limit).
   // Use NDJSON so it can be loaded streamingly even for very large datasets.
-  await ensureDataDir();
-  const stream = fs.createWriteStream(pagesPath, { encoding: "utf8" });
-  const list = Array.isArray(pages) ? pages : [];
-  for (const page of list) {
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  const stream = fs.createWriteStream(tempPath, { encoding: "utf8" });
+  for await (const page of pages || []) {
     stream.write(`${JSON.stringify(summarizePage(page))}\n`);
   }
-  await new Promise((resolve) => stream.end(resolve));
+  await new Promise((resolve, reject) => {
+    stream.on("error", reject);
+    stream.end(resolve);
+  });
+  // The previous pages.json stays in place until the new one is complete.
+  await fsPromises.rename(tempPath, filePath);
 }
 
 async function loadPages() {
+  await finishIndexCommit();
   const format = await detectJsonFormat(pagesPath);
   return format === "array" ? loadJson(pagesPath) : loadNdjsonArray(pagesPath);
 }
 
-async function saveIndex(index) {
+async function* readNdjson(filePath, limit = Infinity) {
+  trackFileRead(filePath);
+  const stream = fs.createReadStream(filePath, { encoding: "utf8" });
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let count = 0;
+  for await (const line of rl) {
+    if (count >= limit) {
+      break;
+    }
+    const trimmed = line.trim();
+    if (trimmed) {
+      count += 1;
+      yield JSON.parse(trimmed);
+    }
+  }
+}
+
+// Page summaries of a crawl in progress, appended one NDJSON line per page in
+// crawl order; pages.json is only replaced once the crawl completes. A resumed
+// crawl keeps the first `keep` pages (those covered by its checkpoint) and
+// drops whatever was written after them.
+async function createPagesWriter({ keep = 0, filePath = partialPagesPath } = {}) {
+  await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+  let count = 0;
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  const kept = fs.createWriteStream(tempPath, { encoding: "utf8" });
+  if (keep > 0 && fs.existsSync(filePath)) {
+    for await (const page of readNdjson(filePath, keep)) {
+      kept.write(`${JSON.stringify(page)}\n`);
+      count += 1;
+    }
+  }
+  await new Promise((resolve, reject) => {
+    kept.on("error", reject);
+    kept.end(resolve);
+  });
+  await fsPromises.rename(tempPath, filePath);
+  const handle = await fsPromises.open(filePath, "a");
+  return {
+    get count() {
+      return count;
+    },
+    async write(page) {
+      await handle.write(`${JSON.stringify(summarizePage(page))}\n`);
+      count += 1;
+    },
+    read() {
+      return readNdjson(filePath);
+    },
+    async close() {
+      await handle.close();
+    },
+    async discard() {
+      await handle.close();
+      await fsPromises.rm(filePath, { force: true });
+    },
+  };
+}
+
+// Writes the index in the requested format and removes the other one, so the
+// loader never picks up a stale copy.
+async function saveIndex(index, options = {}) {
+  const format = options.format || indexStorage.format || getIndexFormat();
+  if (format === "sharded") {
+    await ensureDataDir();
+    await writeShardedIndex(shardedIndexDir, index, { shardCount: indexStorage.shards });
+    await fsPromises.rm(indexPath, { force: true });
+    return;
+  }
   await saveJson(indexPath, index);
+  await fsPromises.rm(shardedIndexDir, { recursive: true, force: true });
+}
+
+// pages.json and the index are replaced as a pair. Both are first written next
+// to their final paths, then a commit marker lists them, then they are moved
+// into place. A crash between the two moves leaves the marker behind, and the
+// next load finishes the moves before reading anything, so pages.json is never
+// read against an index from another run.
+async function saveIndexData(pages, index, options = {}) {
+  const format = options.format || indexStorage.format || getIndexFormat();
+  await ensureDataDir();
+  const commit = { format, pages: `${path.basename(pagesPath)}.next-${process.pid}` };
+  await writePagesFile(path.join(dataDir, commit.pages), pages);
+  if (format === "sharded") {
+    commit.build = await writeShardedIndex(shardedIndexDir, index, {
+      shardCount: indexStorage.shards,
+      publish: false,
+    });
+  } else {
+    commit.index = `${path.basename(indexPath)}.next-${process.pid}`;
+    await writeFileAtomic(path.join(dataDir, commit.index), JSON.stringify(index, null, 2));
+  }
+  await writeFileAtomic(indexCommitPath, JSON.stringify(commit));
+  await finishIndexCommit();
+}
+
+// Completes the moves of an interrupted saveIndexData(); every step can be
+// repeated, so two processes finishing the same commit do no harm. Within one
+// process, loads running side by side share a single pass.
+let finishingIndexCommit = null;
+
+function finishIndexCommit() {
+  if (!finishingIndexCommit) {
+    finishingIndexCommit = completeIndexCommit().finally(() => {
+      finishingIndexCommit = null;
+    });
+  }
+  return finishingIndexCommit;
+}
+
+async function completeIndexCommit() {
+  let commit;
+  try {
+    commit = JSON.parse(await fsPromises.readFile(indexCommitPath, "utf8"));
+  } catch {
+    return false;
+  }
+  await renameIfPresent(path.join(dataDir, commit.pages), pagesPath);
+  if (commit.format === "sharded") {
+    await publishShardedBuild(shardedIndexDir, commit.build);
+    await fsPromises.rm(indexPath, { force: true });
+  } else {
+    await renameIfPresent(path.join(dataDir, commit.index), indexPath);
+    await fsPromises.rm(shardedIndexDir, { recursive: true, force: true });
+  }
+  await fsPromises.rm(indexCommitPath, { force: true });
+  return true;
+}
+
+async function renameIfPresent(fromPath, toPath) {
+  try {
+    await fsPromises.rename(fromPath, toPath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
 }
 
-async function loadIndex() {
+// `writable: true` loads sharded postings eagerly into a plain object that can
+// be updated in place.
+async function loadIndex(options = {}) {
+  await finishIndexCommit();
+  if (hasShardedIndex(shardedIndexDir)) {
+    return options.writable
+      ? readShardedIndex(shardedIndexDir)
+      : openShardedIndex(shardedIndexDir, { cacheShards: indexStorage.cacheShards });
+  }
   return loadJson(indexPath);
 }
 
+// pages.json and a mutable index for in-place updates; null when there is no
+// index yet or it is in a format that has to be rebuilt.
+async function loadIndexForUpdate() {
+  try {
+    const [pages, index] = await Promise.all([loadPages(), loadIndex({ writable: true })]);
+    return Array.isArray(pages) && supportsIncrementalUpdates(index) ? { pages, index } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Page and section vectors for semantic search, next to the index.
+async function saveVectors(store) {
+  await saveJsonCompact(vectorsPath, store);
+}
+
+async function loadVectors() {
+  if (!fs.existsSync(vectorsPath)) {
+    return null;
+  }
+  return loadJson(vectorsPath);
+}
+
+// URLs the last crawl could not fetch after all retries; the next --only-new
+// crawl tries them first.
+async function saveRetryList(entries) {
+  await saveJson(retryListPath, { updatedAt: new Date().toISOString(), urls: entries });
+}
+
+async function loadRetryList() {
+  if (!fs.existsSync(retryListPath)) {
+    return [];
+  }
+  const saved = await loadJson(retryListPath);
+  return Array.isArray(saved?.urls) ? saved.urls : [];
+}
+
+// Crawl frontier saved at intervals (queue, visited URLs, counters and how
+// many pages the pages writer holds), so `crawl --resume` can continue after a
+// crash.
+async function saveCrawlCheckpoint(state) {
+  await saveJsonCompact(crawlCheckpointPath, state);
+}
+
+async function loadCrawlCheckpoint() {
+  if (!fs.existsSync(crawlCheckpointPath)) {
+    return null;
+  }
+  return loadJson(crawlCheckpointPath);
+}
+
+async function removeCrawlCheckpoint() {
+  await fsPromises.rm(crawlCheckpointPath, { force: true });
+}
+
+function getIndexFormat() {
+  return hasShardedIndex(shardedIndexDir) ? "sharded" : "json";
+}
+
 function getPagesPath() {
   return pagesPath;
 }
 
 function getIndexPath() {
-  return indexPath;
+  return getIndexFormat() === "sharded" ? shardedIndexDir : indexPath;
 }
 
 export {
+  hashPageContent,
   summarizePage,
   savePageMarkdown,
   loadPagesFromMarkdown,
@@ -799,10 +1053,21 @@ export {
   loadPageMetadataFromMarkdown,
   loadPageMarkdownByMetadata,
   saveBinaryAsset,
+  createPagesWriter,
   savePages,
   loadPages,
   saveIndex,
+  saveIndexData,
   loadIndex,
+  loadIndexForUpdate,
+  saveVectors,
+  loadVectors,
+  saveRetryList,
+  loadRetryList,
+  saveCrawlCheckpoint,
+  loadCrawlCheckpoint,
+  removeCrawlCheckpoint,
   getPagesPath,
+  getIndexFormat,
   getIndexPath,
 };
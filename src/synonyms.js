@@ -0,0 +1,135 @@
+import fs from "node:fs";
+import { synonyms as synonymsConfig } from "./config.js";
+import { analyze } from "./indexer.js";
+
+// Glossary file: { "groups": [["business object", "бизнес-объект", "BO"], ...] }.
+// Every entry of a group is treated as a synonym of the others.
+
+let defaultGlossary = null;
+
+function parseGlossary(raw) {
+  const groups = Array.isArray(raw) ? raw : raw?.groups;
+  if (!Array.isArray(groups)) {
+    throw new Error('Synonyms file must contain a "groups" array.');
+  }
+  return groups
+    .filter((group) => Array.isArray(group))
+    .map((group) => group.filter((entry) => typeof entry === "string" && entry.trim()))
+    .filter((group) => group.length > 1);
+}
+
+function loadSynonyms(filePath) {
+  return parseGlossary(JSON.parse(fs.readFileSync(filePath, "utf8")));
+}
+
+// Loads the configured glossary once; a broken file disables expansion and the
+// error is kept for the startup log.
+function getSynonyms() {
+  if (!defaultGlossary) {
+    try {
+      defaultGlossary = { groups: loadSynonyms(synonymsConfig.file), error: null };
+    } catch (error) {
+      defaultGlossary = { groups: [], error: error.message };
+    }
+  }
+  return defaultGlossary;
+}
+
+const analyzedGroups = new WeakMap();
+
+function analyzeEntry(entry, stemmed) {
+  const tokens = analyze(entry);
+  const start = tokens[0]?.position ?? 0;
+  const byPosition = new Map();
+  for (const token of tokens) {
+    const current = byPosition.get(token.position);
+    if (!current || token.weight >= current.weight) {
+      byPosition.set(token.position, token);
+    }
+  }
+  return Array.from(byPosition.values())
+    .sort((a, b) => a.position - b.position)
+    .map((token) => ({ term: stemmed ? token.term : token.surface, offset: token.position - start }));
+}
+
+function getAnalyzedGroups(groups, stemmed) {
+  const cached = analyzedGroups.get(groups);
+  const key = stemmed ? "stemmed" : "plain";
+  if (cached?.[key]) {
+    return cached[key];
+  }
+  const analyzed = groups.map((group) =>
+    group
+      .map((entry) => ({ entry, sequence: analyzeEntry(entry, stemmed) }))
+      .filter((item) => item.sequence.length > 0)
+  );
+  analyzedGroups.set(groups, { ...cached, [key]: analyzed });
+  return analyzed;
+}
+
+function containsSequence(sequence, wanted) {
+  const byOffset = new Map(sequence.map((item) => [item.offset, item.term]));
+  return sequence.some(({ offset }) =>
+    wanted.every((item) => byOffset.get(offset + item.offset) === item.term)
+  );
+}
+
+// Consecutive query clauses on the same field form one run, so multi-word
+// entries ("business object") match across separately typed words.
+function buildRuns(clauses) {
+  const runs = [];
+  for (const clause of clauses) {
+    let run = runs[runs.length - 1];
+    if (!run || run.field !== clause.field) {
+      run = { field: clause.field, sequence: [], weight: 0, next: 0 };
+      runs.push(run);
+    }
+    let lastOffset = 0;
+    for (const item of clause.sequence) {
+      run.sequence.push({ term: item.term, offset: run.next + item.offset });
+      lastOffset = Math.max(lastOffset, item.offset);
+    }
+    run.next += lastOffset + 1;
+    run.weight = Math.max(run.weight, ...clause.termWeights.values());
+  }
+  return runs;
+}
+
+// Returns extra term specs for glossary entries found in the query, plus a
+// summary of the expansions applied.
+function expandSynonyms(index, clauses, groups, weight) {
+  const specs = [];
+  const applied = new Map();
+  if (!groups?.length || weight <= 0) {
+    return { specs, applied: [] };
+  }
+  const analyzed = getAnalyzedGroups(groups, Boolean(index.stemmed));
+  for (const run of buildRuns(clauses)) {
+    for (const group of analyzed) {
+      const matched = group.find((item) => containsSequence(run.sequence, item.sequence));
+      if (!matched) {
+        continue;
+      }
+      const matchedKey = matched.sequence.map((item) => item.term).join(" ");
+      const targets = group.filter(
+        (item) => item.sequence.map((part) => part.term).join(" ") !== matchedKey
+      );
+      if (targets.length === 0) {
+        continue;
+      }
+      for (const target of targets) {
+        for (const { term } of target.sequence) {
+          specs.push({ term, field: run.field, weight: run.weight * weight, synonymOf: matched.entry });
+        }
+      }
+      applied.set(matched.entry, {
+        match: matched.entry,
+        expandedTo: targets.map((item) => item.entry),
+        weight,
+      });
+    }
+  }
+  return { specs, applied: Array.from(applied.values()) };
+}
+
+export { expandSynonyms, getSynonyms, loadSynonyms };
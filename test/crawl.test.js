@@ -1,6 +1,12 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
 import { runCrawl } from "../src/crawl.js";
+import { createHashingEmbedder } from "../src/embeddings.js";
+import { buildIndex, computePageId, getPageId } from "../src/indexer.js";
+import { createPagesWriter, summarizePage } from "../src/storage.js";
 
 function createFetchStub(responses) {
   let calls = 0;
@@ -35,9 +41,39 @@ const logger = {
   warn: () => {},
 };
 
+// In-memory stand-in for the pages writer; `lines` outlives a crashed run.
+function createMemoryPagesWriter(lines = []) {
+  return async ({ keep = 0 } = {}) => {
+    lines.splice(keep);
+    return {
+      get count() {
+        return lines.length;
+      },
+      async write(page) {
+        lines.push(JSON.parse(JSON.stringify(summarizePage(page))));
+      },
+      async *read() {
+        yield* lines;
+      },
+      async close() {},
+      async discard() {
+        lines.length = 0;
+      },
+    };
+  };
+}
+
 const noMarkdownIO = {
   savePageMarkdownImpl: async () => {},
-  loadPagesForIndexImpl: async (pages) => pages,
+  loadIndexImpl: async () => null,
+  embedder: null,
+  ignoreRobots: true,
+  useSitemaps: false,
+  loadRetryListImpl: async () => [],
+  saveRetryListImpl: async () => {},
+  saveCheckpointImpl: async () => {},
+  removeCheckpointImpl: async () => {},
+  createPagesWriterImpl: createMemoryPagesWriter(),
   loadPageMarkdownByMetadataImpl: async (page) => page,
   collectPages: true,
 };
@@ -310,3 +346,519 @@ test("max pages per session ignores reused pages", async () => {
   assert.equal(result.fetchedCount, 1);
   assert.equal(result.pages.length, 2);
 });
+
+test("crawl updates the existing index in place with stable page IDs", async () => {
+  const root = {
+    url: "https://example.com/docs/",
+    slug: "index",
+    title: "Existing",
+    headings: [],
+    text: "Existing text",
+    codeBlocks: [],
+    links: ["https://example.com/docs/page-2/"],
+    etag: "etag-1",
+    lastModified: null,
+  };
+  const stale = { ...root, url: "https://example.com/docs/old/", slug: "old", links: [] };
+  const existing = {
+    pages: [summarizePage(root), summarizePage(stale)],
+    index: buildIndex([root, stale]),
+  };
+  const { fetchImpl } = createFetchStub({
+    "https://example.com/docs/page-2/": { status: 200, body: "<h1>Second</h1><p>Fresh</p>" },
+  });
+  let savedPages = null;
+  let savedIndex = null;
+
+  await runCrawl({
+    onlyNew: true,
+    baseUrlOverride: "https://example.com/docs/",
+    fetchImpl,
+    loadPagesImpl: async () => [root],
+    savePagesImpl: async (value) => {
+      savedPages = value;
+    },
+    saveIndexImpl: async (value) => {
+      savedIndex = value;
+    },
+    logger,
+    consoleLogger: logger,
+    ...noMarkdownIO,
+    loadIndexImpl: async () => existing,
+  });
+
+  const freshId = computePageId({ url: "https://example.com/docs/page-2/" });
+  assert.deepEqual(
+    savedPages.map((page) => page.slug),
+    ["index", "page-2/"]
+  );
+  assert.deepEqual(
+    savedPages.map((page) => page.id),
+    [getPageId(root), freshId]
+  );
+  assert.equal(savedIndex.pageCount, 2);
+  assert.deepEqual(Object.keys(savedIndex.docLengths).sort(), [getPageId(root), freshId].sort());
+  assert.deepEqual(savedIndex.terms.fresh, { [freshId]: 1 });
+});
+
+test("concurrent crawl saves pages in the same order as a sequential one", async () => {
+  const link = (name) => `<a href="/docs/${name}/">${name}</a>`;
+  const bodies = {
+    "https://example.com/docs/": `<h1>Root</h1>${link("a")}${link("b")}${link("c")}`,
+    "https://example.com/docs/a/": `<h1>A</h1>${link("d")}${link("e")}`,
+    "https://example.com/docs/b/": `<h1>B</h1>${link("e")}${link("f")}`,
+    "https://example.com/docs/c/": `<h1>C</h1>${link("a")}`,
+    "https://example.com/docs/d/": "<h1>D</h1>",
+    "https://example.com/docs/e/": "<h1>E</h1>",
+    "https://example.com/docs/f/": "<h1>F</h1>",
+  };
+  // Later pages answer first, so completion order differs from queue order.
+  const delays = { a: 30, b: 5, c: 15, d: 1, e: 20, f: 0 };
+  const crawl = async (concurrency) => {
+    let active = 0;
+    let maxActive = 0;
+    const { fetchImpl } = createFetchStub(
+      Object.fromEntries(
+        Object.entries(bodies).map(([url, body]) => [url, { status: 200, body }])
+      )
+    );
+    const progress = [];
+    let savedPages = null;
+    await runCrawl({
+      baseUrlOverride: "https://example.com/docs/",
+      fetchImpl: async (url, init) => {
+        active += 1;
+        maxActive = Math.max(maxActive, active);
+        const name = url.split("/").at(-2);
+        await new Promise((resolve) => setTimeout(resolve, delays[name] ?? 0));
+        active -= 1;
+        return fetchImpl(url, init);
+      },
+      concurrencyOverride: concurrency,
+      hostConcurrencyOverride: 3,
+      delayMsOverride: 0,
+      savePagesImpl: async (value) => {
+        savedPages = value;
+      },
+      saveIndexImpl: async () => {},
+      logger: { ...logger, log: (event, meta) => event === "crawl.progress" && progress.push(meta) },
+      consoleLogger: logger,
+      ...noMarkdownIO,
+    });
+    return { urls: savedPages.map((page) => page.url), maxActive, progress };
+  };
+
+  const sequential = await crawl(1);
+  const concurrent = await crawl(5);
+  assert.deepEqual(concurrent.urls, sequential.urls);
+  assert.equal(concurrent.urls.length, 7);
+  assert.equal(sequential.maxActive, 1);
+  assert.equal(concurrent.maxActive, 3);
+  assert.equal(concurrent.progress.length, 7);
+  assert.equal(concurrent.progress[0].queued, 3);
+  assert.ok(concurrent.progress.every((meta) => meta.pagesPerSecond >= 0));
+});
+
+test("crawl honours robots.txt unless told to ignore it", async () => {
+  const responses = {
+    "https://example.com/robots.txt": {
+      status: 200,
+      contentType: "text/plain",
+      body: "User-agent: *\nDisallow: /docs/private/\nCrawl-delay: 0.01",
+    },
+    "https://example.com/docs/": {
+      status: 200,
+      body: '<h1>Root</h1><a href="/docs/private/">Private</a><a href="/docs/open/">Open</a>',
+    },
+    "https://example.com/docs/private/": { status: 200, body: "<h1>Private</h1>" },
+    "https://example.com/docs/open/": { status: 200, body: "<h1>Open</h1>" },
+  };
+  const crawl = async (ignoreRobots) => {
+    const { fetchImpl } = createFetchStub(responses);
+    const events = [];
+    let savedPages = null;
+    await runCrawl({
+      baseUrlOverride: "https://example.com/docs/",
+      fetchImpl,
+      savePagesImpl: async (value) => {
+        savedPages = value;
+      },
+      saveIndexImpl: async () => {},
+      logger: { ...logger, log: (event, meta) => events.push({ event, ...meta }) },
+      consoleLogger: logger,
+      ...noMarkdownIO,
+      ignoreRobots,
+    });
+    return { urls: savedPages.map((page) => page.url), events };
+  };
+
+  const polite = await crawl(false);
+  assert.deepEqual(polite.urls, ["https://example.com/docs/", "https://example.com/docs/open/"]);
+  assert.deepEqual(
+    polite.events.filter((entry) => entry.event === "crawl.skip"),
+    [{ event: "crawl.skip", url: "https://example.com/docs/private/", reason: "robots" }]
+  );
+  assert.equal(polite.events.find((entry) => entry.event === "crawl.robots").crawlDelayMs, 10);
+
+  const owned = await crawl(true);
+  assert.equal(owned.urls.length, 3);
+});
+
+test("sitemap seeds orphan pages and skips pages unchanged since the last check", async () => {
+  const checkedAt = "2026-10-10T00:00:00.000Z";
+  const existing = {
+    url: "https://example.com/docs/stable/",
+    slug: "stable/",
+    title: "Stable",
+    headings: [],
+    text: "Stable text",
+    codeBlocks: [],
+    links: [],
+    lastCheckedAt: checkedAt,
+  };
+  // --only-new would reuse it, but the sitemap says it changed.
+  const changed = {
+    url: "https://example.com/docs/changed/",
+    slug: "changed/",
+    title: "Changed",
+    headings: [],
+    text: "Old text",
+    codeBlocks: [],
+    links: ["https://example.com/docs/"],
+    etag: "etag-changed",
+    lastCheckedAt: checkedAt,
+  };
+  const { fetchImpl } = createFetchStub({
+    "https://example.com/robots.txt": {
+      status: 200,
+      contentType: "text/plain",
+      body: "Sitemap: https://example.com/docs/sitemap.xml",
+    },
+    "https://example.com/docs/sitemap.xml": {
+      status: 200,
+      contentType: "application/xml",
+      body: `<urlset>
+        <url><loc>https://example.com/docs/orphan/</loc></url>
+        <url><loc>https://example.com/docs/stable/</loc><lastmod>2026-10-01</lastmod></url>
+        <url><loc>https://example.com/docs/changed/</loc><lastmod>2026-10-15</lastmod></url>
+        <url><loc>https://example.com/blog/other/</loc></url>
+      </urlset>`,
+    },
+    "https://example.com/docs/": { status: 200, body: "<h1>Root</h1>" },
+    "https://example.com/docs/orphan/": { status: 200, body: "<h1>Orphan</h1>" },
+    "https://example.com/docs/changed/": { status: 200, body: "<h1>Changed</h1><p>New text</p>" },
+  });
+  const requested = [];
+  const headersByUrl = new Map();
+  const events = [];
+  let savedPages = null;
+
+  await runCrawl({
+    baseUrlOverride: "https://example.com/docs/",
+    fetchImpl: async (url, init) => {
+      requested.push(url);
+      headersByUrl.set(url, init?.headers || {});
+      return fetchImpl(url, init);
+    },
+    loadPagesImpl: async () => [existing, changed],
+    savePagesImpl: async (value) => {
+      savedPages = value;
+    },
+    saveIndexImpl: async () => {},
+    logger: { ...logger, log: (event, meta) => events.push({ event, ...meta }) },
+    consoleLogger: logger,
+    ...noMarkdownIO,
+    ignoreRobots: false,
+    useSitemaps: true,
+    onlyNew: true,
+    delayMsOverride: 0,
+  });
+
+  assert.deepEqual(
+    savedPages.map((page) => page.url),
+    [
+      "https://example.com/docs/",
+      "https://example.com/docs/orphan/",
+      "https://example.com/docs/stable/",
+      "https://example.com/docs/changed/",
+    ]
+  );
+  assert.ok(!requested.includes("https://example.com/docs/stable/"));
+  assert.equal(headersByUrl.get("https://example.com/docs/changed/")["If-None-Match"], "etag-changed");
+  assert.equal(savedPages[3].title, "Changed");
+  assert.ok(!requested.includes("https://example.com/blog/other/"));
+  assert.equal(events.find((entry) => entry.event === "crawl.saved").unchangedBySitemap, 1);
+});
+
+test("crawl retries temporary failures and keeps the rest for the next only-new run", async () => {
+  const statuses = {
+    "https://example.com/docs/": [503, 200],
+    "https://example.com/docs/flaky/": [500, 500, 500],
+  };
+  const root = '<h1>Root</h1><a href="/docs/flaky/">Flaky</a>';
+  const requested = [];
+  const fetchImpl = async (url) => {
+    requested.push(url);
+    const status = statuses[url]?.shift() ?? 200;
+    const headers = { "content-type": "text/html", "retry-after": status === 503 ? "1" : null };
+    return {
+      ok: status === 200,
+      status,
+      headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+      text: async () => (url.endsWith("/docs/") ? root : "<h1>Flaky</h1>"),
+    };
+  };
+  const sleeps = [];
+  let retryList = [];
+  const crawl = (onlyNew) =>
+    runCrawl({
+      onlyNew,
+      baseUrlOverride: "https://example.com/docs/",
+      fetchImpl,
+      retryOptions: { retries: 2, baseDelayMs: 10, sleep: async (ms) => sleeps.push(ms) },
+      savePagesImpl: async () => {},
+      saveIndexImpl: async () => {},
+      logger,
+      consoleLogger: logger,
+      ...noMarkdownIO,
+      loadRetryListImpl: async () => retryList,
+      saveRetryListImpl: async (value) => {
+        retryList = value;
+      },
+    });
+
+  const first = await crawl(false);
+  assert.deepEqual(
+    first.pages.map((page) => page.url),
+    ["https://example.com/docs/"]
+  );
+  assert.equal(sleeps[0], 1000);
+  assert.equal(sleeps.length, 3);
+  assert.deepEqual(
+    retryList.map(({ url, error, failures }) => ({ url, error, failures })),
+    [
+      {
+        url: "https://example.com/docs/flaky/",
+        error: "HTTP 500 for https://example.com/docs/flaky/",
+        failures: 1,
+      },
+    ]
+  );
+
+  requested.length = 0;
+  const second = await crawl(true);
+  assert.equal(requested[0], "https://example.com/docs/flaky/");
+  assert.deepEqual(
+    second.pages.map((page) => page.url),
+    ["https://example.com/docs/flaky/", "https://example.com/docs/"]
+  );
+  assert.deepEqual(retryList, []);
+});
+
+test("a URL that keeps failing leaves the retry list after retryMaxRuns runs", async () => {
+  const { fetchImpl } = createFetchStub({
+    "https://example.com/docs/": { status: 200, body: '<h1>Root</h1><a href="/docs/gone/">Gone</a>' },
+    "https://example.com/docs/gone/": { status: 503 },
+  });
+  const warnings = [];
+  let retryList = [];
+  const crawl = () =>
+    runCrawl({
+      onlyNew: true,
+      baseUrlOverride: "https://example.com/docs/",
+      fetchImpl,
+      retryOptions: { retries: 0 },
+      retryMaxRuns: 3,
+      savePagesImpl: async () => {},
+      saveIndexImpl: async () => {},
+      logger: { ...logger, warn: (event, meta) => warnings.push({ event, ...meta }) },
+      consoleLogger: logger,
+      ...noMarkdownIO,
+      loadRetryListImpl: async () => retryList,
+      saveRetryListImpl: async (value) => {
+        retryList = value;
+      },
+    });
+
+  await crawl();
+  const [{ firstFailedAt }] = retryList;
+  await crawl();
+  assert.deepEqual(
+    retryList.map((entry) => [entry.url, entry.failures, entry.firstFailedAt]),
+    [["https://example.com/docs/gone/", 2, firstFailedAt]]
+  );
+
+  await crawl();
+  assert.deepEqual(retryList, []);
+  const expired = warnings.find((entry) => entry.event === "crawl.retry.expired");
+  assert.equal(expired.url, "https://example.com/docs/gone/");
+  assert.equal(expired.failures, 3);
+});
+
+test("resumed crawl continues from the last checkpoint", async () => {
+  const link = (name) => `<a href="/docs/${name}/">${name}</a>`;
+  const bodies = {
+    "https://example.com/docs/": `<h1>Root</h1>${link("a")}${link("b")}`,
+    "https://example.com/docs/a/": `<h1>A</h1>${link("c")}`,
+    "https://example.com/docs/b/": `<h1>B</h1>${link("d")}`,
+    "https://example.com/docs/c/": "<h1>C</h1>",
+    "https://example.com/docs/d/": "<h1>D</h1>",
+  };
+  const { fetchImpl } = createFetchStub(
+    Object.fromEntries(Object.entries(bodies).map(([url, body]) => [url, { status: 200, body }]))
+  );
+  const requested = [];
+  const written = [];
+  const markdown = new Map();
+  const embedder = createHashingEmbedder({ dimensions: 16 });
+  let checkpoint = null;
+  let savedPages = null;
+  let savedIndex = null;
+  let savedVectors = null;
+  const crawl = (options) =>
+    runCrawl({
+      baseUrlOverride: "https://example.com/docs/",
+      fetchImpl: async (url, init) => {
+        requested.push(url);
+        return fetchImpl(url, init);
+      },
+      concurrencyOverride: 2,
+      delayMsOverride: 0,
+      checkpointEvery: 1,
+      savePagesImpl: async (value) => {
+        savedPages = value.map((page) => page.url);
+      },
+      saveIndexImpl: async (value) => {
+        savedIndex = value;
+      },
+      logger,
+      consoleLogger: logger,
+      ...noMarkdownIO,
+      embedder,
+      loadVectorsImpl: async () => savedVectors,
+      saveVectorsImpl: async (value) => {
+        savedVectors = value;
+      },
+      savePageMarkdownImpl: async (page) => {
+        markdown.set(page.slug, page);
+      },
+      loadPageMarkdownByMetadataImpl: async ({ slug }) => markdown.get(slug) ?? null,
+      loadCheckpointImpl: async () => checkpoint,
+      saveCheckpointImpl: async (state) => {
+        checkpoint = JSON.parse(JSON.stringify(state));
+      },
+      removeCheckpointImpl: async () => {
+        checkpoint = null;
+      },
+      createPagesWriterImpl: createMemoryPagesWriter(written),
+      ...options,
+    });
+
+  // The crawl dies while saving page B; A was checkpointed with B in flight.
+  await assert.rejects(
+    crawl({
+      savePageMarkdownImpl: async (page) => {
+        if (page.url.endsWith("/b/")) {
+          throw new Error("out of memory");
+        }
+        markdown.set(page.slug, page);
+      },
+    }),
+    /out of memory/
+  );
+  assert.equal(savedPages, null);
+  // Only the frontier is checkpointed; pages come back from the markdown.
+  assert.equal(checkpoint.index, undefined);
+  assert.equal(checkpoint.pages, undefined);
+  assert.equal(checkpoint.vectors, undefined);
+  // Pages are written out as they are crawled; B came after the checkpoint.
+  assert.deepEqual(
+    written.map((page) => page.url),
+    ["https://example.com/docs/", "https://example.com/docs/a/", "https://example.com/docs/b/"]
+  );
+  assert.equal(checkpoint.pagesWritten, 2);
+  assert.deepEqual(checkpoint.queue, ["https://example.com/docs/b/", "https://example.com/docs/c/"]);
+  assert.equal(checkpoint.counters.crawled, 2);
+
+  requested.length = 0;
+  await crawl({ resume: true });
+  assert.deepEqual(requested, [
+    "https://example.com/docs/b/",
+    "https://example.com/docs/c/",
+    "https://example.com/docs/d/",
+  ]);
+  assert.deepEqual(savedPages, [
+    "https://example.com/docs/",
+    "https://example.com/docs/a/",
+    "https://example.com/docs/b/",
+    "https://example.com/docs/c/",
+    "https://example.com/docs/d/",
+  ]);
+  const ids = ["", "a/", "b/", "c/", "d/"]
+    .map((name) => computePageId({ url: `https://example.com/docs/${name}` }))
+    .sort();
+  assert.deepEqual(Object.keys(savedIndex.docLengths).sort(), ids);
+  assert.deepEqual(Object.keys(savedVectors.pages).sort(), ids);
+  assert.equal(checkpoint, null);
+  assert.deepEqual(written, []);
+});
+
+test("crawl fails when its checkpoint cannot be saved", async () => {
+  const { fetchImpl } = createFetchStub({
+    "https://example.com/docs/": { status: 200, body: '<h1>Root</h1><a href="/docs/a/">A</a>' },
+    "https://example.com/docs/a/": { status: 200, body: "<h1>A</h1>" },
+  });
+  let savedPages = null;
+  await assert.rejects(
+    runCrawl({
+      baseUrlOverride: "https://example.com/docs/",
+      fetchImpl,
+      delayMsOverride: 0,
+      checkpointEvery: 1,
+      savePagesImpl: async (value) => {
+        savedPages = value;
+      },
+      saveIndexImpl: async () => {},
+      logger,
+      consoleLogger: logger,
+      ...noMarkdownIO,
+      saveCheckpointImpl: async () => {
+        throw new Error("disk full");
+      },
+    }),
+    /disk full/
+  );
+  assert.equal(savedPages, null);
+});
+
+test("pages writer appends summaries and keeps only checkpointed lines on resume", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "custom-mcp-pages-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "pages.partial.json");
+  const page = (name) => ({ url: `https://example.com/docs/${name}/`, slug: name, text: name });
+  const read = async (writer) => {
+    const urls = [];
+    for await (const summary of writer.read()) {
+      urls.push(summary.url);
+    }
+    return urls;
+  };
+
+  const first = await createPagesWriter({ filePath });
+  for (const name of ["a", "b", "c"]) {
+    await first.write(page(name));
+  }
+  await first.close();
+  await fs.appendFile(filePath, '{"url":"https://exa');
+
+  const resumed = await createPagesWriter({ filePath, keep: 2 });
+  assert.equal(resumed.count, 2);
+  await resumed.write(page("d"));
+  assert.deepEqual(await read(resumed), [
+    "https://example.com/docs/a/",
+    "https://example.com/docs/b/",
+    "https://example.com/docs/d/",
+  ]);
+  await resumed.discard();
+  await assert.rejects(fs.access(filePath));
+});
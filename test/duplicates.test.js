@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeSimHash,
+  findDuplicateClusters,
+  getSimHash,
+  hammingDistance,
+  markDuplicateClusters,
+} from "../src/duplicates.js";
+import { formatDuplicateReport } from "../src/duplicates-report.js";
+import { getPageId } from "../src/indexer.js";
+import { summarizePage } from "../src/storage.js";
+
+const ARTICLE =
+  "Access rights are granted to roles. Each role lists the documents it may open, " +
+  "the fields it may change and the workflow steps it may start. Administrators " +
+  "assign roles to users in the security settings and changes apply after the next sign in. " +
+  "The audit log records who changed a role and when. Roles can inherit rights from parent " +
+  "roles, and a user with several roles gets the union of their rights. Denied rights always " +
+  "win over granted ones.";
+
+test("computeSimHash keeps near-identical texts within a few bits", () => {
+  const original = computeSimHash(ARTICLE);
+  const printable = computeSimHash(`${ARTICLE} Printable version.`);
+  const other = computeSimHash(
+    "Grid columns can be hidden, reordered and resized. The layout is saved per user " +
+      "and restored when the list is opened again, together with sorting and filters."
+  );
+
+  assert.match(original, /^[0-9a-f]{16}$/);
+  assert.ok(hammingDistance(original, printable) <= 3);
+  assert.ok(hammingDistance(original, other) > 3);
+  assert.equal(computeSimHash("Too short to fingerprint."), null);
+});
+
+test("a page gets the same fingerprint with or without its summary", () => {
+  const page = {
+    url: "http://x/roles",
+    text: `## Roles {#roles}\n${ARTICLE}\n## Audit {#audit-log}\nThe audit log lists role changes.`,
+  };
+  const plain = { ...page, text: page.text.replace(/ \{#[^}]+\}/g, "") };
+
+  assert.equal(getSimHash(page), summarizePage(page).simhash);
+  assert.equal(getSimHash(page), getSimHash(plain));
+});
+
+test("findDuplicateClusters groups copies under the page with the shortest URL", () => {
+  const pages = [
+    { slug: "roles-print", url: "http://x/docs/roles/print", title: "Roles", text: ARTICLE },
+    {
+      slug: "roles",
+      url: "http://x/docs/roles",
+      title: "Roles",
+      breadcrumbs: ["Security"],
+      text: `${ARTICLE} Printable version.`,
+    },
+    { slug: "grid", url: "http://x/docs/grid", title: "Grid", text: "Grid columns." },
+  ];
+  const [print, roles, grid] = pages.map(getPageId);
+
+  const clusters = markDuplicateClusters(pages);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].canonical, roles);
+  assert.deepEqual(
+    clusters[0].pages.map((page) => page.pageId),
+    [roles, print]
+  );
+  assert.deepEqual(
+    pages.map((page) => page.duplicateCluster),
+    [roles, roles, null]
+  );
+  assert.notEqual(grid, roles);
+  assert.deepEqual(findDuplicateClusters(pages, { maxDistance: -1 }), []);
+
+  const report = formatDuplicateReport(clusters);
+  assert.match(report, /1 clusters \(2 pages\)/);
+  assert.match(report, /\* http:\/\/x\/docs\/roles {2}\(Security\)/);
+  assert.match(report, /- http:\/\/x\/docs\/roles\/print/);
+});
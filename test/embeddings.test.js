@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createHashingEmbedder,
+  createHttpEmbedder,
+  createVectorStore,
+  createVectorUpdater,
+  getEmbedder,
+  openVectorStore,
+  rankBySimilarity,
+} from "../src/embeddings.js";
+import { getPageId } from "../src/indexer.js";
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+test("hashing embedder places related texts closer than unrelated ones", async () => {
+  const embedder = createHashingEmbedder({ dimensions: 128 });
+  const [query, related, unrelated] = await embedder.embed([
+    "restrict who can edit documents",
+    "Editing permissions restrict document changes to selected roles",
+    "Grid columns and layout settings",
+  ]);
+
+  assert.equal(query.length, 128);
+  assert.ok(Math.abs(dot(query, query) - 1) < 0.01);
+  assert.ok(dot(query, related) > dot(query, unrelated));
+  assert.deepEqual((await embedder.embed(["permissions"]))[0], (await embedder.embed(["permissions"]))[0]);
+});
+
+test(
+  "semantic search is off unless EMBEDDINGS_PROVIDER names a provider",
+  { skip: process.env.EMBEDDINGS_PROVIDER !== undefined },
+  () => {
+    assert.equal(getEmbedder(), null);
+  }
+);
+
+test("vector updater stores page and section vectors by page ID", async () => {
+  const embedder = createHashingEmbedder({ dimensions: 64 });
+  const page = {
+    url: "http://x/roles",
+    title: "Roles",
+    text: "# Roles\nIntro.\n## Editing rights\nWho may edit a document.",
+  };
+  const store = createVectorStore(embedder);
+  const updater = createVectorUpdater(store, embedder);
+  await updater.upsert(page);
+
+  const entry = store.pages[getPageId(page)];
+  assert.equal(entry.vector.length, 64);
+  assert.equal(entry.sections.length, 2);
+  assert.deepEqual(updater.finish(), { embedded: 1, removed: 0 });
+
+  const [queryVector] = await embedder.embed(["edit document rights"]);
+  const [hit] = rankBySimilarity(store, queryVector, { minSimilarity: 0 });
+  assert.equal(hit.pageId, getPageId(page));
+  assert.equal(hit.sectionIndex, 1);
+
+  assert.equal(openVectorStore(store, embedder), store);
+  assert.notEqual(openVectorStore(store, createHashingEmbedder({ dimensions: 32 })), store);
+});
+
+test("http embedder posts texts and normalizes the returned vectors", async () => {
+  const calls = [];
+  const embedder = createHttpEmbedder({
+    url: "http://localhost:8080/v1/embeddings",
+    model: "local-model",
+    fetchImpl: async (url, init) => {
+      calls.push({ url, body: JSON.parse(init.body) });
+      return {
+        ok: true,
+        json: async () => ({
+          data: [
+            { index: 1, embedding: [0, 2] },
+            { index: 0, embedding: [3, 4] },
+          ],
+        }),
+      };
+    },
+  });
+
+  const vectors = await embedder.embed(["a", "b"]);
+  assert.deepEqual(calls, [
+    { url: "http://localhost:8080/v1/embeddings", body: { model: "local-model", input: ["a", "b"] } },
+  ]);
+  assert.deepEqual(vectors, [
+    [0.6, 0.8],
+    [0, 1],
+  ]);
+  assert.equal(embedder.id, "http-local-model");
+});
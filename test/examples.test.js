@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractExamples, splitExampleFields } from "../src/examples.js";
+
+test("extractExamples keeps language, nearest heading and caption", () => {
+  const text = [
+    "# Security",
+    "## Roles {#roles}",
+    "Intro paragraph.",
+    "",
+    "Create a role in code, see [the API](https://x/api).",
+    "",
+    "```c#",
+    "var role = ObjectSpace.CreateObject<Role>();",
+    "```",
+    "",
+    "```vb",
+    "Dim role = ObjectSpace.CreateObject(Of Role)()",
+    "```",
+  ].join("\n");
+  const examples = extractExamples(text);
+  assert.equal(examples.length, 2);
+  assert.equal(examples[0].language, "cs");
+  assert.equal(examples[0].heading, "Roles");
+  assert.deepEqual(examples[0].path, ["Security", "Roles"]);
+  assert.equal(examples[0].anchor, "roles");
+  assert.equal(examples[0].caption, "Create a role in code, see the API.");
+  assert.equal(examples[1].language, "vb");
+  assert.equal(examples[1].caption, examples[0].caption);
+});
+
+test("splitExampleFields extracts called methods and XML names", () => {
+  const cs = splitExampleFields({
+    code: "if (user != null) { security.Login(user); list.Add<Item>(item); }",
+    language: "cs",
+    path: ["Login"],
+    caption: "Log in",
+  });
+  assert.deepEqual(cs.calls.split("\n"), ["Login", "Add"]);
+  assert.equal(cs.elements, "");
+
+  const xml = splitExampleFields({
+    code: '<Application>\n  <Views Id="Main"></Views>\n</Application>',
+    language: "xml",
+    path: [],
+    caption: "",
+  });
+  assert.deepEqual(xml.elements.split("\n"), ["Application", "Views", "Id", "Views", "Application"]);
+});
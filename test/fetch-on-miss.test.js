@@ -1,5 +1,15 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// config.js reads these when the server is first imported.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "custom-mcp-fetch-"));
+process.env.DATA_DIR = dataDir;
+process.env.DOCS_BASE_URL = "https://example.com/docs/";
+process.env.FETCH_ON_MISS_SAVE_DELAY_MS = "60000";
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
 
 async function importServer() {
   const url = new URL("../src/index.js", import.meta.url);
@@ -79,3 +89,44 @@ test("get_page uses cached result after fetch", async () => {
 
   assert.equal(fetchCalls, 0);
 });
+
+test("pages fetched on a miss are indexed and saved in one batch", async (t) => {
+  const { handleToolCall, saveFetchedPages } = await importServer();
+  const storage = await import(new URL("../src/storage.js", import.meta.url).href);
+  const { buildIndex } = await import(new URL("../src/indexer.js", import.meta.url).href);
+  const known = { slug: "known", url: "https://example.com/docs/known", title: "Known", text: "known" };
+  await storage.savePages([known]);
+  await storage.saveIndex(buildIndex([known]));
+  const pagesPath = path.join(dataDir, "pages.json");
+  const savedBefore = fs.readFileSync(pagesPath, "utf8");
+
+  const originalFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+  globalThis.fetch = async (url) =>
+    new Response(`<html><title>${url}</title><body><h1>Fetched</h1><p>zebra ${url}</p></body></html>`, {
+      headers: { "content-type": "text/html" },
+    });
+  const queryLog = { record: async () => {} };
+  for (const slug of ["one", "two"]) {
+    const result = await handleToolCall("get_page", { slug }, { queryLog });
+    assert.equal(JSON.parse(result.content[0].text).url, `https://example.com/docs/${slug}`);
+  }
+  // Served from markdown, not fetched again, before anything is saved.
+  globalThis.fetch = async () => {
+    throw new Error("fetched again");
+  };
+  const again = await handleToolCall("get_page", { slug: "one" }, { queryLog });
+  assert.equal(again.isError, undefined);
+  assert.equal(fs.readFileSync(pagesPath, "utf8"), savedBefore);
+
+  await saveFetchedPages();
+  const saved = await storage.loadPages();
+  assert.deepEqual(
+    saved.map((page) => page.slug),
+    ["known", "one", "two"]
+  );
+  const search = await handleToolCall("search_docs", { query: "zebra" }, { queryLog });
+  assert.equal(JSON.parse(search.content[0].text).results.length, 2);
+});
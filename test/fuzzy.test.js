@@ -0,0 +1,23 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { editDistance, findFuzzyMatches } from "../src/fuzzy.js";
+import { buildIndex } from "../src/indexer.js";
+
+test("editDistance counts transpositions as a single edit", () => {
+  assert.equal(editDistance("xafari", "xafary"), 1);
+  assert.equal(editDistance("объект", "обьект"), 1);
+  assert.equal(editDistance("listview", "litsview"), 1);
+  assert.equal(editDistance("controller", "contorler", 1), 2);
+});
+
+test("findFuzzyMatches returns close vocabulary terms, frequent first", () => {
+  const index = buildIndex([
+    { title: "Xafari", text: "Xafari framework", headings: [] },
+    { title: "Xafari modules", text: "Xafari modules overview", headings: [] },
+    { title: "Safari", text: "Browser support", headings: [] },
+  ]);
+  const matches = findFuzzyMatches(index, "xafary");
+  assert.equal(matches[0].term, "xafari");
+  assert.equal(matches[0].distance, 1);
+  assert.deepEqual(findFuzzyMatches(index, "abc"), []);
+});
@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHostLimiter } from "../src/host-limiter.js";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("host limiter caps requests in flight per host", async () => {
+  const limiter = createHostLimiter({ maxPerHost: 2 });
+  const active = new Map();
+  const peaks = new Map();
+  const task = (url) =>
+    limiter.run(url, async () => {
+      const host = new URL(url).host;
+      active.set(host, (active.get(host) || 0) + 1);
+      peaks.set(host, Math.max(peaks.get(host) || 0, active.get(host)));
+      await wait(5);
+      active.set(host, active.get(host) - 1);
+      return url;
+    });
+
+  const urls = ["http://a/1", "http://a/2", "http://a/3", "http://a/4", "http://b/1", "http://b/2"];
+  assert.deepEqual(await Promise.all(urls.map(task)), urls);
+  assert.deepEqual(Object.fromEntries(peaks), { a: 2, b: 2 });
+});
+
+test("host limiter spaces request starts to one host", async () => {
+  const sleeps = [];
+  const limiter = createHostLimiter({
+    maxPerHost: 3,
+    delayMs: 1000,
+    sleep: async (ms) => sleeps.push(ms),
+  });
+  await Promise.all(
+    ["http://a/1", "http://a/2", "http://a/3", "http://b/1"].map((url) =>
+      limiter.run(url, async () => url)
+    )
+  );
+  assert.equal(sleeps.length, 2);
+  assert.ok(sleeps[0] > 990 && sleeps[0] <= 1000);
+  assert.ok(sleeps[1] > 1990 && sleeps[1] <= 2000);
+});
@@ -24,6 +24,20 @@ test("extractHeadings returns text headings", () => {
   ]);
 });
 
+test("extractHeadings and extractText record heading anchor ids", () => {
+  const html =
+    '<h2 id="setup">Setup</h2><p>Install.</p><h3><a name="db"></a>Database</h3><h3 data-id="x">Plain</h3>';
+  assert.deepEqual(extractHeadings(html), [
+    { level: 2, text: "Setup", id: "setup" },
+    { level: 3, text: "Database", id: "db" },
+    { level: 3, text: "Plain" },
+  ]);
+  const { text } = extractText(html);
+  assert.match(text, /^## Setup \{#setup\}$/m);
+  assert.match(text, /^### Database \{#db\}$/m);
+  assert.match(text, /^### Plain$/m);
+});
+
 test("extractText keeps headings and code blocks", () => {
   const html = `
     <h1>Intro</h1>
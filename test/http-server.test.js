@@ -101,3 +101,20 @@ test("http server rejects unknown paths", async (t) => {
   const res = await request("GET", port, "/unknown");
   assert.equal(res.status, 404);
 });
+
+test("http server search report endpoint", async (t) => {
+  const { createHttpServer } = await importHttpServer();
+  const server = createHttpServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => server.close());
+  const port = server.address().port;
+
+  const res = await request("GET", port, "/reports/search?top=3");
+  assert.equal(res.status, 200);
+  const report = JSON.parse(res.body);
+  assert.equal(typeof report.totalQueries, "number");
+  assert.ok(report.frequent.length <= 3);
+
+  const bad = await request("GET", port, "/reports/search?since=yesterday");
+  assert.equal(bad.status, 400);
+});
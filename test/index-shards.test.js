@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { findFuzzyMatches } from "../src/fuzzy.js";
+import { buildIndex } from "../src/indexer.js";
+import {
+  isShardedIndexStale,
+  openShardedIndex,
+  writeShardedIndex,
+} from "../src/index-shards.js";
+import { searchExamples, searchIndex } from "../src/search.js";
+import { runWithRequestContext } from "../src/request-context.js";
+import { parseArgs } from "../src/reindex.js";
+
+const pages = [
+  {
+    slug: "security",
+    title: "Security System",
+    url: "http://x/security",
+    breadcrumbs: ["Xafari", "Security"],
+    text: "## Permissions {#perm}\nThe SecuritySystem checks permissions.\n\n```cs\nSecuritySystem.Demand(permission);\n```",
+    headings: [{ level: 2, text: "Permissions" }],
+  },
+  {
+    slug: "views",
+    title: "List View",
+    url: "http://x/views",
+    breadcrumbs: ["Xafari", "UI"],
+    text: "A list view shows business objects.",
+    headings: [],
+  },
+];
+
+test("sharded index answers searches like the in-memory index", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "custom-mcp-shards-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const index = buildIndex(pages);
+  const target = path.join(dir, "index-shards");
+  await writeShardedIndex(target, index, { shardCount: 4 });
+
+  const { build } = JSON.parse(await fs.readFile(path.join(target, "current.json"), "utf8"));
+  assert.deepEqual((await fs.readdir(target)).sort(), [build, "current.json"]);
+  const files = await fs.readdir(path.join(target, build));
+  assert.deepEqual(files.sort(), [
+    "dictionary.json",
+    "page-terms.json",
+    "postings-000.json",
+    "postings-001.json",
+    "postings-002.json",
+    "postings-003.json",
+  ]);
+
+  const filesRead = new Set();
+  const lazy = await runWithRequestContext({ filesRead }, () =>
+    openShardedIndex(target, { cacheShards: 2 })
+  );
+  assert.deepEqual(Array.from(filesRead), [path.join(target, build, "dictionary.json")]);
+  assert.equal(lazy.pageCount, 2);
+  assert.deepEqual(Object.keys(lazy.terms).sort(), Object.keys(index.terms).sort());
+
+  for (const query of ["security permissions", "\"list view\"", "title:view", "securitysystm"]) {
+    const expected = searchIndex(index, pages, query);
+    const actual = searchIndex(lazy, pages, query);
+    assert.deepEqual(actual.results, expected.results, query);
+  }
+  assert.deepEqual(
+    searchExamples(lazy, pages, "Demand").results,
+    searchExamples(index, pages, "Demand").results
+  );
+  assert.deepEqual(JSON.parse(JSON.stringify(lazy.fields.title)), index.fields.title);
+  assert.throws(() => {
+    lazy.terms.extra = {};
+  }, TypeError);
+});
+
+test("an open sharded index keeps reading its build while a new one is written", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "custom-mcp-shards-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const target = path.join(dir, "index-shards");
+  const index = buildIndex(pages);
+  await writeShardedIndex(target, index, { shardCount: 4 });
+  const lazy = await openShardedIndex(target, { cacheShards: 1 });
+  const expected = searchIndex(index, pages, "security permissions").results;
+
+  const renamed = pages.map((page) => ({ ...page, text: `${page.text} renamed` }));
+  await writeShardedIndex(target, buildIndex(renamed), { shardCount: 4 });
+  assert.equal(isShardedIndexStale(lazy), true);
+  assert.deepEqual(searchIndex(lazy, pages, "security permissions").results, expected);
+  assert.equal(searchIndex(lazy, pages, "renamed").results.length, 0);
+
+  const reopened = await openShardedIndex(target);
+  assert.equal(isShardedIndexStale(reopened), false);
+  assert.equal(searchIndex(reopened, renamed, "renamed").results.length, 2);
+
+  // Only the current build and the one it replaced are kept.
+  await writeShardedIndex(target, index, { shardCount: 4 });
+  assert.equal((await fs.readdir(target)).length, 3);
+});
+
+test("fuzzy matching on a sharded index reads no postings shards", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "custom-mcp-shards-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const index = buildIndex(pages);
+  const target = path.join(dir, "index-shards");
+  await writeShardedIndex(target, index, { shardCount: 4 });
+  const lazy = await openShardedIndex(target);
+
+  const filesRead = new Set();
+  const matches = runWithRequestContext({ filesRead }, () =>
+    findFuzzyMatches(lazy, "securitysystm")
+  );
+  assert.deepEqual(matches, findFuzzyMatches(index, "securitysystm"));
+  assert.ok(matches.length > 0);
+  assert.deepEqual(Array.from(filesRead), []);
+});
+
+test("reindex parses the index format flags", () => {
+  assert.deepEqual(parseArgs(["--format", "sharded"]), {
+    format: "sharded",
+    migrate: false,
+    full: false,
+  });
+  assert.deepEqual(parseArgs(["--migrate", "--format=json", "--full"]), {
+    format: "json",
+    migrate: true,
+    full: true,
+  });
+  assert.throws(() => parseArgs(["--format", "binary"]), /Unknown index format/);
+});
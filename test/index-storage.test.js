@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import fsPromises from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// storage.js reads DATA_DIR when it is first imported.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "custom-mcp-storage-"));
+process.env.DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+async function importModules() {
+  const [indexer, reindex, storage] = await Promise.all(
+    ["indexer.js", "reindex.js", "storage.js"].map((name) =>
+      import(new URL(`../src/${name}`, import.meta.url).href)
+    )
+  );
+  return { ...indexer, ...reindex, ...storage };
+}
+
+const alpha = { slug: "a", title: "Alpha", url: "http://x/a", text: "alpha beta", headings: [] };
+const beta = { slug: "b", title: "Beta", url: "http://x/b", text: "beta gamma", headings: [] };
+const gamma = { slug: "c", title: "Gamma", url: "http://x/c", text: "gamma delta", headings: [] };
+
+test("migrating a sharded index to JSON and back keeps the page term lists", async () => {
+  const { buildIndex, loadIndex, migrateIndex, saveIndex } = await importModules();
+  const index = buildIndex([alpha, beta]);
+  const logger = { log: () => {} };
+  await saveIndex(index, { format: "sharded" });
+
+  await migrateIndex({ format: "json", logger });
+  const json = JSON.parse(await fsPromises.readFile(path.join(dataDir, "index.json"), "utf8"));
+  assert.deepEqual(json.pageTerms, index.pageTerms);
+
+  await migrateIndex({ format: "sharded", logger });
+  const sharded = await loadIndex({ writable: true });
+  assert.deepEqual(sharded.pageTerms, index.pageTerms);
+});
+
+test("a save interrupted between pages.json and the index is finished by the next load", async (t) => {
+  const { buildIndex, getPageId, loadIndexForUpdate, saveIndexData } = await importModules();
+  const rename = fsPromises.rename;
+  t.after(() => {
+    fsPromises.rename = rename;
+  });
+  const commitPath = path.join(dataDir, "index-commit.json");
+  const readSlugs = () =>
+    fs
+      .readFileSync(path.join(dataDir, "pages.json"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line).slug);
+
+  for (const [format, lastStep] of [
+    ["json", "index.json"],
+    ["sharded", "current.json"],
+  ]) {
+    await saveIndexData([alpha, beta], buildIndex([alpha, beta]), { format });
+    const updated = [beta, gamma];
+    fsPromises.rename = async (from, to) => {
+      if (path.basename(to) === lastStep && fs.existsSync(commitPath)) {
+        throw new Error("killed");
+      }
+      return rename(from, to);
+    };
+    await assert.rejects(saveIndexData(updated, buildIndex(updated), { format }), /killed/);
+    fsPromises.rename = rename;
+    assert.deepEqual(readSlugs(), ["b", "c"], format);
+    assert.ok(fs.existsSync(commitPath), format);
+
+    const loaded = await loadIndexForUpdate();
+    assert.deepEqual(
+      loaded.pages.map((page) => page.slug),
+      ["b", "c"],
+      format
+    );
+    assert.deepEqual(Object.keys(loaded.index.docLengths).sort(), updated.map(getPageId).sort());
+    assert.equal(fs.existsSync(commitPath), false, format);
+  }
+});
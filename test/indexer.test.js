@@ -1,6 +1,13 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { buildIndex, tokenize } from "../src/indexer.js";
+import {
+  applyPageChanges,
+  buildIndex,
+  computePageId,
+  getPageId,
+  removePageFromIndex,
+  tokenize,
+} from "../src/indexer.js";
 
 test("tokenize filters stop-words and short tokens", () => {
   const tokens = tokenize("Это тест и проверка of the index.");
@@ -13,8 +20,187 @@ test("buildIndex collects term counts per page", () => {
     { title: "Beta", text: "beta gamma" },
   ];
   const index = buildIndex(pages);
+  const [alpha, beta] = pages.map(getPageId);
   assert.equal(index.pageCount, 2);
-  assert.equal(index.terms.alpha[0], 2);
-  assert.equal(index.terms.beta[0], 2);
-  assert.equal(index.terms.beta[1], 2);
+  assert.equal(index.terms.alpha[alpha], 2);
+  assert.equal(index.terms.beta[alpha], 2);
+  assert.equal(index.terms.beta[beta], 2);
+});
+
+test("buildIndex stores document lengths and corpus statistics", () => {
+  const pages = [
+    { title: "Alpha", text: "alpha beta beta" },
+    { title: "Beta", text: "beta" },
+  ];
+  const index = buildIndex(pages);
+  const [alpha, beta] = pages.map(getPageId);
+  assert.equal(index.docLengths[alpha], 4);
+  assert.equal(index.docLengths[beta], 2);
+  assert.equal(index.totalLength, 6);
+  assert.equal(index.avgDocLength, 3);
+});
+
+test("buildIndex keeps per-field postings", () => {
+  const pages = [
+    {
+      title: "Views",
+      headings: [{ level: 2, text: "List view" }],
+      breadcrumbs: ["UI"],
+      text: "## List view\nA view shows data.\n```cs\nvar view = new ListView();\n```",
+    },
+  ];
+  const index = buildIndex(pages);
+  const pageId = getPageId(pages[0]);
+  assert.equal(index.fields.title.view[pageId], 1);
+  assert.equal(index.fields.headings.list[pageId], 1);
+  assert.equal(index.fields.breadcrumbs.ui[pageId], 1);
+  assert.equal(index.fields.body.view[pageId], 1);
+  assert.equal(index.fields.code.listview[pageId], 1);
+  assert.equal(index.fields.code.view[pageId], 1.5);
+  assert.equal(index.terms.view[pageId], 4.5);
+});
+
+test("buildIndex stems terms and keeps surface forms", () => {
+  const page = { title: "Настройки", text: "Настройка представления и настроек views" };
+  const index = buildIndex([page]);
+  assert.equal(index.terms["настройк"][getPageId(page)], 3);
+  assert.deepEqual(index.forms["настройк"], ["настройки", "настройка", "настроек"]);
+  assert.deepEqual(index.forms.view, ["views"]);
+});
+
+test("tokenize keeps .NET identifiers and their sub-words", () => {
+  assert.deepEqual(tokenize("Xafari.BC.Security.SecuritySystem"), [
+    "xafari.bc.security.securitysystem",
+    "xafari",
+    "bc",
+    "security",
+    "securitysystem",
+    "security",
+    "system",
+  ]);
+  assert.deepEqual(tokenize("IList<T> items"), ["ilist", "list", "items"]);
+  assert.deepEqual(tokenize("[XafariModel] class"), [
+    "xafarimodel",
+    "xafari",
+    "model",
+    "xafarimodelattribute",
+    "class",
+  ]);
+  assert.deepEqual(tokenize("[Serializable, XafariModel(\"x\")]\npublic class A {}").slice(0, 6), [
+    "serializable",
+    "serializableattribute",
+    "xafarimodel",
+    "xafari",
+    "model",
+    "xafarimodelattribute",
+  ]);
+  assert.deepEqual(tokenize("var item = list[Index] + items[Count, Offset];"), [
+    "var",
+    "item",
+    "list",
+    "index",
+    "items",
+    "count",
+    "offset",
+  ]);
+  assert.deepEqual(tokenize("ObsoleteAttribute"), [
+    "obsoleteattribute",
+    "obsolete",
+    "attribute",
+    "obsolete",
+  ]);
+});
+
+test("applyPageChanges updates pages in place with stable IDs", () => {
+  const alpha = {
+    slug: "alpha",
+    url: "http://x/alpha",
+    title: "Alpha",
+    text: "## Setup\nalpha beta\n\n```cs\nAlpha.Run();\n```",
+    headings: [{ level: 2, text: "Setup" }],
+  };
+  const beta = { slug: "beta", url: "http://x/beta", title: "Beta", text: "beta gamma" };
+  const gamma = { slug: "gamma", url: "http://x/gamma", title: "Gamma", text: "gamma delta" };
+  const pages = [alpha, beta];
+  const index = buildIndex(pages);
+
+  const changedBeta = { ...beta, text: "beta epsilon" };
+  const changes = applyPageChanges(index, pages, {
+    upsert: [changedBeta, gamma],
+    remove: [getPageId(alpha)],
+  });
+
+  assert.deepEqual(changes, {
+    added: [getPageId(gamma)],
+    updated: [getPageId(beta)],
+    removed: [getPageId(alpha)],
+  });
+  assert.deepEqual(pages, [changedBeta, gamma]);
+  const rebuilt = buildIndex(pages);
+  for (const key of [
+    "pageCount",
+    "totalLength",
+    "avgDocLength",
+    "docLengths",
+    "terms",
+    "fields",
+    "fieldLengths",
+    "fieldTotals",
+    "positions",
+    "sections",
+    "sectionTerms",
+    "sectionCount",
+    "avgSectionLength",
+    "examples",
+    "pageTerms",
+  ]) {
+    assert.deepEqual(index[key], rebuilt[key], key);
+  }
+  assert.equal(index.forms.alpha, undefined);
+});
+
+test("removePageFromIndex touches only the page's own terms", () => {
+  const alpha = { slug: "alpha", url: "http://x/alpha", title: "Alpha", text: "alpha beta" };
+  const beta = {
+    slug: "beta",
+    url: "http://x/beta",
+    title: "Beta",
+    text: "## Use\nbeta gamma\n\n```cs\nBeta.Run();\n```",
+  };
+  const index = buildIndex([alpha, beta]);
+  // Listing a vocabulary fails the test: removal must not scan it.
+  const unlisted = (map) =>
+    new Proxy(map, {
+      ownKeys: () => {
+        throw new Error("vocabulary scanned");
+      },
+    });
+  index.terms = unlisted(index.terms);
+  index.sectionTerms = unlisted(index.sectionTerms);
+  for (const group of [index.fields, index.positions, index.examples.fields]) {
+    for (const field of Object.keys(group)) {
+      group[field] = unlisted(group[field]);
+    }
+  }
+
+  assert.equal(removePageFromIndex(index, getPageId(beta)), true);
+  assert.equal(index.terms.gamma, undefined);
+  assert.equal(index.examples.fields.calls.run, undefined);
+  assert.deepEqual(index.terms.beta, { [getPageId(alpha)]: 1 });
+  assert.deepEqual(Object.keys(index.pageTerms), [getPageId(alpha)]);
+});
+
+test("page IDs come from the canonical URL and survive reordering", () => {
+  const pages = [
+    { slug: "a", url: "http://x/a", title: "A", text: "alpha" },
+    { slug: "b", url: "http://x/b", title: "B", text: "beta" },
+  ];
+  const id = computePageId({ url: "http://x/a#intro" });
+
+  assert.equal(id, computePageId({ url: "http://x/a" }));
+  assert.match(id, /^[0-9a-f]{12}$/);
+  assert.notEqual(computePageId({ slug: "a" }), id);
+  assert.equal(getPageId({ id: "custom", url: "http://x/a" }), "custom");
+  assert.deepEqual(buildIndex(pages).terms.alpha, { [id]: 1 });
+  assert.deepEqual(buildIndex([...pages].reverse()).terms.alpha, { [id]: 1 });
 });
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex, getPageId } from "../src/indexer.js";
+import { buildLinkGraph, findCoCitedPages } from "../src/link-graph.js";
+
+const page = (name, links) => ({
+  slug: name,
+  url: `http://x/docs/${name}/`,
+  title: name,
+  text: name,
+  links,
+});
+
+test("buildLinkGraph resolves internal links and ranks linked-to pages higher", () => {
+  const pages = [
+    page("home", ["http://x/docs/guide", "http://x/docs/api/#top", "https://other.site/"]),
+    page("guide", ["http://x/docs/api/", "http://x/docs/guide/"]),
+    page("api", []),
+    page("misc", ["http://x/docs/api/"]),
+  ];
+  const [home, guide, api, misc] = pages.map(getPageId);
+  const graph = buildLinkGraph(pages);
+
+  assert.deepEqual(graph.outbound[home], [guide, api]);
+  assert.deepEqual(graph.outbound[guide], [api]);
+  assert.deepEqual(graph.inbound[api], [home, guide, misc]);
+  assert.equal(graph.authority[api], 1);
+  assert.ok(graph.authority[guide] > graph.authority[misc]);
+  assert.deepEqual(findCoCitedPages(graph, guide), [{ pageId: api, count: 1 }]);
+  assert.deepEqual(buildIndex(pages).linkGraph, graph);
+});
+
+test("buildLinkGraph resolves relative links against the page URL", () => {
+  const pages = [
+    { slug: "doc_home", url: "http://x/docs/doc_home.html", links: ["doc_setup.html", "#top"] },
+    { slug: "doc_setup", url: "http://x/docs/doc_setup.html", links: ["../docs/doc_api.html"] },
+    { slug: "doc_api", url: "http://x/docs/doc_api.html", links: ["/docs/doc_home.html"] },
+  ];
+  const [home, setup, api] = pages.map(getPageId);
+  const graph = buildLinkGraph(pages);
+
+  assert.deepEqual(graph.outbound[home], [setup]);
+  assert.deepEqual(graph.outbound[setup], [api]);
+  assert.deepEqual(graph.inbound[home], [api]);
+  assert.equal(Object.keys(graph.authority).length, 3);
+});
+
+test("buildLinkGraph leaves authority empty without internal links", () => {
+  const graph = buildLinkGraph([page("a", []), page("b", ["https://other.site/"])]);
+  assert.deepEqual(graph.authority, {});
+});
@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { getPageId } from "../src/indexer.js";
+import { createQueryLog, readQueryLog, summarizeQueries } from "../src/query-log.js";
+import { formatSearchReport, parseArgs } from "../src/search-report.js";
+
+const pages = [
+  { slug: "roles", url: "http://x/roles", title: "Roles" },
+  { slug: "grid", url: "http://x/grid", title: "Grid" },
+  { slug: "audit", url: "http://x/audit", title: "Audit" },
+];
+const [roles, grid] = pages.map(getPageId);
+
+const entry = (timestamp, query, resultCount, pageIds = [], tool = "search_docs") => ({
+  timestamp,
+  tool,
+  query,
+  resultCount,
+  topSlug: pageIds.length ? "roles" : null,
+  pageIds,
+  latencyMs: 10,
+});
+
+test("query log appends JSON lines that readQueryLog streams back", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "query-log-"));
+  const logPath = path.join(dir, "logs", "queries.jsonl");
+  const log = createQueryLog({ logPath });
+
+  await log.record({ tool: "search_docs", query: "roles", resultCount: 1 });
+  await log.record({ tool: "get_examples", query: "grid", resultCount: 0 });
+  await fs.appendFile(logPath, '{"tool":"search_docs","qu', "utf8");
+
+  const entries = [];
+  for await (const item of readQueryLog(logPath)) {
+    entries.push(item);
+  }
+  assert.deepEqual(
+    entries.map((item) => [item.tool, item.query, item.resultCount]),
+    [
+      ["search_docs", "roles", 1],
+      ["get_examples", "grid", 0],
+    ]
+  );
+  assert.ok(entries[0].timestamp);
+  await createQueryLog({ logPath: "" }).record({ query: "ignored" });
+});
+
+test("query log rotates by size and reads rotated files oldest first", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "query-log-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const logPath = path.join(dir, "queries.jsonl");
+  const log = createQueryLog({ logPath, maxBytes: 200, maxFiles: 2 });
+
+  await Promise.all(
+    Array.from({ length: 8 }, (_, i) =>
+      log.record({ tool: "search_docs", query: `query ${i}`, resultCount: i })
+    )
+  );
+
+  assert.deepEqual((await fs.readdir(dir)).sort(), [
+    "queries.jsonl",
+    "queries.jsonl.1",
+    "queries.jsonl.2",
+  ]);
+  for (const name of await fs.readdir(dir)) {
+    assert.ok((await fs.stat(path.join(dir, name))).size <= 200, name);
+  }
+  const queries = [];
+  for await (const item of readQueryLog(logPath)) {
+    queries.push(item.query);
+  }
+  // The oldest entries went with the dropped file; the rest keep their order.
+  assert.ok(queries.length >= 4 && queries.length < 8);
+  assert.deepEqual(
+    queries,
+    Array.from({ length: queries.length }, (_, i) => `query ${8 - queries.length + i}`)
+  );
+});
+
+test("summarizeQueries reports zero-result, frequent queries and never-hit pages", async () => {
+  const entries = [
+    entry("2026-10-01T10:00:00.000Z", "Roles", 2, [roles]),
+    entry("2026-10-02T10:00:00.000Z", "roles", 2, [roles, grid]),
+    entry("2026-10-02T11:00:00.000Z", "workflow  designer", 0),
+    entry("2026-10-03T10:00:00.000Z", "Workflow designer", 0, [], "explain_concept"),
+    entry("2026-10-03T11:00:00.000Z", "audit log", 0),
+  ];
+
+  const report = await summarizeQueries(entries, pages);
+  assert.equal(report.totalQueries, 5);
+  assert.equal(report.uniqueQueries, 3);
+  assert.equal(report.zeroResultQueries, 3);
+  assert.deepEqual(report.zeroResults, [
+    {
+      query: "workflow designer",
+      count: 2,
+      tools: ["explain_concept", "search_docs"],
+      lastSeenAt: "2026-10-03T10:00:00.000Z",
+    },
+    { query: "audit log", count: 1, tools: ["search_docs"], lastSeenAt: "2026-10-03T11:00:00.000Z" },
+  ]);
+  assert.deepEqual(report.frequent[0], {
+    query: "roles",
+    count: 2,
+    zeroResults: 0,
+    topSlug: "roles",
+    avgLatencyMs: 10,
+  });
+  assert.equal(report.neverHitCount, 1);
+  assert.equal(report.neverHit[0].slug, "audit");
+
+  const recent = await summarizeQueries(entries, pages, { since: "2026-10-03", top: 1 });
+  assert.equal(recent.totalQueries, 2);
+  assert.equal(recent.zeroResults.length, 1);
+  assert.equal(recent.neverHitCount, 3);
+
+  const text = formatSearchReport(report);
+  assert.match(text, /5 queries \(3 unique\), 3 without results/);
+  assert.match(text, /2\tworkflow designer\t\(explain_concept, search_docs\)/);
+  assert.match(text, /http:\/\/x\/audit/);
+});
+
+test("search-report parses --top, --since and --json", () => {
+  assert.deepEqual(parseArgs(["--top", "5", "--since=2026-10-01", "--json"]), {
+    top: 5,
+    since: "2026-10-01",
+    json: true,
+  });
+  assert.throws(() => parseArgs(["--top", "zero"]), /--top/);
+  assert.throws(() => parseArgs(["--since", "yesterday"]), /--since/);
+});
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseQuery, QuerySyntaxError } from "../src/query.js";
+
+test("parseQuery reads phrases, exclusions, OR groups and field prefixes", () => {
+  const groups = parseQuery('"list view" -obsolete security OR access title:model category:"ERP"');
+  assert.deepEqual(groups, [
+    [{ kind: "phrase", text: "list view", field: null, negated: false }],
+    [{ kind: "term", text: "obsolete", field: null, negated: true }],
+    [
+      { kind: "term", text: "security", field: null, negated: false },
+      { kind: "term", text: "access", field: null, negated: false },
+    ],
+    [{ kind: "term", text: "model", field: "title", negated: false }],
+    [{ kind: "phrase", text: "ERP", field: "breadcrumbs", negated: false }],
+  ]);
+});
+
+test("parseQuery leaves URLs and dashes inside words alone", () => {
+  const groups = parseQuery("https://example.com/docs бизнес-объект");
+  assert.equal(groups.length, 2);
+  assert.equal(groups[0][0].text, "https://example.com/docs");
+  assert.equal(groups[1][0].negated, false);
+});
+
+test("parseQuery rejects invalid syntax", () => {
+  assert.throws(() => parseQuery('"unterminated phrase'), QuerySyntaxError);
+  assert.throws(() => parseQuery('""'), QuerySyntaxError);
+  assert.throws(() => parseQuery("OR security"), /Dangling OR/);
+  assert.throws(() => parseQuery("security OR"), /Dangling OR/);
+  assert.throws(() => parseQuery("a OR OR b"), /Dangling OR/);
+  assert.throws(() => parseQuery("a OR -b"), /cannot be combined with OR/);
+  assert.throws(() => parseQuery("title:"), /Missing value after field prefix/);
+  assert.throws(() => parseQuery('code:"unterminated'), /Unterminated quoted phrase/);
+});
+
+test("parseQuery keeps unknown prefixes as text", () => {
+  const groups = parseQuery("author:smith C:\\Temp xaf:Element");
+  assert.deepEqual(
+    groups.map(([clause]) => [clause.text, clause.field]),
+    [
+      ["author:smith", null],
+      ["C:\\Temp", null],
+      ["xaf:Element", null],
+    ]
+  );
+});
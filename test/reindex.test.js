@@ -1,6 +1,9 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import { createHashingEmbedder } from "../src/embeddings.js";
+import { buildIndex, getPageId } from "../src/indexer.js";
 import { reindex } from "../src/reindex.js";
+import { summarizePage } from "../src/storage.js";
 
 test("reindex builds index from markdown pages", async () => {
   const pages = [
@@ -12,12 +15,14 @@ test("reindex builds index from markdown pages", async () => {
 
   const result = await reindex({
     loadPagesFromMarkdownImpl: async () => pages,
+    loadIndexImpl: async () => null,
     savePagesImpl: async (value) => {
       savedPages = value;
     },
     saveIndexImpl: async (value) => {
       savedIndex = value;
     },
+    embedder: null,
     logger: { log: () => {} },
   });
 
@@ -26,3 +31,82 @@ test("reindex builds index from markdown pages", async () => {
   assert.equal(result.index.pageCount, 2);
   assert.equal(result.pages[0].slug, "alpha");
 });
+
+test("reindex updates only changed pages and keeps page IDs", async () => {
+  const alpha = { title: "Alpha", text: "alpha beta", slug: "alpha", url: "http://x/alpha" };
+  const beta = { title: "Beta", text: "beta gamma", slug: "beta", url: "http://x/beta" };
+  const gamma = { title: "Gamma", text: "gamma delta", slug: "gamma", url: "http://x/gamma" };
+  const existing = {
+    pages: [alpha, beta].map((page) => summarizePage(page)),
+    index: buildIndex([alpha, beta]),
+  };
+  let savedPages = null;
+
+  const result = await reindex({
+    loadPagesFromMarkdownImpl: async () => [gamma, { ...beta, text: "beta epsilon" }],
+    loadIndexImpl: async () => existing,
+    savePagesImpl: async (value) => {
+      savedPages = value;
+    },
+    saveIndexImpl: async () => {},
+    embedder: null,
+    logger: { log: () => {} },
+  });
+
+  const [alphaId, betaId, gammaId] = [alpha, beta, gamma].map(getPageId);
+  assert.deepEqual(result.changes, { added: [gammaId], updated: [betaId], removed: [alphaId] });
+  assert.deepEqual(savedPages.map(getPageId), [betaId, gammaId]);
+  assert.equal(result.index.pageCount, 2);
+  assert.deepEqual(result.index.terms.epsilon, { [betaId]: 1 });
+  assert.equal(result.index.terms.alpha, undefined);
+
+  const again = await reindex({
+    loadPagesFromMarkdownImpl: async () => [gamma, { ...beta, text: "beta epsilon" }],
+    loadIndexImpl: async () => ({
+      pages: savedPages.map((page) => summarizePage(page)),
+      index: result.index,
+    }),
+    savePagesImpl: async () => {},
+    saveIndexImpl: async () => {},
+    embedder: null,
+    logger: { log: () => {} },
+  });
+  assert.deepEqual(again.changes, { added: [], updated: [], removed: [] });
+});
+
+test("reindex embeds new and changed pages for semantic search", async () => {
+  const alpha = { title: "Alpha", text: "alpha beta", slug: "alpha", url: "http://x/alpha" };
+  const beta = { title: "Beta", text: "beta gamma", slug: "beta", url: "http://x/beta" };
+  const embedder = createHashingEmbedder({ dimensions: 32 });
+  let savedVectors = null;
+  const options = {
+    savePagesImpl: async () => {},
+    saveIndexImpl: async () => {},
+    embedder,
+    loadVectorsImpl: async () => savedVectors,
+    saveVectorsImpl: async (value) => {
+      savedVectors = value;
+    },
+    logger: { log: () => {} },
+  };
+
+  const first = await reindex({
+    ...options,
+    loadPagesFromMarkdownImpl: async () => [alpha],
+    loadIndexImpl: async () => null,
+  });
+  assert.deepEqual(Object.keys(savedVectors.pages), [getPageId(alpha)]);
+  const alphaVector = savedVectors.pages[getPageId(alpha)];
+
+  await reindex({
+    ...options,
+    loadPagesFromMarkdownImpl: async () => [beta],
+    loadIndexImpl: async () => ({
+      pages: first.pages.map((page) => summarizePage(page)),
+      index: first.index,
+    }),
+  });
+  assert.deepEqual(Object.keys(savedVectors.pages), [getPageId(beta)]);
+  assert.equal(savedVectors.provider, embedder.id);
+  assert.notDeepEqual(savedVectors.pages[getPageId(beta)].vector, alphaVector.vector);
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { backoffDelay, parseRetryAfter, withRetries } from "../src/retry.js";
+
+const retryable = (message, retryAfterMs = null) =>
+  Object.assign(new Error(message), { retryable: true, retryAfterMs });
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  assert.equal(parseRetryAfter("120", now), 120000);
+  assert.equal(parseRetryAfter("Mon, 19 Oct 2026 12:00:30 GMT", now), 30000);
+  assert.equal(parseRetryAfter("Mon, 19 Oct 2026 11:00:00 GMT", now), 0);
+  assert.equal(parseRetryAfter(null, now), null);
+  assert.equal(parseRetryAfter("soon", now), null);
+});
+
+test("backoffDelay doubles per attempt with jitter and a ceiling", () => {
+  const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+  assert.equal(backoffDelay(0, { ...options, random: () => 0 }), 50);
+  assert.equal(backoffDelay(0, { ...options, random: () => 1 }), 100);
+  assert.equal(backoffDelay(2, { ...options, random: () => 1 }), 400);
+  assert.equal(backoffDelay(10, { ...options, random: () => 0.5 }), 750);
+});
+
+test("withRetries retries retryable errors and honours Retry-After", async () => {
+  const sleeps = [];
+  const failures = [retryable("HTTP 503", 2000), retryable("socket hang up")];
+  const result = await withRetries(
+    async () => {
+      if (failures.length) {
+        throw failures.shift();
+      }
+      return "ok";
+    },
+    {
+      retries: 3,
+      baseDelayMs: 100,
+      maxDelayMs: 5000,
+      random: () => 0,
+      sleep: async (ms) => sleeps.push(ms),
+    }
+  );
+  assert.equal(result, "ok");
+  assert.deepEqual(sleeps, [2000, 100]);
+
+  let calls = 0;
+  await assert.rejects(
+    withRetries(
+      async () => {
+        calls += 1;
+        throw retryable("HTTP 502");
+      },
+      { retries: 2, baseDelayMs: 1, sleep: async () => {} }
+    ),
+    (error) => error.attempts === 3
+  );
+  assert.equal(calls, 3);
+
+  await assert.rejects(
+    withRetries(async () => {
+      throw new Error("HTTP 404");
+    }),
+    (error) => error.attempts === 1
+  );
+  await assert.rejects(
+    withRetries(
+      async () => {
+        throw retryable("HTTP 429", 60000);
+      },
+      { maxDelayMs: 1000, sleep: async () => assert.fail("must not wait") }
+    ),
+    /HTTP 429/
+  );
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isAllowedByRobots, loadRobotsTxt, parseRobotsTxt } from "../src/robots.js";
+
+const ROBOTS = `
+# comments are ignored
+User-agent: *
+Disallow: /
+
+User-agent: Googlebot
+User-agent: docs-mcp-crawler
+Disallow: /docs/private/
+Allow: /docs/private/public-*.html$
+Disallow: /*?print=
+Crawl-delay: 2.5
+`;
+
+test("robots.txt rules for our user agent: longest match wins, Allow wins ties", () => {
+  const robots = parseRobotsTxt(ROBOTS, "docs-mcp-crawler/0.1");
+  const allowed = (path) => isAllowedByRobots(robots, `https://example.com${path}`);
+
+  assert.equal(robots.crawlDelayMs, 2500);
+  assert.equal(allowed("/docs/guide/"), true);
+  assert.equal(allowed("/docs/private/keys.html"), false);
+  assert.equal(allowed("/docs/private/public-faq.html"), true);
+  assert.equal(allowed("/docs/private/public-faq.html?x=1"), false);
+  assert.equal(allowed("/docs/guide/?print=1"), false);
+  assert.equal(allowed("/robots.txt"), true);
+
+  const other = parseRobotsTxt(ROBOTS, "other-bot/1.0");
+  assert.equal(isAllowedByRobots(other, "https://example.com/docs/guide/"), false);
+  const unrelated = parseRobotsTxt("User-agent: other\nDisallow: /", "docs-mcp-crawler");
+  assert.equal(unrelated.rules.length, 0);
+});
+
+test("robots.txt paths match percent-encoded URLs", () => {
+  const robots = parseRobotsTxt("User-agent: *\nDisallow: /документы/", "bot");
+  assert.equal(isAllowedByRobots(robots, "https://example.com/документы/a"), false);
+  assert.equal(isAllowedByRobots(robots, "https://example.com/docs/a"), true);
+});
+
+test("loadRobotsTxt allows everything without robots.txt and fails on server errors", async () => {
+  const respond = (status, body = "") => async (url, init) => {
+    assert.equal(url, "https://example.com/robots.txt");
+    assert.ok(init.headers["User-Agent"]);
+    return { ok: status < 300, status, text: async () => body };
+  };
+  const missing = await loadRobotsTxt(new URL("https://example.com/docs/"), {
+    fetchImpl: respond(404),
+  });
+  assert.deepEqual(missing.rules, []);
+
+  const found = await loadRobotsTxt(new URL("https://example.com/docs/"), {
+    fetchImpl: respond(200, "User-agent: *\nDisallow: /docs/old/"),
+  });
+  assert.equal(isAllowedByRobots(found, "https://example.com/docs/old/a"), false);
+
+  await assert.rejects(
+    loadRobotsTxt(new URL("https://example.com/docs/"), { fetchImpl: respond(503) }),
+    /HTTP 503/
+  );
+});
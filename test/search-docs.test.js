@@ -0,0 +1,240 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHashingEmbedder, createVectorStore, createVectorUpdater } from "../src/embeddings.js";
+import { buildIndex, getPageId } from "../src/indexer.js";
+
+// Searches in these tests must not append to the real query log.
+const noQueryLog = { record: async () => {} };
+
+async function importServer() {
+  const url = new URL("../src/index.js", import.meta.url);
+  const server = await import(`${url.href}?t=${Date.now()}`);
+  return {
+    ...server,
+    handleToolCall: (name, args, options = {}) =>
+      server.handleToolCall(name, args, { queryLog: noQueryLog, ...options }),
+  };
+}
+
+const pages = [
+  { slug: "a", title: "Alpha", url: "http://x/a", text: "alpha beta", headings: [] },
+  { slug: "b", title: "Beta", url: "http://x/b", text: "beta gamma", headings: [] },
+];
+const loadDataImpl = async () => ({ pages, index: buildIndex(pages) });
+
+test("search_docs reports invalid query syntax as -32602", async () => {
+  const { handleToolCall } = await importServer();
+  await assert.rejects(
+    handleToolCall("search_docs", { query: '"beta' }, { loadDataImpl }),
+    (error) => error.code === -32602 && /Unterminated quoted phrase/.test(error.message)
+  );
+});
+
+test("get_section returns one section by anchor or heading", async () => {
+  const { handleToolCall } = await importServer();
+  const page = {
+    slug: "security",
+    title: "Security",
+    url: "http://x/security",
+    text: "# Security\nIntro.\n## Roles {#roles}\nRole setup.\n## Audit\nAudit log.",
+    headings: [],
+  };
+  const options = {
+    loadDataImpl: async () => ({ pages: [page], index: buildIndex([page]) }),
+    loadPageImpl: async () => page,
+  };
+
+  const byAnchor = await handleToolCall(
+    "get_section",
+    { url: "http://x/security#roles" },
+    options
+  );
+  const section = JSON.parse(byAnchor.content[0].text);
+  assert.equal(section.url, "http://x/security#roles");
+  assert.deepEqual(section.path, ["Security", "Roles"]);
+  assert.equal(section.text, "Role setup.");
+
+  const byHeading = await handleToolCall("get_section", { slug: "security", heading: "audit" }, options);
+  assert.equal(JSON.parse(byHeading.content[0].text).text, "Audit log.");
+
+  const missing = await handleToolCall("get_section", { slug: "security", anchor: "nope" }, options);
+  assert.equal(missing.isError, true);
+  assert.match(missing.content[0].text, /Roles \(#roles\)/);
+});
+
+test("get_page and snippets leave out heading anchor markers", async () => {
+  const { handleToolCall } = await importServer();
+  const page = {
+    slug: "security",
+    title: "Security",
+    url: "http://x/security",
+    text: "## Roles {#roles}\nRoles grant access.",
+    headings: [],
+  };
+  const options = {
+    loadDataImpl: async () => ({ pages: [page], index: buildIndex([page]) }),
+    loadPageImpl: async () => page,
+  };
+
+  const result = await handleToolCall("get_page", { slug: "security" }, options);
+  assert.equal(JSON.parse(result.content[0].text).text, "## Roles\nRoles grant access.");
+  const search = await handleToolCall("search_docs", { query: "roles" }, options);
+  const [hit] = JSON.parse(search.content[0].text).results;
+  assert.doesNotMatch(hit.excerpt, /\{#roles\}/);
+});
+
+test("get_examples returns captioned examples filtered by language", async () => {
+  const { handleToolCall } = await importServer();
+  const page = {
+    slug: "logon",
+    title: "Logon",
+    url: "http://x/logon",
+    text: "## Logon {#logon}\nCall Logon.\n\n```cs\nSecurity.Logon(user);\n```\n\n```vb\nSecurity.Logon(user)\n```",
+    headings: [],
+  };
+  const result = await handleToolCall(
+    "get_examples",
+    { topic: "logon", language: "cs" },
+    {
+      loadDataImpl: async () => ({ pages: [page], index: buildIndex([page]) }),
+      loadPageImpl: async () => page,
+    }
+  );
+  const payload = JSON.parse(result.content[0].text);
+  assert.equal(payload.language, "cs");
+  assert.equal(payload.examples.length, 1);
+  assert.equal(payload.examples[0].code, "Security.Logon(user);");
+  assert.equal(payload.examples[0].caption, "Call Logon.");
+  assert.equal(payload.examples[0].url, "http://x/logon#logon");
+});
+
+test("search_docs rejects a cursor from another query", async () => {
+  const { handleToolCall } = await importServer();
+  const first = await handleToolCall("search_docs", { query: "beta", limit: 1 }, { loadDataImpl });
+  const { nextCursor, totalMatches } = JSON.parse(first.content[0].text);
+  assert.equal(totalMatches, 2);
+  await assert.rejects(
+    handleToolCall("search_docs", { query: "alpha", cursor: nextCursor }, { loadDataImpl }),
+    (error) => error.code === -32602 && /cursor/.test(error.message)
+  );
+});
+
+test("search_docs honours snippetFormat", async () => {
+  const { handleToolCall } = await importServer();
+  const result = await handleToolCall(
+    "search_docs",
+    { query: "gamma", snippetFormat: "markdown" },
+    { loadDataImpl, loadPageImpl: async (meta) => meta }
+  );
+  const [item] = JSON.parse(result.content[0].text).results;
+  assert.equal(item.snippets[0].text, "beta **gamma**");
+  assert.equal(item.excerpt, "beta gamma");
+
+  await assert.rejects(
+    handleToolCall("search_docs", { query: "gamma", snippetFormat: "html" }, { loadDataImpl }),
+    (error) => error.code === -32602 && /snippetFormat/.test(error.message)
+  );
+});
+
+test("search_docs passes explain through to the results", async () => {
+  const { handleToolCall } = await importServer();
+  const result = await handleToolCall(
+    "search_docs",
+    { query: "как gamma", explain: true },
+    { loadDataImpl, loadPageImpl: async (meta) => meta }
+  );
+  const payload = JSON.parse(result.content[0].text);
+  assert.deepEqual(payload.droppedTokens, [{ token: "как", reason: "stop-word" }]);
+  assert.equal(payload.results[0].explanation.terms[0].term, "gamma");
+});
+
+test("tool responses expose stable page IDs", async () => {
+  const { handleToolCall } = await importServer();
+  const options = { loadDataImpl, loadPageImpl: async (meta) => meta };
+  const betaId = getPageId(pages[1]);
+
+  const search = await handleToolCall("search_docs", { query: "gamma" }, options);
+  assert.equal(JSON.parse(search.content[0].text).results[0].pageId, betaId);
+
+  const concept = await handleToolCall("explain_concept", { name: "gamma" }, options);
+  assert.equal(JSON.parse(concept.content[0].text).page.pageId, betaId);
+});
+
+test("search_docs validates mode and needs vectors for semantic search", async () => {
+  const { handleToolCall } = await importServer();
+  const embedder = createHashingEmbedder({ dimensions: 64 });
+  const vectors = createVectorStore(embedder);
+  const updater = createVectorUpdater(vectors, embedder);
+  for (const page of pages) {
+    await updater.upsert(page);
+  }
+  const withVectors = async () => ({ ...(await loadDataImpl()), vectors });
+
+  const result = await handleToolCall(
+    "search_docs",
+    { query: "gamma", mode: "hybrid" },
+    { loadDataImpl: withVectors, loadPageImpl: async (meta) => meta, embedder }
+  );
+  const payload = JSON.parse(result.content[0].text);
+  assert.equal(payload.mode, "hybrid");
+  assert.equal(payload.results[0].slug, "b");
+
+  const missing = await handleToolCall(
+    "search_docs",
+    { query: "gamma", mode: "semantic" },
+    { loadDataImpl, embedder }
+  );
+  assert.equal(missing.isError, true);
+  assert.match(missing.content[0].text, /npm run reindex/);
+
+  await assert.rejects(
+    handleToolCall("search_docs", { query: "gamma", mode: "vector" }, { loadDataImpl }),
+    (error) => error.code === -32602 && /"mode"/.test(error.message)
+  );
+});
+
+test("get_related_pages lists inbound, outbound and co-cited pages", async () => {
+  const { handleToolCall } = await importServer();
+  const linked = [
+    { slug: "hub", url: "http://x/hub", title: "Hub", text: "hub", links: ["http://x/a", "http://x/b"] },
+    { slug: "a", url: "http://x/a", title: "A", text: "a", links: ["http://x/b"] },
+    { slug: "b", url: "http://x/b", title: "B", text: "b", links: [] },
+  ];
+  const options = { loadDataImpl: async () => ({ pages: linked, index: buildIndex(linked) }) };
+
+  const result = await handleToolCall("get_related_pages", { slug: "a" }, options);
+  const related = JSON.parse(result.content[0].text);
+  assert.equal(related.pageId, getPageId(linked[1]));
+  assert.deepEqual(related.inbound.map((item) => item.slug), ["hub"]);
+  assert.deepEqual(related.outbound.map((item) => item.slug), ["b"]);
+  assert.deepEqual(related.coCited.map((item) => [item.slug, item.coCitations]), [["b", 1]]);
+
+  const missing = await handleToolCall("get_related_pages", { slug: "nope" }, options);
+  assert.equal(missing.isError, true);
+});
+
+test("search tools write one query log record per search", async () => {
+  const { handleToolCall } = await importServer();
+  const records = [];
+  const options = {
+    loadDataImpl,
+    loadPageImpl: async (meta) => meta,
+    queryLog: { record: (entry) => records.push(entry) },
+  };
+
+  await handleToolCall("search_docs", { query: "gamma" }, options);
+  await handleToolCall("explain_concept", { name: "kubernetes" }, options);
+
+  assert.equal(records.length, 2);
+  assert.equal(records[0].tool, "search_docs");
+  assert.equal(records[0].query, "gamma");
+  assert.equal(records[0].mode, "keyword");
+  assert.equal(records[0].resultCount, 1);
+  assert.equal(records[0].topSlug, "b");
+  assert.deepEqual(records[0].pageIds, [getPageId(pages[1])]);
+  assert.ok(records[0].latencyMs >= 0);
+  assert.deepEqual(
+    { tool: records[1].tool, resultCount: records[1].resultCount, topSlug: records[1].topSlug },
+    { tool: "explain_concept", resultCount: 0, topSlug: null }
+  );
+});
@@ -1,7 +1,8 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { searchIndex } from "../src/search.js";
-import { buildIndex } from "../src/indexer.js";
+import { InvalidCursorError, searchExamples, searchIndex } from "../src/search.js";
+import { buildIndex, getPageId } from "../src/indexer.js";
+import { createHashingEmbedder, createVectorStore, createVectorUpdater } from "../src/embeddings.js";
 
 test("searchIndex returns ranked results with excerpt", () => {
   const pages = [
@@ -15,3 +16,489 @@ test("searchIndex returns ranked results with excerpt", () => {
   assert.equal(result.results[0].slug, "b");
   assert.match(result.results[0].excerpt, /beta/);
 });
+
+test("searchIndex normalizes by page length (BM25)", () => {
+  const filler = Array.from({ length: 200 }, (_, i) => `filler${i}`).join(" ");
+  const pages = [
+    {
+      slug: "long",
+      title: "Long",
+      url: "http://x/long",
+      text: `${"view ".repeat(5)} ${filler}`,
+      headings: [],
+    },
+    { slug: "short", title: "View", url: "http://x/short", text: "view editor", headings: [] },
+    { slug: "other", title: "Other", url: "http://x/other", text: "nothing here", headings: [] },
+  ];
+  const index = buildIndex(pages);
+  const result = searchIndex(index, pages, "view");
+
+  assert.equal(result.results[0].slug, "short");
+  assert.equal(result.scoring.model, "bm25");
+  assert.equal(result.scoring.k1, 1.2);
+  assert.equal(result.scoring.b, 0.75);
+});
+
+test("searchIndex accepts legacy index without length statistics", () => {
+  const pages = [
+    { slug: "a", title: "One", url: "http://x/a", text: "alpha", headings: [] },
+    { slug: "b", title: "Two", url: "http://x/b", text: "alpha beta", headings: [] },
+  ];
+  const legacy = { pageCount: 2, terms: { alpha: { 0: 1, 1: 1 }, beta: { 1: 1 } } };
+  const result = searchIndex(legacy, pages, "alpha", 5, { b: 1 });
+
+  assert.equal(result.results[0].slug, "a");
+  assert.equal(result.scoring.b, 1);
+});
+
+test("searchIndex boosts title and breadcrumb matches over body mentions", () => {
+  const pages = [
+    {
+      slug: "body",
+      title: "Overview",
+      url: "http://x/body",
+      text: "Intro text that mentions security once among other words.",
+      headings: [],
+      breadcrumbs: ["General"],
+    },
+    {
+      slug: "title",
+      title: "Security System",
+      url: "http://x/title",
+      text: "# Security System\nHow access rules work.",
+      headings: [{ level: 1, text: "Security System" }],
+      breadcrumbs: ["Security"],
+    },
+  ];
+  const index = buildIndex(pages);
+  const result = searchIndex(index, pages, "security");
+
+  assert.equal(result.results[0].slug, "title");
+  assert.deepEqual(result.results[0].matchedFields, ["title", "headings", "breadcrumbs"]);
+  assert.deepEqual(result.results[1].matchedFields, ["body"]);
+});
+
+test("searchIndex matches inflected forms and highlights surface words", () => {
+  const pages = [
+    {
+      slug: "settings",
+      title: "Настройки",
+      url: "http://x/settings",
+      text: "Раздел описывает настройки модуля.",
+      headings: [],
+    },
+    { slug: "other", title: "Other", url: "http://x/other", text: "nothing here", headings: [] },
+  ];
+  const index = buildIndex(pages);
+  const result = searchIndex(index, pages, "настройка");
+
+  assert.equal(result.totalMatches, 1);
+  assert.equal(result.results[0].slug, "settings");
+  assert.deepEqual(result.terms, ["настройк"]);
+  assert.ok(result.highlightTerms.includes("настройки"));
+  assert.match(result.results[0].excerpt, /настройки модуля/);
+});
+
+test("searchIndex ranks exact identifier matches above sub-word matches", () => {
+  const pages = [
+    {
+      slug: "prose",
+      title: "Overview",
+      url: "http://x/prose",
+      text: "The security system checks every system call for security reasons.",
+      headings: [],
+    },
+    {
+      slug: "api",
+      title: "API",
+      url: "http://x/api",
+      text: "Register Xafari.BC.Security.SecuritySystem in the module.",
+      headings: [],
+    },
+  ];
+  const index = buildIndex(pages);
+
+  const exact = searchIndex(index, pages, "SecuritySystem");
+  assert.equal(exact.results[0].slug, "api");
+  assert.equal(exact.totalMatches, 2);
+
+  const dotted = searchIndex(index, pages, "Xafari.BC.Security.SecuritySystem");
+  assert.equal(dotted.results[0].slug, "api");
+});
+
+function buildSyntaxFixture() {
+  const pages = [
+    {
+      slug: "list-view",
+      title: "List View",
+      url: "http://x/list-view",
+      text: "A list view shows records.",
+      headings: [],
+      breadcrumbs: ["UI"],
+    },
+    {
+      slug: "detail-view",
+      title: "Detail View",
+      url: "http://x/detail-view",
+      text: "A view that lists one record, not a grid.",
+      headings: [],
+      breadcrumbs: ["UI"],
+    },
+    {
+      slug: "security",
+      title: "Security",
+      url: "http://x/security",
+      text: "```cs\nvar view = SecuritySystem.CurrentUser;\n```",
+      headings: [],
+      breadcrumbs: ["Security"],
+    },
+  ];
+  return { pages, index: buildIndex(pages) };
+}
+
+test("searchIndex requires quoted phrases to match adjacent words", () => {
+  const { pages, index } = buildSyntaxFixture();
+  const result = searchIndex(index, pages, '"list view"');
+  assert.deepEqual(result.results.map((item) => item.slug), ["list-view"]);
+  assert.equal(result.parsedQuery[0][0].kind, "phrase");
+});
+
+test("searchIndex drops pages that match excluded terms", () => {
+  const { pages, index } = buildSyntaxFixture();
+  const result = searchIndex(index, pages, "view -detail");
+  assert.deepEqual(
+    result.results.map((item) => item.slug).sort(),
+    ["list-view", "security"]
+  );
+});
+
+test("searchIndex supports OR alternatives and field prefixes", () => {
+  const { pages, index } = buildSyntaxFixture();
+  const either = searchIndex(index, pages, '"list view" OR "detail view"');
+  assert.deepEqual(either.results.map((item) => item.slug).sort(), ["detail-view", "list-view"]);
+
+  const inCode = searchIndex(index, pages, "code:view");
+  assert.deepEqual(inCode.results.map((item) => item.slug), ["security"]);
+
+  const inCategory = searchIndex(index, pages, "view category:ui -title:detail");
+  assert.deepEqual(inCategory.results.map((item) => item.slug), ["list-view"]);
+});
+
+test("searchIndex tolerates typos and suggests corrected queries", () => {
+  const pages = [
+    { title: "Бизнес-объекты", text: "Бизнес-объект описывает данные приложения.", headings: [] },
+    { title: "Xafari", text: "Xafari extends the framework.", headings: [] },
+  ];
+  const index = buildIndex(pages);
+
+  const typo = searchIndex(index, pages, "бизнес-обьект", 5);
+  assert.equal(typo.results[0].title, "Бизнес-объекты");
+  assert.ok(typo.fuzzyMatches.some((item) => item.distance === 1));
+  assert.deepEqual(typo.didYouMean, ["бизнес-объект"]);
+
+  const exact = searchIndex(index, pages, "бизнес-объект", 5);
+  assert.ok(exact.results[0].score > typo.results[0].score);
+  assert.deepEqual(exact.didYouMean, []);
+
+  assert.equal(searchIndex(index, pages, "Xafri", 5).results[0].title, "Xafari");
+  const strict = searchIndex(index, pages, "Xafri", 5, { fuzzy: false });
+  assert.equal(strict.totalMatches, 0);
+});
+
+test("searchIndex returns the best-matching section of a page", () => {
+  const pages = [
+    {
+      title: "Security",
+      url: "https://x/security",
+      text: [
+        "# Security {#top}",
+        "Overview of the module.",
+        "## Roles {#roles}",
+        "Roles grant permissions to users.",
+        "## Audit",
+        "Audit trail records changes.",
+      ].join("\n"),
+      headings: [
+        { level: 1, text: "Security", id: "top" },
+        { level: 2, text: "Roles", id: "roles" },
+        { level: 2, text: "Audit" },
+      ],
+    },
+  ];
+  const index = buildIndex(pages);
+
+  const roles = searchIndex(index, pages, "permissions", 5).results[0].section;
+  assert.equal(roles.anchor, "roles");
+  assert.deepEqual(roles.path, ["Security", "Roles"]);
+  assert.equal(roles.url, "https://x/security#roles");
+  assert.equal(roles.text, "Roles grant permissions to users.");
+
+  const audit = searchIndex(index, pages, "audit trail", 5).results[0].section;
+  assert.equal(audit.anchor, "audit");
+  assert.equal(audit.url, "https://x/security");
+});
+
+test("searchExamples ranks code blocks and filters by language", () => {
+  const pages = [
+    {
+      title: "Security",
+      url: "https://x/security",
+      text: [
+        "## Login {#login}",
+        "Sign the user in.",
+        "",
+        "```cs",
+        "SecuritySystem.Logon(user);",
+        "```",
+        "",
+        "```vb",
+        "SecuritySystem.Logon(user)",
+        "```",
+        "## Model",
+        "Model settings.",
+        "",
+        "```xml",
+        "<Application><Views /></Application>",
+        "```",
+      ].join("\n"),
+      headings: [],
+    },
+    {
+      title: "Logon overview",
+      text: "Logon explained in prose only.",
+      headings: [],
+    },
+  ];
+  const index = buildIndex(pages);
+
+  const logon = searchExamples(index, pages, "logon", 5);
+  assert.equal(logon.totalMatches, 2);
+  assert.equal(logon.results[0].heading, "Login");
+  assert.equal(logon.results[0].url, "https://x/security#login");
+  assert.equal(logon.results[0].caption, "Sign the user in.");
+  assert.ok(logon.results[0].matchedFields.includes("calls"));
+
+  const vb = searchExamples(index, pages, "logon", 5, { language: "VB" });
+  assert.deepEqual(vb.results.map((item) => item.language), ["vb"]);
+  assert.equal(vb.results[0].code, "SecuritySystem.Logon(user)");
+
+  const xml = searchExamples(index, pages, "views", 5);
+  assert.equal(xml.results[0].language, "xml");
+  assert.ok(xml.results[0].matchedFields.includes("elements"));
+});
+
+test("searchIndex filters by breadcrumb category and reports facets", () => {
+  const pages = [
+    { title: "Roles", breadcrumbs: ["Xafari", "Security"], text: "Roles and permissions", headings: [] },
+    { title: "Grid", breadcrumbs: ["Xafari", "UI"], text: "Grid permissions column", headings: [] },
+    { title: "Intro", breadcrumbs: ["eXpressApp"], text: "Permissions overview", headings: [] },
+    { title: "Misc", text: "permissions", headings: [] },
+  ];
+  const index = buildIndex(pages);
+
+  const all = searchIndex(index, pages, "permissions", 10);
+  assert.deepEqual(all.facets, [
+    { category: "Xafari", count: 2 },
+    { category: "(none)", count: 1 },
+    { category: "eXpressApp", count: 1 },
+  ]);
+
+  const security = searchIndex(index, pages, "permissions", 10, { category: "xafari > security" });
+  assert.deepEqual(security.results.map((item) => item.title), ["Roles"]);
+  assert.deepEqual(security.facets, all.facets);
+
+  const xafari = searchIndex(index, pages, "permissions", 10, { category: "Xafari/" });
+  assert.equal(xafari.totalMatches, 2);
+});
+
+test("searchIndex paginates with offset and cursors stable across rebuilds", () => {
+  const pages = Array.from({ length: 7 }, (_, i) => ({
+    slug: `page-${i}`,
+    url: `https://x/page-${i}`,
+    title: `Page ${i}`,
+    text: "grid settings",
+    headings: [],
+  }));
+  const index = buildIndex(pages);
+
+  const first = searchIndex(index, pages, "grid", 3);
+  assert.equal(first.totalMatches, 7);
+  assert.equal(first.results.length, 3);
+  assert.ok(first.nextCursor);
+
+  const byOffset = searchIndex(index, pages, "grid", 3, { offset: 3 });
+  assert.equal(byOffset.offset, 3);
+
+  const reversed = pages.slice().reverse();
+  const reloaded = buildIndex(reversed);
+  const second = searchIndex(reloaded, reversed, "grid", 3, { cursor: first.nextCursor });
+  assert.deepEqual(
+    second.results.map((item) => item.slug),
+    byOffset.results.map((item) => item.slug)
+  );
+  const third = searchIndex(reloaded, reversed, "grid", 3, { cursor: second.nextCursor });
+  assert.equal(third.results.length, 1);
+  assert.equal(third.nextCursor, null);
+  const seen = [...first.results, ...second.results, ...third.results].map((item) => item.slug);
+  assert.equal(new Set(seen).size, 7);
+
+  assert.throws(
+    () => searchIndex(index, pages, "settings", 3, { cursor: first.nextCursor }),
+    InvalidCursorError
+  );
+});
+
+test("searchIndex expands queries with RU/EN glossary synonyms", () => {
+  const pages = [
+    { title: "Бизнес-объекты", text: "Бизнес-объект хранит данные.", headings: [] },
+    { title: "Business objects", text: "A business object stores data.", headings: [] },
+  ];
+  const index = buildIndex(pages);
+  const synonyms = [["business object", "бизнес-объект", "BO"]];
+
+  const result = searchIndex(index, pages, "business object", 5, { synonyms });
+  assert.deepEqual(result.results.map((item) => item.title), ["Business objects", "Бизнес-объекты"]);
+  assert.deepEqual(result.synonyms, [
+    { match: "business object", expandedTo: ["бизнес-объект", "BO"], weight: 0.5 },
+  ]);
+
+  const abbreviation = searchIndex(index, pages, "BO", 5, { synonyms });
+  assert.equal(abbreviation.totalMatches, 2);
+
+  const plain = searchIndex(index, pages, "business object", 5, { synonyms: false });
+  assert.equal(plain.totalMatches, 1);
+  assert.deepEqual(plain.synonyms, []);
+});
+
+test("searchIndex explains scores per term and lists dropped stop words", () => {
+  const pages = [
+    {
+      slug: "views",
+      title: "List View",
+      url: "http://x/views",
+      text: "A list view shows objects. The view is configurable.",
+      headings: [],
+    },
+    { slug: "other", title: "Other", url: "http://x/other", text: "view editor", headings: [] },
+  ];
+  const index = buildIndex(pages);
+  const plain = searchIndex(index, pages, "view on list");
+  assert.equal(plain.results[0].explanation, undefined);
+  assert.equal(plain.droppedTokens, undefined);
+
+  const result = searchIndex(index, pages, "view on list", 5, { explain: true });
+  assert.deepEqual(result.droppedTokens, [{ token: "on", reason: "stop-word" }]);
+
+  const top = result.results[0];
+  assert.equal(top.slug, "views");
+  assert.equal(top.explanation.pageCount, 2);
+  const view = top.explanation.terms.find((item) => item.term === "view");
+  assert.equal(view.source, "query");
+  assert.equal(view.df, 2);
+  const title = view.fields.find((item) => item.field === "title");
+  assert.equal(title.tf, 1);
+  assert.equal(title.boost, 3);
+  assert.equal(view.fields.find((item) => item.field === "body").tf, 2);
+  const sum = top.explanation.terms.reduce((total, item) => total + item.score, 0);
+  assert.ok(Math.abs(sum - top.score) < 0.001);
+});
+
+test("searchIndex ranks by vector similarity in semantic and hybrid modes", async () => {
+  const pages = [
+    {
+      slug: "rights",
+      url: "http://x/rights",
+      title: "Editing rights",
+      text: "# Editing rights\nOverview.\n## Restrict editing\nRestrict who may edit a document.",
+      headings: [],
+    },
+    {
+      slug: "templates",
+      url: "http://x/templates",
+      title: "Document templates",
+      text: "Templates for new documents.",
+      headings: [],
+    },
+    { slug: "grid", url: "http://x/grid", title: "Grid", text: "Grid layout columns.", headings: [] },
+  ];
+  const index = buildIndex(pages);
+  const embedder = createHashingEmbedder({ dimensions: 256 });
+  const vectors = createVectorStore(embedder);
+  const updater = createVectorUpdater(vectors, embedder);
+  for (const page of pages) {
+    await updater.upsert(page);
+  }
+  const query = "how do I restrict who can edit a document";
+  const [queryVector] = await embedder.embed([query]);
+
+  const semantic = searchIndex(index, pages, query, 5, { mode: "semantic", vectors, queryVector });
+  assert.equal(semantic.mode, "semantic");
+  assert.equal(semantic.results[0].slug, "rights");
+  assert.equal(semantic.results[0].section.heading, "Restrict editing");
+  assert.equal(semantic.results[0].score, semantic.results[0].similarity);
+
+  const hybrid = searchIndex(index, pages, query, 5, {
+    mode: "hybrid",
+    vectors,
+    queryVector,
+    explain: true,
+  });
+  assert.equal(hybrid.results[0].slug, "rights");
+  assert.equal(hybrid.results[0].explanation.keywordRank, 1);
+  assert.equal(hybrid.results[0].explanation.semanticRank, 1);
+  assert.equal(hybrid.results[0].score, Number((2 / 61).toFixed(4)));
+  assert.ok(hybrid.results.every((item) => "keywordScore" in item && "similarity" in item));
+
+  const excluded = searchIndex(index, pages, "document -rights", 5, {
+    mode: "semantic",
+    vectors,
+    queryVector: (await embedder.embed(["document"]))[0],
+  });
+  assert.ok(excluded.results.every((item) => item.slug !== "rights"));
+
+  const keyword = searchIndex(index, pages, query, 5);
+  assert.equal(keyword.mode, "keyword");
+  assert.equal(keyword.results[0].similarity, undefined);
+});
+
+test("searchIndex boosts pages with more link authority", () => {
+  const pages = [
+    { slug: "a", url: "http://x/a", title: "A", text: "workflow setup", links: [] },
+    { slug: "b", url: "http://x/b", title: "B", text: "workflow setup", links: [] },
+    { slug: "c", url: "http://x/c", title: "C", text: "intro", links: ["http://x/b"] },
+  ];
+  const index = buildIndex(pages);
+
+  const boosted = searchIndex(index, pages, "workflow", 5, { explain: true });
+  assert.equal(boosted.results[0].slug, "b");
+  assert.equal(boosted.results[0].explanation.authority, 1);
+  assert.equal(boosted.results[0].explanation.authorityBoost, 1.1);
+
+  const plain = searchIndex(index, pages, "workflow", 5, { authorityWeight: 0 });
+  assert.equal(plain.results[0].score, plain.results[1].score);
+});
+
+test("searchIndex collapses near-duplicate pages into alternates", () => {
+  const pages = [
+    { slug: "roles", url: "http://x/roles", title: "Roles", text: "roles grant access" },
+    { slug: "roles-print", url: "http://x/roles/print", title: "Roles", text: "roles grant access" },
+    { slug: "users", url: "http://x/users", title: "Users", text: "users get roles" },
+  ];
+  const canonical = getPageId(pages[0]);
+  pages[0].duplicateCluster = canonical;
+  pages[1].duplicateCluster = canonical;
+  const index = buildIndex(pages);
+
+  const collapsed = searchIndex(index, pages, "roles", 5);
+  assert.equal(collapsed.totalMatches, 2);
+  const roles = collapsed.results.find((item) => item.slug === "roles");
+  assert.deepEqual(
+    roles.alternates.map((item) => item.slug),
+    ["roles-print"]
+  );
+  assert.equal(collapsed.results.find((item) => item.slug === "users").alternates, undefined);
+
+  const expanded = searchIndex(index, pages, "roles", 5, { collapseDuplicates: false });
+  assert.equal(expanded.totalMatches, 3);
+  assert.ok(expanded.results.every((item) => item.alternates === undefined));
+});
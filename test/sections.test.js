@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { findSection, sectionUrl, splitSections, stripHeadingAnchors } from "../src/sections.js";
+
+const markdown = [
+  "Intro text.",
+  "# Security {#security}",
+  "Overview.",
+  "## Roles",
+  "Role setup.",
+  "```cs",
+  "# not a heading",
+  "```",
+  "## Roles",
+  "Second roles section.",
+  "# Logging",
+  "Logs.",
+].join("\n");
+
+test("splitSections follows headings, paths and anchors", () => {
+  const sections = splitSections(markdown);
+  assert.deepEqual(
+    sections.map(({ anchor, heading, path }) => ({ anchor, heading, path })),
+    [
+      { anchor: "", heading: "", path: [] },
+      { anchor: "security", heading: "Security", path: ["Security"] },
+      { anchor: "roles", heading: "Roles", path: ["Security", "Roles"] },
+      { anchor: "roles-2", heading: "Roles", path: ["Security", "Roles"] },
+      { anchor: "logging", heading: "Logging", path: ["Logging"] },
+    ]
+  );
+  assert.match(sections[2].text, /# not a heading/);
+  assert.equal(sectionUrl("https://x/doc", sections[1]), "https://x/doc#security");
+  assert.equal(sectionUrl("https://x/doc", sections[2]), "https://x/doc");
+});
+
+test("findSection matches anchors, headings and heading paths", () => {
+  const sections = splitSections(markdown);
+  assert.equal(findSection(sections, { anchor: "#roles-2" }).text, "Second roles section.");
+  assert.equal(findSection(sections, { heading: "security > roles" }).anchor, "roles");
+  assert.equal(findSection(sections, { heading: "logg" }).anchor, "logging");
+  assert.equal(findSection(sections, { anchor: "missing" }), null);
+});
+
+test("stripHeadingAnchors drops heading anchors outside code", () => {
+  const text = "# Security {#security}\nUse {#x} here.\n```md\n## Kept {#kept}\n```";
+  assert.equal(
+    stripHeadingAnchors(text),
+    "# Security\nUse {#x} here.\n```md\n## Kept {#kept}\n```"
+  );
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { loadSitemaps, parseSitemap } from "../src/sitemap.js";
+
+const urlset = (entries) =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries
+  .map(([loc, lastmod]) => {
+    const lastmodTag = lastmod ? `<lastmod>${lastmod}</lastmod>` : "";
+    return `<url><loc>${loc}</loc>${lastmodTag}</url>`;
+  })
+  .join("\n")}
+</urlset>`;
+
+function serve(files) {
+  const requested = [];
+  const fetchImpl = async (url) => {
+    requested.push(url);
+    const body = files[url];
+    if (body === undefined) {
+      return { ok: false, status: 404, arrayBuffer: async () => new ArrayBuffer(0) };
+    }
+    if (body instanceof Error) {
+      return { ok: false, status: 500, arrayBuffer: async () => new ArrayBuffer(0) };
+    }
+    return { ok: true, status: 200, arrayBuffer: async () => Buffer.from(body) };
+  };
+  return { fetchImpl, requested };
+}
+
+test("parseSitemap reads urlsets and sitemap indexes", () => {
+  const xml = urlset([["http://x/a?x=1&amp;y=2", "2026-10-01"], ["http://x/b"]]);
+  assert.deepEqual(parseSitemap(xml), {
+    kind: "urlset",
+    entries: [
+      { loc: "http://x/a?x=1&y=2", lastmod: "2026-10-01" },
+      { loc: "http://x/b", lastmod: null },
+    ],
+  });
+  const index = `<sitemapindex><sitemap><loc>http://x/s1.xml.gz</loc></sitemap></sitemapindex>`;
+  assert.deepEqual(parseSitemap(index), {
+    kind: "sitemapindex",
+    entries: [{ loc: "http://x/s1.xml.gz", lastmod: null }],
+  });
+});
+
+test("loadSitemaps follows indexes, unpacks gzip and keeps the latest lastmod", async () => {
+  const errors = [];
+  const { fetchImpl, requested } = serve({
+    "http://x/sitemap.xml": `<sitemapindex>
+      <sitemap><loc>http://x/pages.xml.gz</loc></sitemap>
+      <sitemap><loc>http://x/broken.xml</loc></sitemap>
+      <sitemap><loc>http://x/sitemap.xml</loc></sitemap>
+    </sitemapindex>`,
+    "http://x/pages.xml.gz": zlib.gzipSync(
+      urlset([
+        ["http://x/docs/a/", "2026-09-01"],
+        ["http://x/docs/b/"],
+        ["http://x/docs/a/", "2026-10-01T08:00:00+00:00"],
+      ])
+    ),
+    "http://x/broken.xml": new Error("boom"),
+  });
+
+  const pages = await loadSitemaps(["http://x/sitemap.xml", "http://x/missing.xml"], {
+    fetchImpl,
+    onError: (url, error) => errors.push([url, error.message]),
+  });
+  assert.deepEqual(Array.from(pages), [
+    ["http://x/docs/a/", "2026-10-01T08:00:00+00:00"],
+    ["http://x/docs/b/", null],
+  ]);
+  assert.deepEqual(errors, [["http://x/broken.xml", "HTTP 500 for http://x/broken.xml"]]);
+  assert.equal(requested.filter((url) => url === "http://x/sitemap.xml").length, 1);
+});
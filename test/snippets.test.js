@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSnippets, findTermHits, formatSnippets } from "../src/snippets.js";
+
+const text = [
+  "Intro sentence without matches. Another filler sentence here.",
+  "Roles grant permissions. Each role has a list of permissions.",
+  "Unrelated paragraph about logging and tracing.",
+  "The SecuritySystem checks permissions on every request.",
+].join("\n");
+
+test("findTermHits matches whole words and CamelCase parts", () => {
+  const hits = findTermHits("SecuritySystem uses system roles; ecosystem is ignored.", ["system"]);
+  assert.deepEqual(
+    hits.map((hit) => [hit.start, hit.end]),
+    [
+      [8, 14],
+      [20, 26],
+    ]
+  );
+});
+
+test("buildSnippets picks dense passages cut on sentence boundaries", () => {
+  const snippets = buildSnippets(text, ["permissions", "roles", "role"]);
+  assert.equal(snippets.length, 2);
+  assert.equal(snippets[0].text, "Roles grant permissions. Each role has a list of permissions.");
+  for (const snippet of snippets) {
+    assert.equal(text.slice(snippet.start, snippet.end), snippet.text);
+    for (const { start, end } of snippet.highlights) {
+      assert.match(snippet.text.slice(start, end), /^(roles?|permissions)$/i);
+    }
+  }
+  assert.deepEqual(buildSnippets(text, ["permissions"], { maxPassages: 1 }).length, 1);
+});
+
+test("formatSnippets renders markdown bold and absolute offsets", () => {
+  const snippets = buildSnippets("Grant permissions here.", ["permissions"]);
+  const [markdown] = formatSnippets(snippets, "markdown");
+  assert.equal(markdown.text, "Grant **permissions** here.");
+  assert.equal(markdown.text.slice(markdown.highlights[0].start, markdown.highlights[0].end), "permissions");
+  const [offsets] = formatSnippets(
+    buildSnippets("Intro.\nGrant permissions.", ["permissions"]),
+    "offsets"
+  );
+  assert.equal(offsets.text, undefined);
+  assert.deepEqual(offsets.highlights, [{ start: 13, end: 24 }]);
+});
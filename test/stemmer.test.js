@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { stem, stemEnglish, stemRussian } from "../src/stemmer.js";
+
+test("stemRussian reduces inflected forms to one stem", () => {
+  assert.equal(stemRussian("настройка"), "настройк");
+  assert.equal(stemRussian("настройки"), "настройк");
+  assert.equal(stemRussian("настроек"), "настройк");
+  assert.equal(stemRussian("ячеек"), "ячейк");
+  assert.equal(stemRussian("представление"), "представлен");
+  assert.equal(stemRussian("представления"), "представлен");
+  assert.equal(stemRussian("важнейшими"), "важн");
+  assert.equal(stemRussian("объектов"), "объект");
+});
+
+test("stemEnglish follows Porter2 rules", () => {
+  assert.equal(stemEnglish("views"), "view");
+  assert.equal(stemEnglish("generations"), "generat");
+  assert.equal(stemEnglish("hopping"), "hop");
+  assert.equal(stemEnglish("hoped"), "hope");
+  assert.equal(stemEnglish("controllable"), "control");
+  assert.equal(stemEnglish("skies"), "sky");
+});
+
+test("stem picks the stemmer by alphabet and keeps other tokens", () => {
+  assert.equal(stem("настройки"), "настройк");
+  assert.equal(stem("views"), "view");
+  assert.equal(stem("utf8"), "utf8");
+});
@@ -116,3 +116,33 @@ test("saveBinaryAsset stores file under assets path", async (t) => {
   const stat = await fs.stat(filePath);
   assert.equal(stat.isFile(), true);
 });
+
+test("page IDs are stored in front matter and in page summaries", async (t) => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "custom-mcp-"));
+  t.after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const storage = await importStorage();
+  const { computePageId } = await import("../src/indexer.js");
+  const url = "https://example.com/docs/intro";
+  const page = {
+    id: computePageId({ url }),
+    slug: "intro",
+    url,
+    title: "Intro",
+    breadcrumbs: [],
+    headings: [],
+    text: "# Intro",
+    codeBlocks: [],
+    links: [],
+  };
+
+  const filePath = await storage.savePageMarkdown(page, tempDir);
+  const markdown = await fs.readFile(filePath, "utf8");
+  assert.match(markdown, new RegExp(`^---\\nid: "?${page.id}"?\\n`));
+
+  const [loaded] = await storage.loadPagesFromMarkdown(tempDir);
+  assert.equal(loaded.id, page.id);
+  assert.equal(storage.summarizePage(loaded).id, page.id);
+});
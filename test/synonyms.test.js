@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { buildIndex } from "../src/indexer.js";
+import { expandSynonyms, loadSynonyms } from "../src/synonyms.js";
+
+test("loadSynonyms reads the bundled glossary", () => {
+  const groups = loadSynonyms(fileURLToPath(new URL("../src/synonyms.json", import.meta.url)));
+  assert.ok(groups.some((group) => group.includes("BO") && group.includes("бизнес-объект")));
+  assert.ok(groups.every((group) => group.length > 1));
+});
+
+test("expandSynonyms matches multi-word entries across query words", () => {
+  const index = buildIndex([{ title: "x", text: "x", headings: [] }]);
+  const clauses = ["busi", "object"].map((term) => ({
+    field: null,
+    termWeights: new Map([[term, 1]]),
+    sequence: [{ term, offset: 0 }],
+  }));
+  const { specs, applied } = expandSynonyms(
+    index,
+    clauses,
+    [["business object", "бизнес-объект", "BO"]],
+    0.4
+  );
+  assert.deepEqual(applied, [
+    { match: "business object", expandedTo: ["бизнес-объект", "BO"], weight: 0.4 },
+  ]);
+  assert.deepEqual(
+    specs.map(({ term, weight }) => [term, weight]),
+    [
+      ["бизнес", 0.4],
+      ["объект", 0.4],
+      ["bo", 0.4],
+    ]
+  );
+});